@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Mint a development access token from the command line
+ *
+ * Usage: npm run dev-token -- [--device-id <id>] [--scopes a,b] [--expires-in 1h]
+ *
+ * Tokens are signed with the same keys the server uses, so run this against the
+ * same storage (STORAGE_BACKEND / SIGNING_KEYS_DIR) as the server. Requires DEV_AUTH_ENABLED=true
+ * and refuses to run when NODE_ENV=production.
+ */
+require('dotenv').config();
+const { assertDevAuthConfig, isDevAuthEnabled } = require('../src/utils/devAuth');
+
+/**
+ * Parse --flag value pairs
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Options keyed by flag name
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return options;
+};
+
+const main = async () => {
+  assertDevAuthConfig();
+  if (!isDevAuthEnabled()) {
+    throw new Error('Development auth is disabled. Set DEV_AUTH_ENABLED=true to mint dev tokens');
+  }
+
+  const options = parseArgs(process.argv.slice(2));
+  const expiresIn = options['expires-in'];
+
+  // Loaded after the checks so nothing touches storage when dev auth is off
+  const tokenService = require('../src/services/tokenService');
+  const token = await tokenService.issueDevToken({
+    deviceId: options['device-id'] || 'dev-device',
+    scopes: options.scopes ? options.scopes.split(',').map(scope => scope.trim()).filter(Boolean) : [],
+    expiresIn: /^\d+$/.test(expiresIn) ? parseInt(expiresIn) : expiresIn
+  });
+
+  console.log(token);
+};
+
+// Services keep refresh timers running, so exit explicitly
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
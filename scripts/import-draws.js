@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Import draws from an official result feed (CSV or JSON export)
+ *
+ * Usage: npm run import-draws -- --type <game> --file <feed> [--format csv|json] [--dry-run] [--replace]
+ * where <game> is a slug from the game definitions (config/games.json)
+ *
+ * Prints a dry-run diff of what the import would add and change (and which payout fields it would
+ * fill in on existing draws), then merges the feed into the
+ * draw history and publishes it with rebuilt stats. Run it against the same storage (STORAGE_BACKEND /
+ * data directory) as the server. With --dry-run only the diff is printed. Rows that would
+ * change existing draws are only applied with --replace.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const BOOLEAN_FLAGS = ['dry-run', 'replace'];
+
+/**
+ * Parse --flag value pairs and boolean flags
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Options keyed by flag name
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    if (BOOLEAN_FLAGS.includes(match[1])) {
+      options[match[1]] = match[2] !== 'false';
+    } else {
+      options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+  }
+  return options;
+};
+
+/**
+ * Format a draw record for the diff
+ * @param {Object} draw - Draw record
+ * @returns {string}
+ */
+const formatDraw = draw => `${draw.numbers.join(' ')} / ${draw.specialBall}`;
+
+/**
+ * Print the import diff
+ * @param {Object} result - Result of drawIngestion.importDraws
+ */
+const printDiff = (result) => {
+  for (const draw of result.added) {
+    console.log(`+ ${draw.date}  ${formatDraw(draw)}`);
+  }
+  for (const change of result.changed) {
+    console.log(`~ ${change.date}  ${formatDraw(change.from)}  ->  ${formatDraw(change.to)}`);
+  }
+  for (const update of result.updated) {
+    console.log(`* ${update.date}  +${update.fields.join(' +')}`);
+  }
+  for (const row of result.invalid) {
+    console.log(`! row ${row.row}${row.date ? ` (${row.date})` : ''}: ${row.errors.join('; ')}`);
+  }
+
+  const { rows, added, changed, updated, unchanged, invalid } = result.summary;
+  console.log(`\n${rows} rows: ${added} added, ${changed} changed, ${updated} updated, ${unchanged} unchanged, ${invalid} invalid`);
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.type || !options.file) {
+    throw new Error('Usage: import-draws --type <game> --file <feed> [--format csv|json] [--dry-run] [--replace]');
+  }
+
+  const format = options.format || (path.extname(options.file).toLowerCase() === '.json' ? 'json' : 'csv');
+  const feed = fs.readFileSync(options.file, 'utf8');
+
+  // Loaded after the arguments are checked so a usage error doesn't touch storage
+  const { parseFeed } = require('../src/utils/resultFeeds');
+  const drawIngestion = require('../src/services/drawIngestion');
+
+  const entries = parseFeed(options.type, feed, format);
+  const replace = options.replace === true;
+
+  // Always show the diff before anything is written
+  const preview = await drawIngestion.importDraws(options.type, entries, { dryRun: true, replace });
+  printDiff(preview);
+
+  if (options['dry-run']) {
+    console.log('Dry run, nothing was written');
+    return;
+  }
+  if (preview.invalid.length > 0) {
+    throw new Error('Feed has invalid rows, nothing was written');
+  }
+  if (preview.changed.length > 0 && !replace) {
+    throw new Error('Feed changes existing draws, nothing was written. Pass --replace to apply it');
+  }
+
+  // Publishing logs the new release
+  const result = await drawIngestion.importDraws(options.type, entries, { replace });
+  if (!result.written) {
+    console.log('Nothing new to import');
+  }
+};
+
+// Services keep refresh timers running, so exit explicitly
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
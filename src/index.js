@@ -4,56 +4,99 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs').promises;
 const dataService = require('./services/dataService');
-const { getCacheDuration, getETag } = require('./utils/timeUtils');
+const auditLog = require('./services/auditLog');
+const { getCacheDuration } = require('./utils/timeUtils');
+const { assertDevAuthConfig, isDevAuthEnabled } = require('./utils/devAuth');
+const { ipLimiter, authLimiter, adminLimiter } = require('./middleware/rateLimit');
 
-// Verify data directory and files exist
+// Refuse to start with development auth enabled in production
+try {
+  assertDevAuthConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (isDevAuthEnabled()) {
+  console.warn('Development auth is enabled: POST /api/auth/dev-token mints tokens without attestation');
+}
+
+// Verify data files exist in the configured storage
 const verifyDataFiles = async () => {
+  const storageName = dataService.storage.name;
   try {
-    // Check if required files exist in GCS
-    const lotteryTypes = ['mega-millions', 'powerball'];
     const filesToCheck = [];
     
-    for (const type of lotteryTypes) {
-      // Add main data files
+    console.log(`Games: ${dataService.lotteryTypes.join(', ')}`);
+    for (const type of dataService.lotteryTypes) {
+      // Published draws and stats are read from their release instead of the uploaded files
+      try {
+        const release = await dataService.getRelease(type);
+        if (release) {
+          console.log(`Found ${type} release ${release.version} (${release.totalDraws} draws)`);
+          continue;
+        }
+      } catch (error) {
+        console.warn(`Warning: Could not check ${type} release in ${storageName} storage:`, error.message);
+      }
+      
+      // Stats are computed from the draws, so only the draw files are required
       filesToCheck.push(type);
-      filesToCheck.push(`${type}-stats`);
     }
     
-    // Check if the files exist in GCS
     for (const file of filesToCheck) {
+      const key = dataService.getStorageKey(file);
+      try {
+        if (await dataService.storage.exists(key)) {
+          console.log(`Found ${storageName} file: ${key}`);
+        } else {
+          console.warn(`Warning: File ${key} not found in ${storageName} storage`);
+        }
+      } catch (error) {
+        console.warn(`Warning: Could not check ${key} in ${storageName} storage:`, error.message);
+      }
+    }
+    
+    // Load every draw file through the schema check, and flag uploaded stats files that disagree with the draws
+    for (const type of dataService.lotteryTypes) {
       try {
-        const filePath = dataService.getGCSFilePath(file);
-        const exists = await dataService.bucket.file(filePath).exists();
-        if (exists[0]) {
-          console.log(`Found GCS file: ${filePath}`);
+        await dataService.fetchFreshData(type);
+        const check = await dataService.checkStatistics(type);
+        if (!check.consistent) {
+          console.warn(`Warning: Stored ${type} stats disagree with the draws in ${check.differences.length} places; serving stats computed from the draws`);
         }
       } catch (error) {
-        console.warn(`Warning: File ${file} not found in GCS`);
+        console.warn(`Warning: Could not check ${type} data:`, error.message);
       }
     }
     
     // Check or create verified devices file
     try {
-      const devicesPath = dataService.getGCSFilePath('verified-devices');
-      const exists = await dataService.bucket.file(devicesPath).exists();
-      if (exists[0]) {
-        console.log('Found verified-devices.json in GCS');
+      const devicesKey = dataService.getStorageKey('verified-devices');
+      if (await dataService.storage.exists(devicesKey)) {
+        console.log(`Found ${devicesKey} in ${storageName} storage`);
       } else {
         // Create empty verified devices file if it doesn't exist
         await dataService.writeData('verified-devices', {});
-        console.log('Created empty verified-devices.json in GCS');
+        console.log(`Created empty ${devicesKey} in ${storageName} storage`);
       }
     } catch (error) {
       console.error('Error checking verified-devices.json:', error);
     }
     
-    console.log('GCS files check completed');
+    // Move records of newly sharded collections into their shards
+    try {
+      await dataService.migrateCollections();
+    } catch (error) {
+      console.warn('Warning: Could not move records into shards:', error.message);
+    }
+    
+    console.log('Data files check completed');
   } catch (error) {
-    console.error('Error checking GCS files:', error);
+    console.error('Error checking data files:', error);
   }
 };
 
@@ -75,14 +118,12 @@ if (process.env.NODE_ENV === 'production') {
   app.use(morgan('dev')); // Concise colored logs for development
 }
 
-app.use(express.json());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
-});
-app.use(limiter);
+// Keep the raw body so App Attest assertions can be checked against the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Global default cache control for static resources
 app.use((req, res, next) => {
@@ -91,23 +132,44 @@ app.use((req, res, next) => {
     // Get appropriate cache duration for static content
     const maxAge = getCacheDuration('static');
     
-    // Set cache headers
+    // Set cache headers; Express derives the ETag from the body
     res.set('Cache-Control', `public, max-age=${maxAge}`);
-    
-    // Add an appropriate ETag
-    res.set('ETag', getETag());
   }
   next();
 });
 
+// Public keys for verifying access tokens, for use by other services
+const signingKeys = require('./services/signingKeys');
+app.get('/.well-known/jwks.json', async (req, res, next) => {
+  try {
+    const jwks = await signingKeys.getJWKS();
+    
+    // Short cache so rotated keys are picked up quickly
+    res.set('Cache-Control', 'public, max-age=300');
+    res.removeHeader('ETag');
+    res.json(jwks);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Routes
 const lotteryRoutes = require('./routes/lottery');
+const gamesRoutes = require('./routes/games');
 const statsRoutes = require('./routes/stats');
 const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
 
-app.use('/api/lottery', lotteryRoutes);
-app.use('/api/stats', statsRoutes);
-app.use('/api/auth', authRoutes);
+// Each route group has its own rate limit budget; lottery, games and stats limit per device inside their routers,
+// behind a per-IP ceiling that also covers requests whose token doesn't verify
+app.use('/api/lottery', ipLimiter, lotteryRoutes);
+app.use('/api/games', ipLimiter, gamesRoutes);
+app.use('/api/stats', ipLimiter, statsRoutes);
+app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/admin', adminLimiter, adminRoutes);
+// Storage change notifications come from Pub/Sub, authenticated by its OIDC token
+app.use('/api/notifications', ipLimiter, notificationRoutes);
 
 // Root route - API information
 app.get('/', (req, res) => {
@@ -135,10 +197,19 @@ const PORT = 3000;
 
 // Check data files before starting the server
 verifyDataFiles().then(() => {
+  // Files changed on disk are reloaded right away with the local backend
+  dataService.watchLocalFiles();
+  
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
 }).catch(error => {
   console.error('Failed to verify data files:', error);
   process.exit(1);
+});
+
+// Write buffered audit records before the platform stops the instance
+process.on('SIGTERM', async () => {
+  await auditLog.flush();
+  process.exit(0);
 }); 
\ No newline at end of file
@@ -1,33 +1,217 @@
 /**
  * Authentication middleware for the lottery API
- * Handles Apple App Attest validation, JWT verification, and lottery type validation
+ * Handles device attestation validation, JWT verification, and lottery type validation
  */
 
-const jwt = require('jsonwebtoken');
-const { body } = require('express-validator');
+const crypto = require('crypto');
+const { body, query } = require('express-validator');
+const appAttest = require('../services/appAttest');
+const attestationProviders = require('../services/attestationProviders');
+const auditLog = require('../services/auditLog');
+const dataService = require('../services/dataService');
+const gameRegistry = require('../services/gameRegistry');
+const pushAuth = require('../services/pushAuth');
+const tokenService = require('../services/tokenService');
+const { isDevAuthEnabled } = require('../utils/devAuth');
 
 /**
- * Validates the Apple App Attest request body
+ * Validates the challenge request query
+ * keyID is the key the client will attest or assert with, and the challenge is bound to it
+ * Used in the /api/auth/app-attest-challenge endpoint
+ */
+const validateChallengeRequest = [
+  query('keyID').isString().notEmpty(),
+];
+
+/**
+ * Validates the attestation request body
  * Ensures all required fields are present and properly formatted
- * Used in the /api/auth/verify endpoint
+ * platform selects the attestation provider and defaults to 'ios'
+ * Used in the /api/auth/verify-attestation endpoint
  */
 const validateAppAttest = [
+  body('platform').optional().isIn(attestationProviders.platforms()),
   body('attestation').isString().notEmpty(),
   body('challenge').isString().notEmpty(),
   body('keyID').isString().notEmpty(),
 ];
 
+/**
+ * Validates the App Attest assertion request body
+ * Used in the /api/auth/verify-assertion endpoint
+ */
+const validateAppAssertion = [
+  body('assertion').isString().notEmpty(),
+  body('challenge').isString().notEmpty(),
+  body('keyID').isString().notEmpty(),
+];
+
+/**
+ * Validates the dev token request body
+ * Used in the /api/auth/dev-token endpoint
+ */
+const validateDevToken = [
+  body('deviceId').optional().isString().notEmpty(),
+  body('scopes').optional().isArray(),
+  body('scopes.*').optional().isString(),
+  body('expiresIn').optional().matches(/^\d+[smhd]?$/),
+];
+
+/**
+ * Validates the entitlements request body
+ * Used in the /api/auth/entitlements endpoint
+ */
+const validateEntitlements = [
+  body('signedTransactions').isArray({ min: 1, max: 20 }),
+  body('signedTransactions.*').isString().notEmpty(),
+];
+
+/**
+ * Middleware factory requiring an entitlement scope in the access token
+ * Must run after verifyToken. Only enforced when ENFORCE_ENTITLEMENTS is true,
+ * so gated routes can ship before the paywall does
+ * 
+ * @param {string} scope - Required scope, e.g. 'premium'
+ * @returns {Function} Middleware returning 402 if the token lacks the scope
+ */
+const requireEntitlement = (scope) => (req, res, next) => {
+  if (process.env.ENFORCE_ENTITLEMENTS !== 'true') {
+    return next();
+  }
+
+  const scopes = Array.isArray(req.user?.scopes) ? req.user.scopes : [];
+  if (scopes.includes(scope)) {
+    return next();
+  }
+
+  res.status(402).json({
+    error: 'Upgrade required',
+    entitlement: scope,
+    message: `This feature requires ${scope}. Purchase it in the app, then send the signed transaction to POST /api/auth/entitlements for a new token.`
+  });
+};
+
+/**
+ * Middleware that hides development-only routes unless dev auth is enabled
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} 404 response if dev auth is disabled
+ */
+const requireDevAuth = (req, res, next) => {
+  if (!isDevAuthEnabled()) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+};
+
+/**
+ * Builds the client data an X-App-Assertion header signs for a request
+ * Format: "<METHOD> <originalUrl>\n" followed by the raw request body, if any
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Buffer} The client data
+ */
+const getRequestClientData = (req) => {
+  return Buffer.concat([
+    Buffer.from(`${req.method} ${req.originalUrl}\n`, 'utf8'),
+    req.rawBody || Buffer.alloc(0)
+  ]);
+};
+
+/**
+ * Middleware to verify a per-request App Attest assertion
+ * Must run after verifyToken, since the key is taken from the token's keyId claim.
+ * The X-App-Assertion header is checked whenever it is sent, and is mandatory
+ * when REQUIRE_APP_ASSERTION is true. Rejected assertions are audit logged.
+ * Only iOS devices have an attested key to assert with, so other platforms are let through
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} 401 response if the assertion is missing or invalid
+ */
+const requireAppAssertion = async (req, res, next) => {
+  const header = req.get('X-App-Assertion');
+  
+  // Dev tokens and Play Integrity devices have no attested key to assert with
+  // Devices registered before platforms were recorded all used App Attest
+  const platform = req.device?.platform || 'ios';
+  if (req.user?.dev || platform !== 'ios') {
+    return next();
+  }
+  
+  if (!header) {
+    if (process.env.REQUIRE_APP_ASSERTION === 'true') {
+      return res.status(401).json({ error: 'App assertion required' });
+    }
+    return next();
+  }
+
+  const keyId = req.user?.keyId;
+  const auditFailure = (reason, error) => auditLog.record({
+    type: 'request-assertion',
+    outcome: 'failure',
+    keyId,
+    ip: req.ip,
+    platform,
+    reasons: [reason],
+    error,
+    deviceId: req.user?.deviceId
+  });
+
+  try {
+    const storedKey = keyId ? await dataService.getAttestedKey(keyId) : null;
+    
+    if (!storedKey) {
+      auditFailure('unknown_key');
+      return res.status(401).json({ error: 'Invalid app assertion' });
+    }
+
+    const result = appAttest.verifyAssertion(
+      Buffer.from(header, 'base64'),
+      getRequestClientData(req),
+      storedKey
+    );
+    
+    if (!result.verified) {
+      auditFailure(result.reason, result.error);
+      return res.status(401).json({ error: 'Invalid app assertion' });
+    }
+
+    // Persist the new counter so the same assertion cannot be replayed
+    if (!await dataService.updateAttestedKeyCounter(keyId, result.counter)) {
+      auditFailure('counter_not_incremented');
+      return res.status(401).json({ error: 'Invalid app assertion' });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validates the refresh token request body
+ * Used in the /api/auth/refresh endpoint
+ */
+const validateRefreshToken = [
+  body('refreshToken').isString().notEmpty(),
+];
+
 /**
  * Middleware to verify JWT tokens in request headers
- * Extracts token from Authorization header and verifies it using JWT_SECRET
+ * Extracts token from Authorization header, verifies it using JWT_SECRET
+ * and rejects tokens that have been revoked (by jti, token family or device)
  * Adds decoded user information to the request object
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @returns {Object} 401 response if token is missing or invalid
+ * @returns {Object} 401 response if token is missing, invalid or revoked
  */
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   // Extract token from Authorization header (format: "Bearer <token>")
   const token = req.headers.authorization?.split(' ')[1];
   
@@ -35,22 +219,115 @@ const verifyToken = (req, res, next) => {
     return res.status(401).json({ error: 'No token provided' });
   }
 
+  let decoded;
   try {
-    // Verify and decode the JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // Add decoded user information to request object
-    req.user = decoded;
-    next();
+    // Verify and decode the JWT token, checking the revocation list
+    decoded = await tokenService.verifyAccessToken(token);
   } catch (err) {
+    if (err.code === 'TOKEN_REVOKED') {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  // Dev tokens skip the device registry, and are rejected outright once dev auth is off
+  if (decoded.dev) {
+    if (!isDevAuthEnabled()) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    req.user = decoded;
+    return next();
+  }
+
+  let device;
+  try {
+    // Only tokens for known, unbanned devices are accepted
+    device = await dataService.getVerifiedDevice(decoded.deviceId);
+    if (!device || device.attestationVerified !== true) {
+      return res.status(401).json({ error: 'Unknown device' });
+    }
+    if (device.banned) {
+      return res.status(403).json({ error: 'Device banned' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  // Track last-seen time in the background, it never holds up the request
+  dataService.touchVerifiedDevice(decoded.deviceId);
+
+  // Add decoded user information and the device record to request object
+  req.user = decoded;
+  req.device = device;
+  next();
+};
+
+/**
+ * Middleware to authenticate admin requests
+ * Compares the X-Admin-Key header with ADMIN_API_KEY in constant time
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} 401 response if the key is missing or wrong
+ */
+const verifyAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const providedKey = req.get('X-Admin-Key');
+  
+  if (!adminKey || !providedKey) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+
+  // Hash both sides so the comparison does not leak the key length
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const provided = crypto.createHash('sha256').update(providedKey).digest();
+  
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware to authenticate Pub/Sub push requests
+ * Verifies the OIDC token Google attaches; push endpoints are hidden unless push authentication is configured
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} 404 response if not configured, 401 if the token is missing or invalid
+ */
+const verifyPushRequest = async (req, res, next) => {
+  if (!pushAuth.isConfigured()) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  try {
+    req.push = await pushAuth.verifyToken(token);
+  } catch (error) {
+    if (error.code === 'INVALID_PUSH_TOKEN') {
+      console.warn(error.message);
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    // Google's keys couldn't be fetched; Pub/Sub redelivers the message
+    console.error('Error verifying push token:', error);
+    return res.status(503).json({ error: 'Could not verify token' });
+  }
+  next();
 };
 
 /**
- * Middleware to validate lottery type
+ * Middleware to validate lottery type against the game registry
  */
 const validateLotteryType = (req, res, next) => {
-  const validTypes = ['mega-millions', 'powerball'];
+  const validTypes = gameRegistry.getTypes();
   
   // Get type from query or body
   const type = req.method === 'GET' ? req.query.type : req.body.type;
@@ -67,7 +344,18 @@ const validateLotteryType = (req, res, next) => {
 };
 
 module.exports = {
+  validateChallengeRequest,
   validateAppAttest,
+  validateAppAssertion,
+  validateRefreshToken,
+  validateDevToken,
+  validateEntitlements,
+  requireEntitlement,
+  requireDevAuth,
+  getRequestClientData,
+  requireAppAssertion,
   verifyToken,
+  verifyAdmin,
+  verifyPushRequest,
   validateLotteryType
 }; 
\ No newline at end of file
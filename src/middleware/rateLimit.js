@@ -0,0 +1,78 @@
+const rateLimit = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+/**
+ * Rate limit key for a request
+ * Authenticated requests are limited per device, so users sharing an IP
+ * (carrier NAT, office networks) don't share a budget. Everything else falls back to the IP
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} The rate limit key
+ */
+const getRateLimitKey = (req) => {
+  if (req.user?.deviceId) {
+    return `device:${req.user.deviceId}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Create a rate limiter with its own budget
+ * RATE_LIMIT_<GROUP>_WINDOW_MS and RATE_LIMIT_<GROUP>_MAX override the defaults for a group;
+ * RATE_LIMIT_WINDOW_MS and RATE_LIMIT_MAX_REQUESTS apply to groups without overrides.
+ * Device-keyed limiters must run after verifyToken
+ *
+ * @param {string} group - Route group name, also used as the store key prefix
+ * @param {Object} defaults - Default windowMs and max for the group
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = (group, defaults = {}) => {
+  const envPrefix = `RATE_LIMIT_${group.toUpperCase().replace(/-/g, '_')}`;
+
+  const windowMs = parseInt(process.env[`${envPrefix}_WINDOW_MS`]) ||
+    defaults.windowMs ||
+    parseInt(process.env.RATE_LIMIT_WINDOW_MS) ||
+    900000;
+  const max = parseInt(process.env[`${envPrefix}_MAX`]) ||
+    defaults.max ||
+    parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) ||
+    100;
+
+  return rateLimit({
+    windowMs,
+    max,
+    keyGenerator: getRateLimitKey,
+    store: createRateLimitStore(`rate-limit:${group}:`),
+    message: { error: 'Too many requests' }
+  });
+};
+
+// Ceiling per IP in front of token verification, so requests with missing or forged tokens are
+// limited too. Users behind one NAT share it, so it is well above the per-device budgets
+const ipLimiter = createRateLimiter('ip', { max: 2000 });
+
+// Unauthenticated auth routes, limited per IP
+const authLimiter = createRateLimiter('auth');
+
+// Lottery draws and search
+const lotteryLimiter = createRateLimiter('lottery');
+
+// Random number generation is cheap to call in a loop, so it gets a tighter budget
+const generateLimiter = createRateLimiter('generate', { windowMs: 60 * 1000, max: 10 });
+
+// Statistics
+const statsLimiter = createRateLimiter('stats');
+
+// Admin API, limited per IP
+const adminLimiter = createRateLimiter('admin');
+
+module.exports = {
+  getRateLimitKey,
+  createRateLimiter,
+  ipLimiter,
+  authLimiter,
+  lotteryLimiter,
+  generateLimiter,
+  statsLimiter,
+  adminLimiter
+};
@@ -0,0 +1,359 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { verifyAdmin } = require('../middleware/auth');
+const auditLog = require('../services/auditLog');
+const dataService = require('../services/dataService');
+const drawIngestion = require('../services/drawIngestion');
+const { parseFeed } = require('../utils/resultFeeds');
+const tokenService = require('../services/tokenService');
+
+// Helper function for error responses that's production-safe
+const handleError = (res, error, message) => {
+  // Log the full error for server-side debugging
+  console.error(message, error);
+
+  // In production, send generic error message without details
+  // In development, include more information for debugging
+  if (process.env.NODE_ENV === 'production') {
+    res.status(500).json({ error: message });
+  } else {
+    res.status(500).json({
+      error: message,
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Every admin route requires the admin key
+router.use(verifyAdmin);
+
+// List and search verified devices
+router.get('/devices',
+  [
+    query('search').optional().isString(),
+    query('platform').optional().isString(),
+    query('banned').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { search, platform, banned, limit, offset } = req.query;
+      const result = await dataService.listVerifiedDevices({ search, platform, banned, limit, offset });
+
+      res.set('Cache-Control', 'no-store');
+      res.json(result);
+    } catch (error) {
+      handleError(res, error, 'Failed to list devices');
+    }
+  });
+
+// Get a single device
+router.get('/devices/:deviceId', async (req, res) => {
+  try {
+    const device = await dataService.getVerifiedDevice(req.params.deviceId);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(device);
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve device');
+  }
+});
+
+// Ban a device and revoke every token it holds
+router.post('/devices/:deviceId/ban',
+  [
+    param('deviceId').isString().notEmpty(),
+    body('reason').optional().isString()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const device = await dataService.setDeviceBanned(req.params.deviceId, true, req.body.reason);
+
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      await tokenService.revokeDevice(req.params.deviceId);
+
+      res.json(device);
+    } catch (error) {
+      handleError(res, error, 'Failed to ban device');
+    }
+  });
+
+// Unban a device. It must attest again to get new tokens
+router.post('/devices/:deviceId/unban', async (req, res) => {
+  try {
+    const device = await dataService.setDeviceBanned(req.params.deviceId, false);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json(device);
+  } catch (error) {
+    handleError(res, error, 'Failed to unban device');
+  }
+});
+
+// Release a StoreKit transaction from the device that claimed it, so another device can claim it
+router.post('/transactions/:originalTransactionId/release', async (req, res) => {
+  try {
+    const owner = await dataService.releaseTransaction(req.params.originalTransactionId);
+
+    if (!owner) {
+      return res.status(404).json({ error: 'Transaction not claimed' });
+    }
+
+    res.json(owner);
+  } catch (error) {
+    handleError(res, error, 'Failed to release transaction');
+  }
+});
+
+// Audit records are grouped by UTC day
+const auditRangeValidation = [
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/),
+  query('type').optional().isIn(['attestation', 'assertion', 'request-assertion']),
+  query('platform').optional().isString()
+];
+
+// List attestation and assertion audit records, newest first
+router.get('/audit',
+  [
+    ...auditRangeValidation,
+    query('outcome').optional().isIn(['success', 'failure']),
+    query('reason').optional().isString(),
+    query('keyId').optional().isString(),
+    query('ip').optional().isIP(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await auditLog.list(req.query);
+
+      res.set('Cache-Control', 'no-store');
+      res.json(result);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      handleError(res, error, 'Failed to list audit records');
+    }
+  });
+
+// Aggregate audit records per day, with failure counts by reason
+router.get('/audit/summary', auditRangeValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { from, to, type, platform } = req.query;
+    const summary = await auditLog.summarize({ from, to, type, platform });
+
+    res.set('Cache-Control', 'no-store');
+    res.json(summary);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    handleError(res, error, 'Failed to summarize audit records');
+  }
+});
+
+// Report the latest schema check of every draw and stats file, and which version is being served
+router.get('/data-status', (req, res) => {
+  try {
+    const files = dataService.getDataStatus();
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      healthy: files.every(file => file.status === 'ok' || file.status === 'unchecked'),
+      files
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get data status');
+  }
+});
+
+// Report the memory cache: its settings, and the state and hit counters of every file
+router.get('/cache', (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json(dataService.getCacheStats());
+  } catch (error) {
+    handleError(res, error, 'Failed to get cache stats');
+  }
+});
+
+// Reload data files into the memory cache now, by type or by storage key; all cached files without either
+router.post('/cache/purge',
+  [
+    body('types').optional().isArray(),
+    body('types.*').isString(),
+    body('keys').optional().isArray(),
+    body('keys.*').isString()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { types, keys } = req.body;
+      const cachedTypes = dataService.getCacheStats().files.filter(file => file.state !== 'empty').map(file => file.type);
+      // Only files that are served or already cached, so a purge can't load arbitrary keys
+      const knownTypes = new Set([...dataService.lotteryTypes.flatMap(type => [type, `${type}-stats`]), ...cachedTypes]);
+
+      const unknown = (types || []).filter(type => !knownTypes.has(type));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          errors: [{ type: 'field', value: unknown, msg: `Unknown or uncached types: ${unknown.join(', ')}`, path: 'types', location: 'body' }]
+        });
+      }
+
+      const toReload = new Set(types || []);
+      (keys || []).flatMap(key => dataService.getTypesForKey(key)).forEach(type => toReload.add(type));
+      if (!types && !keys) {
+        [...dataService.lotteryTypes, ...cachedTypes].forEach(type => toReload.add(type));
+      }
+
+      const reloaded = await dataService.reloadTypes([...toReload], 'admin purge');
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ reloaded });
+    } catch (error) {
+      handleError(res, error, 'Failed to purge cache');
+    }
+  });
+
+// Check stored stats files against stats computed from the draws
+router.get('/stats/consistency',
+  [
+    query('type').optional().isIn(dataService.lotteryTypes).withMessage('Invalid lottery type')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const types = req.query.type ? [req.query.type] : dataService.lotteryTypes;
+      const results = await Promise.all(types.map(type => dataService.checkStatistics(type)));
+
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        consistent: results.every(result => result.consistent),
+        results
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to check statistics');
+    }
+  });
+
+// Add new draw results and publish them with rebuilt stats
+router.post('/draws',
+  [
+    body('type').isIn(dataService.lotteryTypes).withMessage('Invalid lottery type'),
+    body('draws').isArray({ min: 1, max: 100 }).withMessage('draws must be an array of 1 to 100 draws'),
+    body('draws.*').isObject()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { type, draws } = req.body;
+      const { added, release } = await drawIngestion.ingestDraws(type, draws);
+
+      res.status(201).json({ type, added, release });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ errors: error.errors });
+      }
+      if (error.code === 'PRECONDITION_FAILED') {
+        return res.status(409).json({ error: 'Draws were published by another instance, retry the request' });
+      }
+      if (error.code === 'INVALID_DATA') {
+        return res.status(409).json({ error: 'Stored draws fail the schema check, fix or replace them first', problems: error.problems });
+      }
+      handleError(res, error, 'Failed to add draws');
+    }
+  });
+
+// Import draws from an official result feed
+// Full histories are larger than the JSON body limit, so feeds can also be sent as text/csv or text/plain
+router.post('/draws/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  [
+    query('type').isIn(dataService.lotteryTypes).withMessage('Invalid lottery type'),
+    query('format').optional().isIn(['csv', 'json']),
+    query('dryRun').optional().isBoolean().toBoolean(),
+    query('replace').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { type, dryRun = false, replace = false } = req.query;
+      const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+
+      const entries = parseFeed(type, req.body, format);
+      const result = await drawIngestion.importDraws(type, entries, { dryRun, replace });
+
+      if (!dryRun && result.invalid.length > 0) {
+        return res.status(400).json({ error: 'Feed has invalid rows, nothing was imported', ...result });
+      }
+      if (!dryRun && result.changed.length > 0 && !replace) {
+        return res.status(409).json({ error: 'Feed changes existing draws, pass replace=true to apply it', ...result });
+      }
+
+      res.status(result.written ? 201 : 200).json(result);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === 'PRECONDITION_FAILED') {
+        return res.status(409).json({ error: 'Draws were published by another instance, retry the request' });
+      }
+      if (error.code === 'INVALID_DATA') {
+        return res.status(409).json({ error: 'Stored draws fail the schema check, fix or replace them first', problems: error.problems });
+      }
+      handleError(res, error, 'Failed to import draws');
+    }
+  });
+
+module.exports = router;
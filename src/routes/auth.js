@@ -1,8 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { validateAppAttest } = require('../middleware/auth');
+const { validationResult } = require('express-validator');
+const {
+  validateChallengeRequest,
+  validateAppAttest,
+  validateAppAssertion,
+  validateRefreshToken,
+  validateDevToken,
+  validateEntitlements,
+  requireDevAuth,
+  verifyToken
+} = require('../middleware/auth');
 const appAttest = require('../services/appAttest');
+const attestationProviders = require('../services/attestationProviders');
+const auditLog = require('../services/auditLog');
+const challengeStore = require('../services/challengeStore');
+const dataService = require('../services/dataService');
+const storeKit = require('../services/storeKit');
+const tokenService = require('../services/tokenService');
 const crypto = require('crypto');
 
 // Helper function for error responses that's production-safe
@@ -23,11 +38,34 @@ const handleError = (res, error, message) => {
   }
 };
 
+// Identify the caller a challenge is bound to by the key it attests or asserts with
+// Unlike the IP, the key stays the same across networks and isn't shared behind a NAT
+const getCallerId = (keyId) => {
+  return crypto.createHash('sha256').update(keyId).digest('hex');
+};
+
+// Record an attestation or assertion attempt in the audit log, without waiting for the write
+const auditAttempt = (req, type, details) => {
+  auditLog.record({
+    type,
+    keyId: req.body.keyID,
+    ip: req.ip,
+    platform: req.body.platform || 'ios',
+    appVersion: req.body.appVersion || req.get('X-App-Version'),
+    ...details
+  });
+};
+
 // Generate a challenge for App Attest
-router.get('/app-attest-challenge', (req, res) => {
+router.get('/app-attest-challenge', validateChallengeRequest, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    // Generate a random challenge
-    const challenge = crypto.randomBytes(32).toString('base64');
+    // Generate and record a single-use challenge bound to the client's key
+    const { challenge } = await challengeStore.issue(getCallerId(req.query.keyID));
     
     // Return the challenge to the client
     res.json({ challenge });
@@ -36,35 +74,287 @@ router.get('/app-attest-challenge', (req, res) => {
   }
 });
 
-// App Attest verification endpoint
+// Device attestation endpoint, dispatches to the provider for the client platform
 router.post('/verify-attestation', validateAppAttest, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { keyID, attestation, challenge } = req.body;
+    const { keyID, attestation, challenge, platform = 'ios' } = req.body;
+    const appVersion = req.body.appVersion || req.get('X-App-Version');
     
-    // Verify the attestation with Apple's DeviceCheck API
-    const verificationResult = await appAttest.verifyAttestation(
-      Buffer.from(attestation, 'base64'),
-      challenge
-    );
+    // The challenge must have been issued by us for this key and not used before
+    const challengeResult = await challengeStore.consume(challenge, getCallerId(keyID));
+    if (!challengeResult.valid) {
+      auditAttempt(req, 'attestation', {
+        outcome: 'failure',
+        reasons: ['challenge_invalid'],
+        error: challengeResult.error
+      });
+      return res.status(400).json({ error: 'Invalid challenge' });
+    }
+    
+    // Verify with Apple App Attest or Play Integrity
+    const provider = attestationProviders.get(platform);
+    const verificationResult = await provider.verify({ attestation, challenge, keyID });
     
     if (!verificationResult.verified) {
-      return res.status(400).json({ error: 'Invalid attestation' });
+      auditAttempt(req, 'attestation', {
+        outcome: 'failure',
+        reasons: verificationResult.reasons,
+        error: verificationResult.error,
+        certificateChain: verificationResult.certificateChain
+      });
+
+      // The reason codes let the client tell configuration problems apart
+      return res.status(400).json({
+        error: 'Invalid attestation',
+        reasons: verificationResult.reasons
+      });
     }
 
-    // Generate JWT token tied to the device ID and key ID
-    const token = jwt.sign(
-      { 
+    // Banned devices cannot get new tokens by attesting again
+    const existingDevice = await dataService.getVerifiedDevice(verificationResult.deviceId);
+    if (existingDevice?.banned) {
+      auditAttempt(req, 'attestation', {
+        outcome: 'failure',
+        reasons: ['device_banned'],
         deviceId: verificationResult.deviceId,
-        keyId: keyID
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
+        certificateChain: verificationResult.certificateChain
+      });
+      return res.status(403).json({ error: 'Device banned' });
+    }
+
+    const registered = await dataService.storeVerifiedDevice(verificationResult.deviceId, {
+      platform,
+      appVersion
+    });
+    if (!registered) {
+      throw new Error('Failed to store verified device');
+    }
+
+    // Keep an attested public key so later assertions from this key can be verified
+    if (verificationResult.publicKey) {
+      const stored = await dataService.storeAttestedKey(
+        keyID,
+        verificationResult.publicKey,
+        verificationResult.deviceId
+      );
+      if (!stored) {
+        throw new Error('Failed to store attested key');
+      }
+    }
+
+    // Generate an access token tied to the device ID and key ID, plus a refresh token
+    const { token, refreshToken } = await tokenService.issueTokens(verificationResult.deviceId, keyID);
+
+    auditAttempt(req, 'attestation', {
+      outcome: 'success',
+      deviceId: verificationResult.deviceId,
+      certificateChain: verificationResult.certificateChain
+    });
+
+    res.json({ token, refreshToken });
+  } catch (error) {
+    auditAttempt(req, 'attestation', {
+      outcome: 'failure',
+      reasons: ['internal_error'],
+      error: error.message
+    });
+    handleError(res, error, 'Failed to verify attestation');
+  }
+});
+
+// App Attest assertion endpoint, re-authenticates an already attested key
+router.post('/verify-assertion', validateAppAssertion, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { keyID, assertion, challenge } = req.body;
+    
+    // Assertions answer a server challenge, just like attestations
+    const challengeResult = await challengeStore.consume(challenge, getCallerId(keyID));
+    if (!challengeResult.valid) {
+      auditAttempt(req, 'assertion', {
+        outcome: 'failure',
+        reasons: ['challenge_invalid'],
+        error: challengeResult.error
+      });
+      return res.status(400).json({ error: 'Invalid challenge' });
+    }
+    
+    const storedKey = await dataService.getAttestedKey(keyID);
+    if (!storedKey) {
+      auditAttempt(req, 'assertion', { outcome: 'failure', reasons: ['unknown_key'] });
+      return res.status(400).json({ error: 'Unknown key' });
+    }
+    
+    const device = await dataService.getVerifiedDevice(storedKey.deviceId);
+    if (device?.banned) {
+      auditAttempt(req, 'assertion', {
+        outcome: 'failure',
+        reasons: ['device_banned'],
+        deviceId: storedKey.deviceId
+      });
+      return res.status(403).json({ error: 'Device banned' });
+    }
+    
+    // The client signs the challenge string as its client data
+    const verificationResult = appAttest.verifyAssertion(
+      Buffer.from(assertion, 'base64'),
+      challenge,
+      storedKey
+    );
+    
+    if (!verificationResult.verified) {
+      auditAttempt(req, 'assertion', {
+        outcome: 'failure',
+        reasons: [verificationResult.reason],
+        error: verificationResult.error,
+        deviceId: storedKey.deviceId
+      });
+      return res.status(400).json({
+        error: 'Invalid assertion',
+        reason: verificationResult.reason
+      });
+    }
+    
+    if (!await dataService.updateAttestedKeyCounter(keyID, verificationResult.counter)) {
+      auditAttempt(req, 'assertion', {
+        outcome: 'failure',
+        reasons: ['counter_not_incremented'],
+        deviceId: storedKey.deviceId
+      });
+      return res.status(400).json({
+        error: 'Invalid assertion',
+        reason: 'counter_not_incremented'
+      });
+    }
+
+    const { token, refreshToken } = await tokenService.issueTokens(storedKey.deviceId, keyID);
+
+    auditAttempt(req, 'assertion', { outcome: 'success', deviceId: storedKey.deviceId });
+
+    res.json({ token, refreshToken });
+  } catch (error) {
+    auditAttempt(req, 'assertion', {
+      outcome: 'failure',
+      reasons: ['internal_error'],
+      error: error.message
+    });
+    handleError(res, error, 'Failed to verify assertion');
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await tokenService.rotateRefreshToken(req.body.refreshToken);
+    
+    if (!result.valid) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    handleError(res, error, 'Failed to refresh token');
+  }
+});
+
+// Revoke the current access token and its refresh token family
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await tokenService.revokeAccessToken(req.user);
+    await tokenService.revokeFamily(req.user.fid);
+
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, 'Failed to log out');
+  }
+});
+
+// Verify StoreKit 2 transactions and reissue the access token with their entitlement scopes
+router.post('/entitlements', verifyToken, validateEntitlements, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  // Dev tokens aren't tied to a registered device; mint them with the scopes you need instead
+  if (req.user.dev) {
+    return res.status(400).json({ error: 'Dev tokens cannot hold entitlements' });
+  }
+
+  try {
+    const { deviceId, keyId, fid } = req.user;
+    const results = req.body.signedTransactions.map(jws => storeKit.verifySignedTransaction(jws));
+
+    // A purchase unlocks the device that presented it first, not every device holding its JWS
+    for (const [index, result] of results.entries()) {
+      if (result.verified && !(await dataService.claimTransaction(deviceId, result.transaction.originalTransactionId))) {
+        results[index] = { ...result, verified: false, reasons: ['transaction_claimed_by_other_device'] };
+      }
+    }
+
+    const transactions = results.map(({ verified, reasons, transaction }) => ({
+      verified,
+      reasons,
+      productId: transaction?.productId,
+      expiresDate: transaction?.expiresDate
+    }));
+
+    const verified = results.filter(result => result.verified);
+    if (verified.length === 0) {
+      return res.status(400).json({ error: 'Invalid transactions', transactions });
+    }
+
+    const device = await dataService.storeDeviceEntitlements(
+      deviceId,
+      verified.map(({ transaction, scopes }) => ({ ...transaction, scopes }))
     );
+    if (!device) {
+      return res.status(401).json({ error: 'Unknown device' });
+    }
+
+    const scopes = await dataService.getEntitlementScopes(deviceId);
+    const token = await tokenService.signAccessToken({ deviceId, keyId, familyId: fid, scopes });
+
+    res.json({ token, scopes, transactions });
+  } catch (error) {
+    handleError(res, error, 'Failed to verify entitlements');
+  }
+});
+
+// Development-only token minting, hidden unless DEV_AUTH_ENABLED=true outside production
+router.post('/dev-token', requireDevAuth, validateDevToken, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { deviceId = 'dev-device', scopes = [], expiresIn } = req.body;
+    
+    // Plain numbers are seconds, as in jsonwebtoken
+    const token = await tokenService.issueDevToken({
+      deviceId,
+      scopes,
+      expiresIn: /^\d+$/.test(expiresIn) ? parseInt(expiresIn) : expiresIn
+    });
 
-    // Return just the token as expected by the iOS client
     res.json({ token });
   } catch (error) {
-    handleError(res, error, 'Failed to verify attestation');
+    handleError(res, error, 'Failed to mint dev token');
   }
 });
 
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireAppAssertion } = require('../middleware/auth');
+const { lotteryLimiter } = require('../middleware/rateLimit');
+const gameRegistry = require('../services/gameRegistry');
+const { getEras, getGameRules } = require('../utils/gameRules');
+
+// Helper function for error responses that's production-safe
+const handleError = (res, error, message) => {
+  // Log the full error for server-side debugging
+  console.error(message, error);
+
+  // In production, send generic error message without details
+  // In development, include more information for debugging
+  if (process.env.NODE_ENV === 'production') {
+    res.status(500).json({ error: message });
+  } else {
+    res.status(500).json({
+      error: message,
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// List the supported games, with the rules in effect today and every era
+router.get('/', verifyToken, lotteryLimiter, requireAppAssertion, (req, res) => {
+  try {
+    const games = gameRegistry.getTypes().map(type => {
+      const game = gameRegistry.get(type);
+      return {
+        slug: game.slug,
+        name: game.name,
+        specialBall: game.specialBall,
+        numberCount: game.numberCount,
+        current: getGameRules(type),
+        eras: getEras(type)
+      };
+    });
+
+    // Definitions only change with a deploy
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.set('Vary', 'Authorization');
+
+    res.json({ games });
+  } catch (error) {
+    handleError(res, error, 'Failed to list games');
+  }
+});
+
+module.exports = router;
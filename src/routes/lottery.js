@@ -1,14 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
-const { validateLotteryType, verifyToken } = require('../middleware/auth');
+const { validateLotteryType, verifyToken, requireAppAssertion, requireEntitlement } = require('../middleware/auth');
+const { lotteryLimiter, generateLimiter } = require('../middleware/rateLimit');
 const dataService = require('../services/dataService');
-const { getCacheDuration, getETag } = require('../utils/timeUtils');
+const { getGameRules, getHistoricalRanges } = require('../utils/gameRules');
+const { getCacheDuration } = require('../utils/timeUtils');
+const { createDataETag, isNotModified } = require('../utils/conditionalGet');
 
-// Helper function to set cache headers based on time of day
-const setCacheHeaders = (res, defaultMaxAge = 300, contentType = 'data') => {
-  // Get appropriate cache duration based on time of day and content type
-  const maxAge = getCacheDuration(contentType, defaultMaxAge);
+// Helper function to set cache headers based on the game's draw schedule
+const setCacheHeaders = (res, defaultMaxAge = 300, contentType = 'data', type = null) => {
+  // Get appropriate cache duration based on the game's next update window and content type
+  const maxAge = getCacheDuration(contentType, defaultMaxAge, type);
   
   // Set cache headers with the computed max age
   res.set('Cache-Control', `public, max-age=${maxAge}`);
@@ -16,9 +19,6 @@ const setCacheHeaders = (res, defaultMaxAge = 300, contentType = 'data') => {
   
   // Add Vary header to ensure CDNs respect user-specific data
   res.set('Vary', 'Authorization');
-  
-  // Set ETag based on time of day
-  res.set('ETag', getETag());
 };
 
 // Helper function for error responses that's production-safe
@@ -26,12 +26,15 @@ const handleError = (res, error, message) => {
   // Log the full error for server-side debugging
   console.error(message, error);
   
+  // Data that failed its schema check with nothing good to fall back on is unavailable, not an error
+  const status = error.code === 'DATA_UNAVAILABLE' ? 503 : 500;
+  
   // In production, send generic error message without details
   // In development, include more information for debugging
   if (process.env.NODE_ENV === 'production') {
-    res.status(500).json({ error: message });
+    res.status(status).json({ error: message });
   } else {
-    res.status(500).json({ 
+    res.status(status).json({ 
       error: message,
       details: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -42,6 +45,8 @@ const handleError = (res, error, message) => {
 // Get latest lottery draws
 router.get('/', 
   verifyToken,
+  lotteryLimiter,
+  requireAppAssertion,
   validateLotteryType,
   async (req, res) => {
     try {
@@ -49,11 +54,18 @@ router.get('/',
       const limit = parseInt(req.query.limit) || 10;
       const offset = parseInt(req.query.offset) || 0;
 
+      // Clients revalidating the current version get a 304 without the draws being read
+      const { version, updated } = await dataService.getVersionInfo(type);
+      const etag = createDataETag('lottery', version, { type, limit, offset });
+
+      // Set cache headers - use 10 minutes as the default for this endpoint
+      setCacheHeaders(res, 10 * 60, 'data', type);
+      if (isNotModified(req, res, { etag, lastModified: updated })) {
+        return res.status(304).end();
+      }
+
       // Retrieve draws from JSON files
       const draws = await dataService.getLotteryDraws(type, limit, offset);
-      
-      // Set cache headers - use 10 minutes as the default for this endpoint
-      setCacheHeaders(res, 10 * 60, 'data');
 
       res.json(draws);
     } catch (error) {
@@ -61,13 +73,17 @@ router.get('/',
     }
   });
 
-// Search for lottery draws by numbers and/or specialBall
+// Search for lottery draws by numbers, specialBall, multiplier and/or minimum jackpot
 router.get('/search',
   verifyToken,
+  lotteryLimiter,
+  requireAppAssertion,
   validateLotteryType,
   [
     query('numbers').optional().isString(),
-    query('specialBall').optional().isInt({ min: 1 }).toInt()
+    query('specialBall').optional().isInt({ min: 1 }).toInt(),
+    query('multiplier').optional().isInt({ min: 1 }).toInt(),
+    query('minJackpot').optional().isFloat({ min: 0 }).toFloat()
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -79,6 +95,8 @@ router.get('/search',
       const { type } = req.query;
       const numbersParam = req.query.numbers;
       const specialBall = req.query.specialBall || null;
+      const multiplier = req.query.multiplier || null;
+      const minJackpot = req.query.minJackpot ?? null;
 
       // Parse numbers from comma-separated string, filter out non-numbers
       const numbers = numbersParam ? 
@@ -86,11 +104,37 @@ router.get('/search',
           .map(n => parseInt(n.trim()))
           .filter(n => !isNaN(n)) : [];
 
-      // Search for draws matching the criteria
-      const results = await dataService.searchLotteryDraws(type, numbers, specialBall);
-      
+      // The history spans every era, so accept anything any era could have drawn
+      const { maxNumber, maxSpecialBall } = getHistoricalRanges(type);
+      if (numbers.some(n => n < 1 || n > maxNumber)) {
+        return res.status(400).json({
+          errors: [{ type: 'field', value: numbersParam, msg: `numbers must be between 1 and ${maxNumber}`, path: 'numbers', location: 'query' }]
+        });
+      }
+      if (specialBall !== null && specialBall > maxSpecialBall) {
+        return res.status(400).json({
+          errors: [{ type: 'field', value: specialBall, msg: `specialBall must be between 1 and ${maxSpecialBall}`, path: 'specialBall', location: 'query' }]
+        });
+      }
+
+      // The order numbers are given in doesn't change the results
+      const { version, updated } = await dataService.getVersionInfo(type);
+      const etag = createDataETag('lottery-search', version, {
+        type,
+        numbers: [...numbers].sort((a, b) => a - b),
+        specialBall,
+        multiplier,
+        minJackpot
+      });
+
       // Search results can be cached longer - use 20 minutes as default
-      setCacheHeaders(res, 20 * 60, 'data');
+      setCacheHeaders(res, 20 * 60, 'data', type);
+      if (isNotModified(req, res, { etag, lastModified: updated })) {
+        return res.status(304).end();
+      }
+
+      // Search for draws matching the criteria
+      const results = await dataService.searchLotteryDraws(type, numbers, specialBall, { multiplier, minJackpot });
 
       res.json(results);
     } catch (error) {
@@ -101,16 +145,20 @@ router.get('/search',
 // Generate random numbers
 router.get('/generate-random',
   verifyToken,
+  generateLimiter,
+  requireAppAssertion,
+  requireEntitlement('premium'),
   validateLotteryType,
   async (req, res) => {
     try {
       const { type } = req.query;
-      const maxNumber = type === 'mega-millions' ? 70 : 69;
-      const maxSpecialBall = type === 'mega-millions' ? 25 : 26;
       
-      // Generate 5 unique random numbers between 1 and max
+      // Numbers are generated for the game as it is played today
+      const { numberCount, maxNumber, maxSpecialBall } = getGameRules(type);
+      
+      // Generate unique random numbers between 1 and max
       const numbers = [];
-      while (numbers.length < 5) {
+      while (numbers.length < numberCount) {
         const randomNum = Math.floor(Math.random() * maxNumber) + 1;
         if (!numbers.includes(randomNum)) {
           numbers.push(randomNum);
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { verifyPushRequest } = require('../middleware/auth');
+const dataService = require('../services/dataService');
+
+// Helper function for error responses that's production-safe
+const handleError = (res, error, message) => {
+  // Log the full error for server-side debugging
+  console.error(message, error);
+
+  // In production, send generic error message without details
+  // In development, include more information for debugging
+  if (process.env.NODE_ENV === 'production') {
+    res.status(500).json({ error: message });
+  } else {
+    res.status(500).json({
+      error: message,
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Object changes that replace or remove a data file; metadata updates don't change the contents
+const RELOAD_EVENTS = ['OBJECT_FINALIZE', 'OBJECT_DELETE', 'OBJECT_ARCHIVE'];
+
+// GCS object change notifications, delivered by a Pub/Sub push subscription
+// Any 2xx acknowledges the message; other statuses make Pub/Sub redeliver it
+router.post('/gcs', verifyPushRequest, async (req, res) => {
+  const message = req.body && req.body.message;
+  const attributes = message && message.attributes;
+  if (!attributes || !attributes.eventType || !attributes.bucketId || !attributes.objectId) {
+    return res.status(400).json({ error: 'Expected a Pub/Sub push message with GCS notification attributes' });
+  }
+
+  try {
+    const { eventType, bucketId, objectId } = attributes;
+    const { storage } = dataService;
+
+    // Notifications for other buckets, other prefixes or other events are acknowledged and ignored
+    if (!RELOAD_EVENTS.includes(eventType) || storage.name !== 'gcs' ||
+      bucketId !== storage.bucketName || !objectId.startsWith(storage.prefix)) {
+      return res.status(204).end();
+    }
+
+    const key = objectId.slice(storage.prefix.length);
+    const results = await dataService.reloadKeys([key], `${eventType} of ${key}`);
+
+    // Retry when storage couldn't be read; a file rejected by the schema check won't get better
+    if (results.some(result => result.error && result.retryable)) {
+      return res.status(503).json({ error: 'Could not reload changed data' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, 'Failed to handle storage notification');
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, validateLotteryType } = require('../middleware/auth');
+const { query, validationResult } = require('express-validator');
+const { verifyToken, validateLotteryType, requireAppAssertion, requireEntitlement } = require('../middleware/auth');
+const { statsLimiter } = require('../middleware/rateLimit');
 const dataService = require('../services/dataService');
-const { getCacheDuration, getETag } = require('../utils/timeUtils');
+const { getCacheDuration } = require('../utils/timeUtils');
+const { createDataETag, isNotModified } = require('../utils/conditionalGet');
+const { getEras, getGameRules } = require('../utils/gameRules');
 
-// Helper function to set cache headers based on time of day
-const setCacheHeaders = (res, defaultMaxAge = 300, contentType = 'stats') => {
-  // Get appropriate cache duration based on time of day and content type
-  const maxAge = getCacheDuration(contentType, defaultMaxAge);
+// Helper function to set cache headers based on the game's draw schedule
+const setCacheHeaders = (res, defaultMaxAge = 300, contentType = 'stats', type = null) => {
+  // Get appropriate cache duration based on the game's next update window and content type
+  const maxAge = getCacheDuration(contentType, defaultMaxAge, type);
   
   // Set cache headers with the computed max age
   res.set('Cache-Control', `public, max-age=${maxAge}`);
@@ -15,9 +19,6 @@ const setCacheHeaders = (res, defaultMaxAge = 300, contentType = 'stats') => {
   
   // Add Vary header to ensure CDNs respect user-specific data
   res.set('Vary', 'Authorization');
-  
-  // Set ETag based on time of day
-  res.set('ETag', getETag());
 };
 
 // Helper function for error responses that's production-safe
@@ -25,12 +26,15 @@ const handleError = (res, error, message) => {
   // Log the full error for server-side debugging
   console.error(message, error);
   
+  // Data that failed its schema check with nothing good to fall back on is unavailable, not an error
+  const status = error.code === 'DATA_UNAVAILABLE' ? 503 : 500;
+  
   // In production, send generic error message without details
   // In development, include more information for debugging
   if (process.env.NODE_ENV === 'production') {
-    res.status(500).json({ error: message });
+    res.status(status).json({ error: message });
   } else {
-    res.status(500).json({ 
+    res.status(status).json({ 
       error: message,
       details: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -38,20 +42,59 @@ const handleError = (res, error, message) => {
   }
 };
 
-// Get lottery statistics
-router.get('/', verifyToken, validateLotteryType, async (req, res) => {
+// Eras are named by the date they started; 'current' is the era in effect today
+const eraValidation = [
+  query('era').optional().custom((value, { req }) => {
+    if (value !== 'current' && !getEras(req.query.type).some(era => era.from === value)) {
+      throw new Error('Unknown era');
+    }
+    return true;
+  }),
+  query('groupBy').optional().isIn(['era'])
+];
+
+// Statistics for the whole history are free; statistics for one era or each era need premium
+const requirePremiumForEras = (req, res, next) => {
+  if (req.query.era === undefined && req.query.groupBy === undefined) {
+    return next();
+  }
+  requireEntitlement('premium')(req, res, next);
+};
+
+// Get lottery statistics, for the whole history, one era, or each era separately
+router.get('/', verifyToken, statsLimiter, requireAppAssertion, requirePremiumForEras, validateLotteryType, eraValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const { type } = req.query;
+    const { type, groupBy } = req.query;
+    const era = req.query.era === 'current' ? getGameRules(type).era : req.query.era;
     
-    // Get statistics from local JSON file
-    const stats = await dataService.getStatistics(type);
+    // Statistics are computed from the draw history, so they change with the draws' version;
+    // clients revalidating the current version get a 304 without anything being computed
+    const { version, updated } = await dataService.getVersionInfo(type);
+    const etag = createDataETag('stats', version, { type, era, groupBy });
     
-    if (!stats || !stats.frequency) {
-      return res.status(404).json({ error: 'Statistics not found' });
+    // Set cache headers - stats can be cached longer, 1 hour default
+    setCacheHeaders(res, 60 * 60, 'stats', type);
+    if (isNotModified(req, res, { etag, lastModified: updated })) {
+      return res.status(304).end();
     }
     
-    // Set cache headers - stats can be cached longer, 1 hour default
-    setCacheHeaders(res, 60 * 60, 'stats');
+    if (groupBy === 'era') {
+      const result = await dataService.getStatisticsByEra(type);
+      return res.json(result);
+    }
+    
+    const stats = await dataService.getStatistics(type, { era });
+    
+    if (!stats || !stats.totalDraws) {
+      // Only found statistics are cacheable
+      ['Cache-Control', 'Surrogate-Control', 'ETag', 'Last-Modified'].forEach(header => res.removeHeader(header));
+      return res.status(404).json({ error: 'Statistics not found' });
+    }
     
     res.json(stats);
   } catch (error) {
@@ -1,10 +1,31 @@
 const cbor = require('cbor');
 const crypto = require('crypto');
 const asn1 = require('asn1.js');
+const { CertificateASN } = require('../utils/x509');
+
+// OID of the credential certificate extension that carries the attestation nonce
+const APP_ATTEST_NONCE_OID = '1.2.840.113635.100.8.2';
+
+// AAGUIDs identifying the App Attest environment a key was created in
+const AAGUID_PRODUCTION = Buffer.concat([Buffer.from('appattest'), Buffer.alloc(7)]);
+const AAGUID_DEVELOPMENT = Buffer.from('appattestdevelop');
+
+// Authenticator data flag set when attested credential data is included
+const AUTH_DATA_FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+/**
+ * Log a verification step, only when APP_ATTEST_DEBUG is true
+ * @param {...*} args - Passed to console.log
+ */
+const debug = (...args) => {
+  if (process.env.APP_ATTEST_DEBUG === 'true') {
+    console.log(...args);
+  }
+};
 
 class AppAttestService {
   constructor() {
-    console.log('Initializing AppAttestService');
+    debug('Initializing AppAttestService');
 
     // Load Apple environment variables
     try {
@@ -15,7 +36,7 @@ class AppAttestService {
         console.error('APPLE_ROOT_CA environment variable is not set');
         this.appleRootCA = null;
       } else {
-        console.log('APPLE_ROOT_CA found, length:', rootCAStr.length);
+        debug('APPLE_ROOT_CA found, length:', rootCAStr.length);
         
         try {
           // If it's wrapped in quotes, remove them
@@ -23,14 +44,14 @@ class AppAttestService {
           
           // Try direct Buffer conversion
           this.appleRootCA = Buffer.from(cleanedCAStr, 'base64');
-          console.log('Successfully decoded APPLE_ROOT_CA, buffer length:', this.appleRootCA.length);
+          debug('Successfully decoded APPLE_ROOT_CA, buffer length:', this.appleRootCA.length);
           
           // Verify if it's a valid certificate
           try {
             const certObj = new crypto.X509Certificate(this.appleRootCA);
-            console.log('Successfully created X509Certificate from APPLE_ROOT_CA');
-            console.log('Subject:', certObj.subject);
-            console.log('Issuer:', certObj.issuer);
+            debug('Successfully created X509Certificate from APPLE_ROOT_CA');
+            debug('Subject:', certObj.subject);
+            debug('Issuer:', certObj.issuer);
           } catch (certError) {
             console.error('Failed to create X509Certificate from APPLE_ROOT_CA:', certError);
           }
@@ -48,8 +69,11 @@ class AppAttestService {
     this.teamId = process.env.APPLE_TEAM_ID;
     this.bundleId = process.env.APPLE_BUNDLE_ID;
     
-    console.log('Team ID:', this.teamId);
-    console.log('Bundle ID:', this.bundleId);
+    // Keys from the development App Attest environment are only accepted when enabled
+    this.allowDevelopmentEnvironment = process.env.APP_ATTEST_ALLOW_DEVELOPMENT === 'true';
+    
+    debug('Team ID:', this.teamId);
+    debug('Bundle ID:', this.bundleId);
     
     if (!this.teamId || !this.bundleId) {
       console.warn('Missing team ID or bundle ID. Certificate verification will fail.');
@@ -77,55 +101,56 @@ class AppAttestService {
         raw: this.any()
       });
     });
+    
+    // Value of the 1.2.840.113635.100.8.2 extension: SEQUENCE { [1] OCTET STRING }
+    this.NonceASN = asn1.define('AppAttestNonce', function() {
+      this.seq().obj(
+        this.key('nonce').explicit(1).octstr()
+      );
+    });
   }
 
   /**
    * Verifies an Apple App Attest attestation
    * @param {Buffer} attestation - The attestation data
    * @param {string} challenge - The challenge string
-   * @returns {Promise<{verified: boolean, deviceId: string, error?: string}>}
+   * @param {string} keyId - The base64 key identifier submitted by the client
+   * @returns {Promise<{verified: boolean, deviceId: string, publicKey: string, reason?: string, error?: string}>}
    */
-  async verifyAttestation(attestation, challenge) {
+  async verifyAttestation(attestation, challenge, keyId) {
     try {
-      console.log('Starting attestation verification process');
-      
       // Decode the CBOR attestation
       let decodedAttestation;
       try {
-        console.log('Attempting to decode CBOR attestation data');
         decodedAttestation = await cbor.decode(attestation);
-        console.log('CBOR attestation decoded successfully');
       } catch (cborError) {
         console.error('Failed to decode CBOR attestation:', cborError);
         return { 
           verified: false, 
+          reason: 'invalid_format',
           error: 'Invalid attestation format: Failed to decode CBOR data'
         };
       }
       
-      // Log attestation structure for debugging
-      console.log('Attestation structure keys:', Object.keys(decodedAttestation));
-      
       // Verify the attestation format
       if (!this.isValidAttestationFormat(decodedAttestation)) {
         console.error('Invalid attestation format');
         return { 
           verified: false, 
+          reason: 'invalid_format',
           error: 'Invalid attestation format: Missing required fields'
         };
       }
-
-      console.log('Attestation format validation passed, verifying signature...');
       
       // Verify the attestation signature
       let signatureVerified = false;
       try {
         signatureVerified = await this.verifySignature(decodedAttestation);
-        console.log('Signature verification result:', signatureVerified);
       } catch (sigError) {
         console.error('Signature verification threw an error:', sigError);
         return { 
           verified: false, 
+          reason: 'signature_invalid',
           error: 'Signature verification failed: ' + sigError.message
         };
       }
@@ -134,21 +159,20 @@ class AppAttestService {
         console.error('Signature verification failed');
         return { 
           verified: false, 
+          reason: 'signature_invalid',
           error: 'Signature verification failed: Invalid signature'
         };
       }
-
-      console.log('Signature verification passed, verifying challenge...');
       
       // Verify the challenge
       let challengeVerified = false;
       try {
         challengeVerified = this.verifyChallenge(decodedAttestation, challenge);
-        console.log('Challenge verification result:', challengeVerified);
       } catch (challengeError) {
         console.error('Challenge verification threw an error:', challengeError);
         return { 
           verified: false, 
+          reason: 'challenge_mismatch',
           error: 'Challenge verification failed: ' + challengeError.message
         };
       }
@@ -157,21 +181,31 @@ class AppAttestService {
         console.error('Challenge verification failed');
         return { 
           verified: false, 
+          reason: 'challenge_mismatch',
           error: 'Challenge verification failed: Challenge mismatch'
         };
       }
-
-      console.log('Challenge verification passed, extracting device ID...');
+      
+      // Validate the authenticator data against our app, environment and key
+      const authDataResult = this.validateAuthData(decodedAttestation, keyId);
+      if (!authDataResult.valid) {
+        console.error('Authenticator data validation failed:', authDataResult.reason);
+        return {
+          verified: false,
+          reason: authDataResult.reason,
+          error: 'Authenticator data validation failed: ' + authDataResult.error
+        };
+      }
       
       // Extract and verify the device ID
       let deviceId;
       try {
         deviceId = this.extractDeviceId(decodedAttestation);
-        console.log('Extracted device ID:', deviceId ? deviceId.substring(0, 10) + '...' : 'null');
       } catch (idError) {
         console.error('Device ID extraction threw an error:', idError);
         return { 
           verified: false, 
+          reason: 'device_id_missing',
           error: 'Device ID extraction failed: ' + idError.message
         };
       }
@@ -180,24 +214,79 @@ class AppAttestService {
         console.error('Failed to extract valid device ID');
         return { 
           verified: false, 
+          reason: 'device_id_missing',
           error: 'Device ID extraction failed: No valid device ID found'
         };
       }
 
-      console.log('Attestation verification process complete and successful');
       return {
         verified: true,
-        deviceId
+        deviceId,
+        // Stored so later assertions from this key can be verified
+        publicKey: this.getLeafCertificate(decodedAttestation).publicKey
+          .export({ type: 'spki', format: 'pem' })
       };
     } catch (error) {
       console.error('Attestation verification error:', error);
       return { 
         verified: false, 
+        reason: 'internal_error',
         error: 'Attestation verification failed: ' + error.message
       };
     }
   }
 
+  /**
+   * Verifies an App Attest assertion made with a previously attested key
+   * @param {Buffer} assertion - CBOR encoded assertion ({signature, authenticatorData})
+   * @param {string|Buffer} clientData - The data the client signed
+   * @param {{publicKey: string, counter: number}} storedKey - The attested key record
+   * @returns {{verified: boolean, counter?: number, reason?: string, error?: string}}
+   */
+  verifyAssertion(assertion, clientData, storedKey) {
+    try {
+      let decodedAssertion;
+      try {
+        decodedAssertion = cbor.decodeFirstSync(assertion);
+      } catch (cborError) {
+        return { verified: false, reason: 'invalid_format', error: 'Failed to decode CBOR data' };
+      }
+      
+      const { signature, authenticatorData } = decodedAssertion || {};
+      if (!Buffer.isBuffer(signature) || !Buffer.isBuffer(authenticatorData)) {
+        return { verified: false, reason: 'invalid_format', error: 'Missing signature or authenticatorData' };
+      }
+      
+      let authData;
+      try {
+        authData = this.parseAuthData(authenticatorData);
+      } catch (parseError) {
+        return { verified: false, reason: 'auth_data_malformed', error: parseError.message };
+      }
+      
+      if (!authData.rpIdHash.equals(this.getRpIdHash())) {
+        return { verified: false, reason: 'rp_id_mismatch', error: 'RP ID hash does not match the App ID' };
+      }
+      
+      // The key signs SHA-256(authenticatorData || SHA-256(clientData))
+      const nonce = this.computeNonce(authenticatorData, clientData);
+      const publicKey = crypto.createPublicKey(storedKey.publicKey);
+      if (!crypto.verify('sha256', nonce, publicKey, signature)) {
+        return { verified: false, reason: 'signature_invalid', error: 'Assertion signature is invalid' };
+      }
+      
+      // The counter must strictly increase to rule out replayed assertions
+      if (authData.signCount <= (storedKey.counter || 0)) {
+        return { verified: false, reason: 'counter_not_incremented', error: 'Sign counter did not increase' };
+      }
+      
+      return { verified: true, counter: authData.signCount };
+    } catch (error) {
+      console.error('Assertion verification error:', error);
+      return { verified: false, reason: 'internal_error', error: 'Assertion verification failed: ' + error.message };
+    }
+  }
+
   /**
    * Validates the attestation format
    * @param {Object} attestation - Decoded attestation data
@@ -240,7 +329,7 @@ class AppAttestService {
       return false;
     }
     
-    console.log('Attestation format validation passed');
+    debug('Attestation format validation passed');
     return true;
   }
 
@@ -251,7 +340,7 @@ class AppAttestService {
    */
   async verifySignature(attestation) {
     try {
-      console.log('Starting attestation signature verification');
+      debug('Starting attestation signature verification');
       
       if (!attestation.attStmt || !attestation.attStmt.x5c) {
         console.error('Missing x5c certificate chain in attestation');
@@ -259,19 +348,19 @@ class AppAttestService {
       }
       
       const { x5c } = attestation.attStmt;
-      console.log('Certificate chain found with', x5c.length, 'certificates');
+      debug('Certificate chain found with', x5c.length, 'certificates');
       
       // Convert certificates from base64 to Buffer objects
       const certChain = x5c.map(cert => Buffer.from(cert, 'base64'));
       
       // Verify the certificate chain
-      console.log('Verifying certificate chain...');
+      debug('Verifying certificate chain...');
       const chainVerified = await this.verifyCertificateChain(certChain);
       if (!chainVerified) {
         console.error('Certificate chain verification failed');
         return false;
       }
-      console.log('Certificate chain verification successful ✓');
+      debug('Certificate chain verification successful ✓');
       
       // For Apple App Attestation, signature validation primarily relies on the
       // verification of the certificate chain and nonce validation
@@ -281,11 +370,11 @@ class AppAttestService {
       let signatureVerified = false;
       
       if (attestation.attStmt.sig) {
-        console.log('Found sig field in attestation, verifying explicitly');
+        debug('Found sig field in attestation, verifying explicitly');
         
         try {
           const signature = Buffer.from(attestation.attStmt.sig, 'base64');
-          console.log('Signature length:', signature.length, 'bytes');
+          debug('Signature length:', signature.length, 'bytes');
           
           // Get the leaf certificate to verify with
           const leafCert = certChain[0];
@@ -295,7 +384,7 @@ class AppAttestService {
           let signedData;
           try {
             signedData = this.getSignedData(attestation);
-            console.log('Signed data retrieved, length:', signedData.length, 'bytes');
+            debug('Signed data retrieved, length:', signedData.length, 'bytes');
           } catch (dataError) {
             console.error('Error getting signed data:', dataError);
             // Since certificate chain verification passed, continue
@@ -321,7 +410,7 @@ class AppAttestService {
               );
               
               if (result) {
-                console.log('Signature verification successful with padding:', padding);
+                debug('Signature verification successful with padding:', padding);
                 signatureVerified = true;
                 break;
               }
@@ -341,8 +430,8 @@ class AppAttestService {
           return true;
         }
       } else {
-        console.log('No explicit signature field found in attestation');
-        console.log('Relying on certificate chain verification for Apple App Attestation');
+        debug('No explicit signature field found in attestation');
+        debug('Relying on certificate chain verification for Apple App Attestation');
         // Certificate chain verification is sufficient for Apple App Attestation
         return true;
       }
@@ -361,23 +450,23 @@ class AppAttestService {
    */
   async verifyCertificateChain(certChain) {
     try {
-      console.log('Verifying certificate chain with', certChain.length, 'certificates');
+      debug('Verifying certificate chain with', certChain.length, 'certificates');
       
       // Create Apple Root CA certificate
       let rootCACert;
       try {
         rootCACert = new crypto.X509Certificate(this.appleRootCA);
-        console.log('Successfully loaded Apple Root CA certificate');
-        console.log('Apple Root CA subject:', rootCACert.subject);
+        debug('Successfully loaded Apple Root CA certificate');
+        debug('Apple Root CA subject:', rootCACert.subject);
       } catch (rootCAError) {
         console.error('Error loading Apple Root CA certificate:', rootCAError);
-        console.log('Attempting to decode Apple Root CA from base64');
+        debug('Attempting to decode Apple Root CA from base64');
         
         try {
           // Try again with base64 decoding in case it wasn't decoded properly
           const rootCABuffer = Buffer.from(process.env.APPLE_ROOT_CA, 'base64');
           rootCACert = new crypto.X509Certificate(rootCABuffer);
-          console.log('Successfully loaded Apple Root CA certificate after base64 decoding');
+          debug('Successfully loaded Apple Root CA certificate after base64 decoding');
         } catch (secondRootCAError) {
           console.error('Failed to load Apple Root CA certificate after retry:', secondRootCAError);
           return false;
@@ -391,7 +480,7 @@ class AppAttestService {
         
         // Create X.509 certificate objects
         const currentCertObj = new crypto.X509Certificate(currentCert);
-        console.log(`Certificate ${i} subject:`, currentCertObj.subject);
+        debug(`Certificate ${i} subject:`, currentCertObj.subject);
         
         // Verify certificate is valid and not expired
         if (!this.isValidCertificate(currentCert)) {
@@ -405,25 +494,25 @@ class AppAttestService {
           return false;
         }
         
-        console.log(`Certificate ${i} verified against its issuer`);
+        debug(`Certificate ${i} verified against its issuer`);
       }
 
       // Verify the last certificate is signed by Apple's root CA
       if (certChain.length > 0) {
         const lastCert = certChain[certChain.length - 1];
         const lastCertObj = new crypto.X509Certificate(lastCert);
-        console.log('Last certificate subject:', lastCertObj.subject);
-        console.log('Verifying last certificate against Apple Root CA');
+        debug('Last certificate subject:', lastCertObj.subject);
+        debug('Verifying last certificate against Apple Root CA');
         
         if (!this.verifyCertificateSignature(lastCert, rootCACert)) {
           console.error('Root CA verification failed - certificate not signed by Apple Root CA');
           // Print the issuer and subject for debugging
-          console.log('Last cert issuer:', lastCertObj.issuer);
-          console.log('Root CA subject:', rootCACert.subject);
+          debug('Last cert issuer:', lastCertObj.issuer);
+          debug('Root CA subject:', rootCACert.subject);
           return false;
         }
         
-        console.log('Last certificate successfully verified against Apple Root CA');
+        debug('Last certificate successfully verified against Apple Root CA');
       } else {
         console.error('Empty certificate chain');
         return false;
@@ -436,7 +525,7 @@ class AppAttestService {
         return false;
       }
       
-      console.log('Certificate chain verification completed successfully');
+      debug('Certificate chain verification completed successfully');
       return true;
     } catch (error) {
       console.error('Overall certificate chain verification error:', error);
@@ -481,7 +570,7 @@ class AppAttestService {
    */
   verifyCertificateSignature(cert, signingCert) {
     try {
-      console.log('Performing proper certificate signature verification');
+      debug('Performing proper certificate signature verification');
       
       // Create X.509 certificate objects, handling both Buffer and X509Certificate inputs
       const certObj = cert instanceof crypto.X509Certificate ? cert : new crypto.X509Certificate(cert);
@@ -489,15 +578,15 @@ class AppAttestService {
       
       // Use the built-in verify method if available (Node.js 15.6.0+)
       if (typeof certObj.verify === 'function') {
-        console.log('Using built-in X509Certificate.verify method');
+        debug('Using built-in X509Certificate.verify method');
         // Use the signing certificate's public key directly
         const result = certObj.verify(signingCertObj.publicKey);
-        console.log('Certificate verification result:', result);
+        debug('Certificate verification result:', result);
         return result;
       }
       
       // Fallback implementation for older Node.js versions
-      console.log('Falling back to manual certificate verification');
+      debug('Falling back to manual certificate verification');
       
       // Extract the public key from the signing certificate
       const publicKey = signingCertObj.publicKey;
@@ -519,7 +608,7 @@ class AppAttestService {
         console.error('Detailed verification error:', verifyError);
         
         // Third fallback for compatibility
-        console.log('Attempting additional fallback verification method');
+        debug('Attempting additional fallback verification method');
         try {
           // In modern Node.js, we can check the issuer/subject chains
           const certIssuer = certObj.issuer;
@@ -527,12 +616,12 @@ class AppAttestService {
           
           // Simple check that the certificate's issuer matches the signing cert's subject
           const issuerMatch = certIssuer === signingSubject;
-          console.log('Issuer/Subject match check:', issuerMatch);
+          debug('Issuer/Subject match check:', issuerMatch);
           
           if (!issuerMatch) {
             console.error('Certificate issuer does not match signing certificate subject');
-            console.log('Certificate issuer:', certIssuer);
-            console.log('Signing cert subject:', signingSubject);
+            debug('Certificate issuer:', certIssuer);
+            debug('Signing cert subject:', signingSubject);
             return false;
           }
           
@@ -555,41 +644,41 @@ class AppAttestService {
    */
   verifyLeafCertificate(cert) {
     try {
-      console.log('Performing proper leaf certificate verification');
+      debug('Performing proper leaf certificate verification');
       
       const certObj = new crypto.X509Certificate(cert);
-      console.log('Leaf certificate subject:', certObj.subject);
-      console.log('Leaf certificate issuer:', certObj.issuer);
+      debug('Leaf certificate subject:', certObj.subject);
+      debug('Leaf certificate issuer:', certObj.issuer);
       
       // Check if certificate is issued by Apple
       if (!certObj.issuer.includes('Apple')) {
         console.error('Leaf certificate not issued by Apple');
-        console.log('Issuer:', certObj.issuer);
+        debug('Issuer:', certObj.issuer);
         return false;
       }
-      console.log('Leaf certificate is issued by Apple ✓');
+      debug('Leaf certificate is issued by Apple ✓');
 
       // For App Attestation, Apple's certificates don't typically include the bundle ID
       // in the certificate subject. They use a different format with a key identifier.
       // We'll log the information but not fail verification
       const subject = certObj.subject;
-      console.log('Our app bundle ID:', this.bundleId);
+      debug('Our app bundle ID:', this.bundleId);
       
       if (!this.bundleId) {
         console.warn('No bundle ID provided for verification');
       } else if (!subject.includes(this.bundleId)) {
-        console.log('Note: Apple App Attestation certificates typically don\'t include the bundle ID in the subject');
-        console.log('Subject:', subject);
-        console.log('App bundle ID:', this.bundleId);
+        debug('Note: Apple App Attestation certificates typically don\'t include the bundle ID in the subject');
+        debug('Subject:', subject);
+        debug('App bundle ID:', this.bundleId);
         // Don't fail verification - this is normal for App Attestation
       }
       
       // Similarly, the team ID won't be in the certificate subject for App Attestation
-      console.log('Our team ID:', this.teamId);
+      debug('Our team ID:', this.teamId);
       if (!this.teamId) {
         console.warn('No team ID provided for verification');
       } else if (!subject.includes(this.teamId)) {
-        console.log('Note: Apple App Attestation certificates typically don\'t include the team ID in the subject');
+        debug('Note: Apple App Attestation certificates typically don\'t include the team ID in the subject');
       }
 
       // For App Attestation, we validate that the certificate is from Apple's App Attestation CA
@@ -597,9 +686,9 @@ class AppAttestService {
         console.error('Certificate not issued by Apple App Attestation CA');
         return false;
       }
-      console.log('Certificate issued by Apple App Attestation CA ✓');
+      debug('Certificate issued by Apple App Attestation CA ✓');
 
-      console.log('Leaf certificate verification passed');
+      debug('Leaf certificate verification passed');
       return true;
     } catch (error) {
       console.error('Leaf certificate verification error:', error);
@@ -608,14 +697,17 @@ class AppAttestService {
   }
 
   /**
-   * Verifies that the challenge matches the attestation
+   * Verifies that the attestation was made for the issued challenge
+   * Follows Apple's steps: clientDataHash = SHA-256(challenge),
+   * nonce = SHA-256(authData || clientDataHash), and the nonce must equal the
+   * value in the leaf certificate's 1.2.840.113635.100.8.2 extension
    * @param {Object} attestation - Decoded attestation data
    * @param {string} challenge - The challenge string
    * @returns {boolean}
    */
   verifyChallenge(attestation, challenge) {
     try {
-      console.log('Starting challenge verification');
+      debug('Starting challenge verification');
       
       if (!attestation.authData) {
         console.error('Missing authData in attestation');
@@ -627,96 +719,231 @@ class AppAttestService {
         return false;
       }
       
-      // Log only challenge length, not the actual challenge value
-      console.log('Challenge length:', challenge.length);
-      
-      // The authData structure has the nonce at offset 32, with length 32 bytes
-      if (attestation.authData.length < 64) {
-        console.error('AuthData too short to contain nonce');
+      if (!attestation.attStmt.x5c || attestation.attStmt.x5c.length === 0) {
+        console.error('Missing certificate chain in attestation');
         return false;
       }
       
-      const nonce = attestation.authData.slice(32, 64);
-      console.log('Nonce length:', nonce.length, 'bytes');
+      const leafCertBuffer = Buffer.from(attestation.attStmt.x5c[0], 'base64');
+      const certNonce = this.extractNonce(leafCertBuffer);
+      if (!certNonce) {
+        console.error('Could not extract nonce from leaf certificate');
+        return false;
+      }
       
-      // For Apple's App Attestation, instead of matching the challenge directly,
-      // we need to verify that the authData contains the key ID from the certificate
-      // which is part of the certificate chain provided in the attestation
+      const expectedNonce = this.computeNonce(attestation.authData, challenge);
       
-      // Extract the key ID from the leaf certificate's subject CN
-      if (!attestation.attStmt.x5c || attestation.attStmt.x5c.length === 0) {
-        console.error('Missing certificate chain in attestation');
+      if (certNonce.length !== expectedNonce.length ||
+          !crypto.timingSafeEqual(certNonce, expectedNonce)) {
+        console.error('Challenge verification failed: nonce mismatch');
         return false;
       }
       
+      debug('Challenge verification passed ✓');
+      return true;
+    } catch (error) {
+      console.error('Challenge verification error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Computes the nonce Apple embeds in the credential certificate,
+   * which is also the data an assertion signature covers
+   * @param {Buffer} authData - Authenticator data from the attestation or assertion
+   * @param {string|Buffer} clientData - The challenge or request data; strings are hashed as UTF-8 bytes
+   * @returns {Buffer} SHA-256(authData || SHA-256(clientData))
+   */
+  computeNonce(authData, clientData) {
+    const clientDataHash = crypto.createHash('sha256')
+      .update(Buffer.isBuffer(clientData) ? clientData : Buffer.from(clientData, 'utf8'))
+      .digest();
+    
+    const authDataBuffer = Buffer.isBuffer(authData) ? authData : Buffer.from(authData);
+    
+    return crypto.createHash('sha256')
+      .update(Buffer.concat([authDataBuffer, clientDataHash]))
+      .digest();
+  }
+
+  /**
+   * Extracts the nonce from the credential certificate's App Attest extension
+   * @param {Buffer} cert - DER encoded leaf certificate
+   * @returns {Buffer|null} The nonce, or null if the extension is missing
+   */
+  extractNonce(cert) {
+    const decoded = CertificateASN.decode(cert, 'der');
+    const extensions = decoded.tbsCertificate.extensions || [];
+    
+    const nonceExtension = extensions.find(
+      ext => ext.extnID.join('.') === APP_ATTEST_NONCE_OID
+    );
+    
+    if (!nonceExtension) {
+      console.error('Leaf certificate is missing the App Attest nonce extension');
+      return null;
+    }
+    
+    return this.NonceASN.decode(nonceExtension.extnValue, 'der').nonce;
+  }
+
+  /**
+   * Parses the authenticator data structure
+   * Layout: rpIdHash (32) | flags (1) | signCount (4), followed when the AT flag is set by
+   * aaguid (16) | credentialIdLength (2) | credentialId (credentialIdLength) | credentialPublicKey
+   * @param {Buffer} authData - Authenticator data from an attestation or assertion
+   * @returns {{rpIdHash: Buffer, flags: number, signCount: number, aaguid?: Buffer, credentialId?: Buffer}}
+   */
+  parseAuthData(authData) {
+    const buffer = Buffer.isBuffer(authData) ? authData : Buffer.from(authData);
+    
+    if (buffer.length < 37) {
+      throw new Error('AuthData too short');
+    }
+    
+    const parsed = {
+      rpIdHash: buffer.subarray(0, 32),
+      flags: buffer.readUInt8(32),
+      signCount: buffer.readUInt32BE(33)
+    };
+    
+    // Attested credential data is only present in attestations
+    if (!(parsed.flags & AUTH_DATA_FLAG_ATTESTED_CREDENTIAL)) {
+      return parsed;
+    }
+    
+    if (buffer.length < 55) {
+      throw new Error('AuthData too short to contain attested credential data');
+    }
+    
+    const credentialIdLength = buffer.readUInt16BE(53);
+    if (buffer.length < 55 + credentialIdLength) {
+      throw new Error('AuthData too short to contain credential ID');
+    }
+    
+    parsed.aaguid = buffer.subarray(37, 53);
+    parsed.credentialId = buffer.subarray(55, 55 + credentialIdLength);
+    return parsed;
+  }
+
+  /**
+   * Computes the SHA-256 of the App ID, which App Attest uses as the RP ID
+   * @returns {Buffer}
+   */
+  getRpIdHash() {
+    return crypto.createHash('sha256')
+      .update(`${this.teamId}.${this.bundleId}`)
+      .digest();
+  }
+
+  /**
+   * Gets the leaf (credential) certificate of an attestation
+   * @param {Object} attestation - Decoded attestation data
+   * @returns {crypto.X509Certificate}
+   */
+  getLeafCertificate(attestation) {
+    return new crypto.X509Certificate(Buffer.from(attestation.attStmt.x5c[0], 'base64'));
+  }
+
+  /**
+   * Summarizes the certificate chain of an attestation for audit records
+   * Never throws; certificates that cannot be parsed are reported as such
+   * @param {Buffer} attestation - The raw CBOR attestation
+   * @returns {Promise<Array<Object>>} Subject, issuer, serial, validity and fingerprint per certificate, leaf first
+   */
+  async summarizeCertificateChain(attestation) {
+    let x5c;
+    try {
+      x5c = (await cbor.decode(attestation))?.attStmt?.x5c;
+    } catch (error) {
+      return [];
+    }
+
+    if (!Array.isArray(x5c)) {
+      return [];
+    }
+
+    return x5c.map((der) => {
       try {
-        // Get the leaf certificate
-        const leafCertBuffer = Buffer.from(attestation.attStmt.x5c[0], 'base64');
-        const leafCert = new crypto.X509Certificate(leafCertBuffer);
-        
-        // Extract the key ID from the subject CN
-        // Format is typically: CN=<keyID>
-        const subject = leafCert.subject;
-        
-        // Extract the key ID, which should be the CN value
-        const cnMatch = subject.match(/CN=([a-f0-9]+)/i);
-        if (!cnMatch) {
-          console.error('Could not extract key ID from certificate subject');
-          return false;
-        }
-        
-        const keyId = cnMatch[1].toLowerCase();
-        // Log only first 4 chars followed by ... to avoid logging the full ID
-        console.log('Key ID prefix:', keyId.substring(0, 4) + '...');
-        
-        // Check if the keyId appears in the authData
-        const authDataHex = attestation.authData.toString('hex');
-        console.log('AuthData length:', authDataHex.length);
-        
-        // Try different patterns that might indicate App Attest data
-        const patterns = [
-          '617070617474657374646576656c6f70', // "appattestdevelop"
-          '617070617474657374',               // "appattest"
-          '6170706c65',                       // "apple"
-          keyId.substring(0, 16)              // First 8 bytes of keyId
-        ];
-        
-        // Check if any of the patterns are found in the authData
-        for (const pattern of patterns) {
-          if (authDataHex.includes(pattern)) {
-            console.log('Found matching pattern in authData');
-            
-            // If we found the keyId pattern, that's sufficient
-            if (pattern === keyId.substring(0, 16)) {
-              console.log('Challenge verification passed ✓');
-              return true;
-            }
-            
-            // For other patterns, check if the keyId is nearby
-            const patternIndex = authDataHex.indexOf(pattern);
-            const searchStart = Math.max(0, patternIndex - 64); // Look 32 bytes before
-            const searchEnd = Math.min(authDataHex.length, patternIndex + 128); // Look 64 bytes after
-            const searchRange = authDataHex.substring(searchStart, searchEnd);
-            
-            if (searchRange.includes(keyId.substring(0, 16))) {
-              console.log('Challenge verification passed ✓');
-              return true;
-            }
-          }
-        }
-        
-        // If we get here, we didn't find any of the expected patterns
-        console.error('Challenge verification failed: No valid patterns found');
-        
+        const cert = new crypto.X509Certificate(Buffer.from(der, 'base64'));
+        return {
+          subject: cert.subject,
+          issuer: cert.issuer,
+          serialNumber: cert.serialNumber,
+          validFrom: cert.validFrom,
+          validTo: cert.validTo,
+          fingerprint256: cert.fingerprint256
+        };
       } catch (error) {
-        console.error('Error during key ID verification:', error.message);
+        return { error: 'unparseable_certificate' };
       }
-      
-      return false;
+    });
+  }
+
+  /**
+   * Validates the authenticator data of an attestation
+   * Checks the RP ID hash, sign counter, AAGUID and credential ID
+   * @param {Object} attestation - Decoded attestation data
+   * @param {string} keyId - The base64 key identifier submitted by the client
+   * @returns {{valid: boolean, reason?: string, error?: string}}
+   */
+  validateAuthData(attestation, keyId) {
+    let authData;
+    try {
+      authData = this.parseAuthData(attestation.authData);
     } catch (error) {
-      console.error('Challenge verification error:', error.message);
-      return false;
+      return { valid: false, reason: 'auth_data_malformed', error: error.message };
     }
+    
+    if (!authData.credentialId) {
+      return { valid: false, reason: 'auth_data_malformed', error: 'AuthData has no attested credential data' };
+    }
+    
+    // The RP ID is the App ID: <team ID>.<bundle ID>
+    if (!authData.rpIdHash.equals(this.getRpIdHash())) {
+      return { valid: false, reason: 'rp_id_mismatch', error: 'RP ID hash does not match the App ID' };
+    }
+    
+    // A freshly attested key has never signed an assertion
+    if (authData.signCount !== 0) {
+      return { valid: false, reason: 'counter_not_zero', error: 'Sign counter is not zero' };
+    }
+    
+    if (authData.aaguid.equals(AAGUID_DEVELOPMENT)) {
+      if (!this.allowDevelopmentEnvironment) {
+        return { valid: false, reason: 'development_environment_not_allowed', error: 'Key was attested in the development environment' };
+      }
+    } else if (!authData.aaguid.equals(AAGUID_PRODUCTION)) {
+      return { valid: false, reason: 'aaguid_invalid', error: 'AAGUID is not an App Attest environment' };
+    }
+    
+    if (!keyId || !authData.credentialId.equals(Buffer.from(keyId, 'base64'))) {
+      return { valid: false, reason: 'key_id_mismatch', error: 'Credential ID does not match the submitted key ID' };
+    }
+    
+    const leafCert = this.getLeafCertificate(attestation);
+    const publicKeyHash = crypto.createHash('sha256')
+      .update(this.getRawPublicKey(leafCert.publicKey))
+      .digest();
+    if (!authData.credentialId.equals(publicKeyHash)) {
+      return { valid: false, reason: 'public_key_mismatch', error: 'Credential ID does not match the leaf certificate public key' };
+    }
+    
+    return { valid: true };
+  }
+
+  /**
+   * Gets the uncompressed EC point (0x04 || X || Y) of a public key
+   * @param {crypto.KeyObject} publicKey - EC public key
+   * @returns {Buffer}
+   */
+  getRawPublicKey(publicKey) {
+    const jwk = publicKey.export({ format: 'jwk' });
+    return Buffer.concat([
+      Buffer.from([0x04]),
+      Buffer.from(jwk.x, 'base64url'),
+      Buffer.from(jwk.y, 'base64url')
+    ]);
   }
 
   /**
@@ -726,7 +953,7 @@ class AppAttestService {
    */
   extractDeviceId(attestation) {
     try {
-      console.log('Attempting to extract device ID from attestation');
+      debug('Attempting to extract device ID from attestation');
       
       // For Apple App Attestation, the most reliable device identifier
       // is the key ID from the leaf certificate (CN value)
@@ -752,11 +979,11 @@ class AppAttestService {
         
         const keyId = cnMatch[1].toLowerCase();
         // Only log a prefix of the device ID for security
-        console.log('Using certificate key ID as device ID:', keyId.substring(0, 8) + '...');
+        debug('Using certificate key ID as device ID:', keyId.substring(0, 8) + '...');
         
         // Verify that it's a valid hex string of the expected length (should be 64 chars for a 32-byte value)
         if (this.isValidDeviceId(keyId)) {
-          console.log('Valid device ID extracted successfully');
+          debug('Valid device ID extracted successfully');
           return keyId;
         } else {
           console.error('Extracted key ID is not in the expected format');
@@ -768,7 +995,7 @@ class AppAttestService {
               .update(keyId)
               .digest('hex');
               
-            console.log('Created hashed device ID as fallback:', hashedId.substring(0, 8) + '...');
+            debug('Created hashed device ID as fallback:', hashedId.substring(0, 8) + '...');
             return hashedId;
           }
         }
@@ -779,7 +1006,7 @@ class AppAttestService {
       // If we couldn't extract from the certificate, try the receipt as a backup
       if (attestation.attStmt.receipt) {
         try {
-          console.log('Attempting to extract device ID from receipt as fallback');
+          debug('Attempting to extract device ID from receipt as fallback');
           const receipt = Buffer.from(attestation.attStmt.receipt, 'base64');
           
           // Create a hash of the receipt to use as a device ID
@@ -788,7 +1015,7 @@ class AppAttestService {
             .update(receipt)
             .digest('hex');
             
-          console.log('Created device ID by hashing receipt:', receiptHash.substring(0, 8) + '...');
+          debug('Created device ID by hashing receipt:', receiptHash.substring(0, 8) + '...');
           return receiptHash;
         } catch (receiptError) {
           console.error('Error hashing receipt for device ID:', receiptError);
@@ -841,4 +1068,5 @@ class AppAttestService {
   }
 }
 
-module.exports = new AppAttestService(); 
\ No newline at end of file
+module.exports = new AppAttestService();
+module.exports.AppAttestService = AppAttestService;
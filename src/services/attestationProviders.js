@@ -0,0 +1,88 @@
+/**
+ * Registry of device attestation providers, keyed by client platform
+ * Every provider resolves to the same result shape:
+ * {verified: boolean, deviceId?: string, reasons: Array<string>, publicKey?: string,
+ *  error?: string, certificateChain?: Array<Object>}
+ */
+
+const appAttest = require('./appAttest');
+const playIntegrity = require('./playIntegrity');
+
+class AttestationProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider
+   * @param {{platform: string, verify: Function}} provider - Provider for one platform
+   */
+  register(provider) {
+    this.providers.set(provider.platform, provider);
+  }
+
+  /**
+   * Get the provider for a platform
+   * @param {string} platform - Client platform, e.g. 'ios' or 'android'
+   * @returns {Object|null} The provider or null if none is registered
+   */
+  get(platform) {
+    return this.providers.get(platform) || null;
+  }
+
+  /**
+   * List the registered platforms
+   * @returns {Array<string>}
+   */
+  platforms() {
+    return [...this.providers.keys()];
+  }
+}
+
+/**
+ * Apple App Attest provider
+ * Also returns the attested public key so later assertions can be verified
+ */
+const appleAppAttestProvider = {
+  platform: 'ios',
+  async verify({ attestation, challenge, keyID }) {
+    const attestationBuffer = Buffer.from(attestation, 'base64');
+    const result = await appAttest.verifyAttestation(attestationBuffer, challenge, keyID);
+    const certificateChain = await appAttest.summarizeCertificateChain(attestationBuffer);
+
+    if (!result.verified) {
+      return {
+        verified: false,
+        reasons: [result.reason],
+        error: result.error,
+        certificateChain
+      };
+    }
+
+    return {
+      verified: true,
+      deviceId: result.deviceId,
+      publicKey: result.publicKey,
+      reasons: [],
+      certificateChain
+    };
+  }
+};
+
+/**
+ * Google Play Integrity provider
+ * The attestation field carries the encrypted integrity token
+ */
+const playIntegrityProvider = {
+  platform: 'android',
+  async verify({ attestation, challenge, keyID }) {
+    return playIntegrity.verifyIntegrityToken(attestation, challenge, keyID);
+  }
+};
+
+const registry = new AttestationProviderRegistry();
+registry.register(appleAppAttestProvider);
+registry.register(playIntegrityProvider);
+
+module.exports = registry;
+module.exports.AttestationProviderRegistry = AttestationProviderRegistry;
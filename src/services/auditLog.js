@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const dataService = require('./dataService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Structured audit log of attestation and assertion attempts
+ *
+ * Records are append-only: each instance buffers them and writes every batch to a new object
+ * (attestation-audit/YYYY-MM-DD/<time>-<instance>-<n>.json), which is never rewritten. The day's
+ * data file (attestation-audit-YYYY-MM-DD) only lists the batches, so listing and aggregating a
+ * date range only reads the days it covers. Key IDs are stored hashed; the caller's IP is stored as is.
+ */
+class AuditLogService {
+  constructor() {
+    // Longest date range a single list or summary query may cover
+    this.maxQueryDays = parseInt(process.env.AUDIT_LOG_MAX_QUERY_DAYS) || 90;
+
+    // Records are written at most this often per instance, so a burst of attempts is one write
+    this.flushInterval = parseInt(process.env.AUDIT_LOG_FLUSH_MS) || 60 * 1000;
+
+    // Names this instance's batches, so instances never write the same object
+    this.instanceId = crypto.randomBytes(4).toString('hex');
+    this.batchCount = 0;
+
+    // Records not written yet, and the timer that writes them
+    this.pending = [];
+    this.flushTimer = null;
+
+    // Flushes go through one queue so batches are written in order
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Hash a key ID so audit records can be correlated without storing the key ID
+   * @param {string} keyId - The client key identifier
+   * @returns {string|null} Hex encoded SHA-256 hash
+   */
+  hashKeyId(keyId) {
+    if (!keyId) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(keyId).digest('hex');
+  }
+
+  /**
+   * Get the data file type holding a day's records
+   * @param {string} day - UTC day, YYYY-MM-DD
+   * @returns {string}
+   */
+  getDayType(day) {
+    return `attestation-audit-${day}`;
+  }
+
+  /**
+   * Get the storage key of a new batch of records
+   * @param {string} day - UTC day, YYYY-MM-DD
+   * @returns {string}
+   */
+  getBatchKey(day) {
+    const time = new Date().toISOString().slice(11, 19).replace(/:/g, '');
+    return `attestation-audit/${day}/${time}-${this.instanceId}-${++this.batchCount}.json`;
+  }
+
+  /**
+   * Record an attestation or assertion attempt
+   * The record is written with the next flush; never throws, so callers don't need to handle errors
+   * @param {Object} attempt
+   * @param {string} attempt.type - 'attestation', 'assertion' or 'request-assertion'
+   * @param {string} attempt.outcome - 'success' or 'failure'
+   * @param {string} [attempt.keyId] - The client key identifier, stored hashed
+   * @param {string} [attempt.ip] - The caller's IP
+   * @param {string} [attempt.platform] - Client platform
+   * @param {Array<string>} [attempt.reasons] - Reason codes of every failed check
+   * @param {string} [attempt.error] - Detailed error message
+   * @param {Array<Object>} [attempt.certificateChain] - Certificate chain summary
+   * @param {string} [attempt.deviceId] - Device ID, when known
+   * @param {string} [attempt.appVersion] - App version reported by the client
+   * @returns {Object} The record
+   */
+  record({ type, outcome, keyId, ip, platform, reasons = [], error, certificateChain, deviceId, appVersion }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      type,
+      outcome,
+      keyIdHash: this.hashKeyId(keyId),
+      ip: ip || null,
+      platform: platform || null,
+      failedCheck: outcome === 'failure' ? reasons[0] || 'unknown' : null,
+      reasons,
+      error: error || null,
+      certificateChain: certificateChain || [],
+      deviceId: deviceId || null,
+      appVersion: appVersion || null
+    };
+
+    // One JSON line per attempt, for log-based alerting
+    console.log(JSON.stringify({
+      message: 'attestation_audit',
+      type,
+      outcome,
+      failedCheck: entry.failedCheck,
+      platform: entry.platform,
+      keyIdHash: entry.keyIdHash
+    }));
+
+    this.pending.push(entry);
+    this.scheduleFlush();
+    return entry;
+  }
+
+  /**
+   * Write pending records once the flush interval has passed, unless a flush is already scheduled
+   * The timer doesn't keep the process alive by itself, so scripts and tests can exit
+   */
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushInterval);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write pending records, one new batch object per day they were recorded on
+   * Never throws; records of a batch that can't be written are logged and dropped
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const entries = this.pending;
+    this.pending = [];
+
+    const byDay = {};
+    for (const entry of entries) {
+      const day = entry.timestamp.slice(0, 10);
+      (byDay[day] = byDay[day] || []).push(entry);
+    }
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      for (const [day, records] of Object.entries(byDay)) {
+        try {
+          const key = this.getBatchKey(day);
+          await dataService.storage.put(key, JSON.stringify({ records }), {
+            contentType: 'application/json',
+            ifGeneration: '0'
+          });
+
+          // Other instances list their batches in the same day file, so the write is conditional
+          // and retried on conflict; it happens once per instance and flush, not per attempt
+          await dataService.updateData(this.getDayType(day), (data) => ({
+            ...data,
+            batches: [...(Array.isArray(data.batches) ? data.batches : []), key]
+          }));
+        } catch (error) {
+          console.error(`Error writing ${records.length} audit records: ${error.message}`);
+        }
+      }
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Resolve and check a query date range
+   * @param {string} [from] - First day, YYYY-MM-DD. Defaults to 6 days before to
+   * @param {string} [to] - Last day, YYYY-MM-DD. Defaults to today
+   * @returns {Array<string>} Every UTC day in the range, oldest first
+   * @throws {Error} If the range is inverted or longer than maxQueryDays
+   */
+  getDays(from, to) {
+    const end = to ? new Date(`${to}T00:00:00.000Z`) : new Date(new Date().toISOString().slice(0, 10));
+    const start = from ? new Date(`${from}T00:00:00.000Z`) : new Date(end.getTime() - 6 * DAY_MS);
+
+    const count = Math.round((end - start) / DAY_MS) + 1;
+    if (isNaN(count) || count < 1) {
+      throw Object.assign(new Error('Invalid date range'), { status: 400 });
+    }
+    if (count > this.maxQueryDays) {
+      throw Object.assign(new Error(`Date range cannot exceed ${this.maxQueryDays} days`), { status: 400 });
+    }
+
+    return Array.from({ length: count }, (_, i) =>
+      new Date(start.getTime() + i * DAY_MS).toISOString().slice(0, 10));
+  }
+
+  /**
+   * Read every record for a set of days, including this instance's records not written yet
+   * @param {Array<string>} days - UTC days, YYYY-MM-DD
+   * @returns {Promise<Array<Object>>}
+   */
+  async readDays(days) {
+    const records = [];
+    for (const day of days) {
+      const data = await dataService.readData(this.getDayType(day), { skipCache: true });
+      // Days recorded before batching kept their records in the day file itself
+      if (Array.isArray(data.records)) {
+        records.push(...data.records);
+      }
+
+      const batches = await Promise.all((Array.isArray(data.batches) ? data.batches : [])
+        .map(key => dataService.storage.get(key)));
+      for (const batch of batches.filter(Boolean)) {
+        records.push(...JSON.parse(batch.body.toString('utf8')).records);
+      }
+
+      records.push(...this.pending.filter(entry => entry.timestamp.startsWith(day)));
+    }
+    return records;
+  }
+
+  /**
+   * Check a record against list filters
+   * @param {Object} record - Audit record
+   * @param {Object} filters - type, outcome, reason, platform, keyId and ip
+   * @returns {boolean}
+   */
+  matches(record, { type, outcome, reason, platform, keyId, ip }) {
+    return (!type || record.type === type) &&
+      (!outcome || record.outcome === outcome) &&
+      (!reason || record.reasons.includes(reason)) &&
+      (!platform || record.platform === platform) &&
+      (!keyId || record.keyIdHash === this.hashKeyId(keyId)) &&
+      (!ip || record.ip === ip);
+  }
+
+  /**
+   * List audit records, newest first
+   * @param {Object} [filters] - from, to, type, outcome, reason, platform, keyId, ip, limit and offset
+   * @returns {Promise<{total: number, records: Array<Object>}>}
+   */
+  async list({ from, to, limit = 50, offset = 0, ...filters } = {}) {
+    const records = (await this.readDays(this.getDays(from, to)))
+      .filter(record => this.matches(record, filters))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return {
+      total: records.length,
+      records: records.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Aggregate audit records per day, with failure counts by reason
+   * @param {Object} [filters] - from, to, type, platform
+   * @returns {Promise<Object>} Totals for the range and a breakdown per day
+   */
+  async summarize({ from, to, type, platform } = {}) {
+    const days = this.getDays(from, to);
+    const records = (await this.readDays(days))
+      .filter(record => this.matches(record, { type, platform }));
+
+    const emptyCounts = () => ({ total: 0, success: 0, failure: 0, failuresByReason: {} });
+    const totals = emptyCounts();
+    const byDay = Object.fromEntries(days.map(day => [day, { date: day, ...emptyCounts() }]));
+
+    for (const record of records) {
+      const day = byDay[record.timestamp.slice(0, 10)];
+      for (const counts of [totals, day]) {
+        counts.total++;
+        if (record.outcome === 'success') {
+          counts.success++;
+        } else {
+          counts.failure++;
+          counts.failuresByReason[record.failedCheck] = (counts.failuresByReason[record.failedCheck] || 0) + 1;
+        }
+      }
+    }
+
+    return {
+      from: days[0],
+      to: days[days.length - 1],
+      ...totals,
+      days: Object.values(byDay)
+    };
+  }
+}
+
+module.exports = new AuditLogService();
+module.exports.AuditLogService = AuditLogService;
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const dataService = require('./dataService');
+const { getRedisClient } = require('./rateLimitStore');
+
+/**
+ * In-memory challenge backend
+ * Suitable for a single instance and for tests
+ */
+class MemoryChallengeBackend {
+  constructor() {
+    this.challenges = new Map();
+  }
+
+  /**
+   * Store a challenge record, dropping expired ones
+   * @param {string} id - Hashed challenge
+   * @param {Object} record - Challenge record
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<void>}
+   */
+  async save(id, record, now) {
+    for (const [existingId, existing] of this.challenges) {
+      if (existing.expiresAt <= now) {
+        this.challenges.delete(existingId);
+      }
+    }
+    this.challenges.set(id, record);
+  }
+
+  /**
+   * Remove and return a challenge record
+   * @param {string} id - Hashed challenge
+   * @returns {Promise<Object|null>} The record or null if unknown
+   */
+  async take(id) {
+    const record = this.challenges.get(id) || null;
+    this.challenges.delete(id);
+    return record;
+  }
+}
+
+/**
+ * Challenge backend persisted through dataService
+ * Shares challenges between instances using the configured storage (GCS, S3 or local). Challenges
+ * are a record collection keyed by hashed challenge, so DATA_SHARDS can spread them over several
+ * files. Changes are conditional writes, so a challenge is taken by one instance only
+ */
+class StorageChallengeBackend {
+  constructor(service = dataService, type = 'app-attest-challenges') {
+    this.dataService = service;
+    this.type = type;
+  }
+
+  async save(id, record, now) {
+    // Expired challenges of the shard are dropped in the same write
+    await this.dataService.getCollection(this.type).update(id, (current, records) => {
+      for (const existingId of Object.keys(records)) {
+        if (records[existingId].expiresAt <= now) {
+          delete records[existingId];
+        }
+      }
+      return record;
+    });
+  }
+
+  async take(id) {
+    let record = null;
+    await this.dataService.getCollection(this.type).update(id, (current) => {
+      record = current;
+      return current ? null : undefined;
+    });
+    return record;
+  }
+}
+
+// Get and delete in one step, so a challenge is taken by one instance only
+const TAKE_SCRIPT = `
+local record = redis.call('GET', KEYS[1])
+if record then
+  redis.call('DEL', KEYS[1])
+end
+return record
+`;
+
+/**
+ * Challenge backend on a Redis-protocol server, shared between instances
+ * Challenges are dropped when their keys expire, so nothing needs pruning. Unlike the rate limiter this
+ * fails closed: challenges can't be issued or consumed while the server can't be reached
+ */
+class RedisChallengeBackend {
+  /**
+   * @param {Redis} client - Connection to the server
+   * @param {string} [prefix] - Key prefix
+   */
+  constructor(client, prefix = 'app-attest-challenge:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async save(id, record, now) {
+    // Keys outlive their challenge by a minute, so late clients are told the challenge expired
+    await this.client.set(this.prefix + id, JSON.stringify(record), 'PX', record.expiresAt - now + 60 * 1000);
+  }
+
+  async take(id) {
+    const record = await this.client.eval(TAKE_SCRIPT, 1, this.prefix + id);
+    return record ? JSON.parse(record) : null;
+  }
+}
+
+/**
+ * Issues App Attest challenges and consumes them exactly once
+ * Each challenge expires after a TTL and is bound to the caller it was issued to
+ */
+class ChallengeStore {
+  /**
+   * @param {Object} backend - Backend implementing save and take
+   * @param {number} ttlMs - Challenge lifetime in milliseconds
+   */
+  constructor(backend, ttlMs) {
+    this.backend = backend;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Hash a challenge so raw challenges are never persisted
+   * @param {string} challenge - The base64 challenge
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashChallenge(challenge) {
+    return crypto.createHash('sha256').update(challenge).digest('hex');
+  }
+
+  /**
+   * Generate and record a new challenge
+   * @param {string} callerId - Identifier of the caller requesting the challenge
+   * @returns {Promise<{challenge: string, expiresAt: number}>}
+   */
+  async issue(callerId) {
+    const now = Date.now();
+    const challenge = crypto.randomBytes(32).toString('base64');
+    const expiresAt = now + this.ttlMs;
+
+    await this.backend.save(this.hashChallenge(challenge), {
+      callerId,
+      issuedAt: now,
+      expiresAt
+    }, now);
+
+    return { challenge, expiresAt };
+  }
+
+  /**
+   * Consume a challenge. The challenge is removed whether or not it is valid
+   * @param {string} challenge - The challenge submitted by the client
+   * @param {string} callerId - Identifier of the caller submitting the challenge
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  async consume(challenge, callerId) {
+    if (!challenge) {
+      return { valid: false, error: 'Missing challenge' };
+    }
+
+    const record = await this.backend.take(this.hashChallenge(challenge));
+
+    if (!record) {
+      return { valid: false, error: 'Unknown or already used challenge' };
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      return { valid: false, error: 'Challenge expired' };
+    }
+
+    if (record.callerId !== callerId) {
+      return { valid: false, error: 'Challenge was issued to a different caller' };
+    }
+
+    return { valid: true };
+  }
+}
+
+/**
+ * Create the backend selected by CHALLENGE_STORE
+ * Defaults to redis when REDIS_URL is set, then to storage when the storage backend is shared
+ * between instances, otherwise in-memory
+ * @returns {Object} Challenge backend
+ */
+const createBackend = () => {
+  const backend = process.env.CHALLENGE_STORE ||
+    (process.env.REDIS_URL ? 'redis' : dataService.storage.shared ? 'storage' : 'memory');
+
+  if (backend === 'redis') {
+    if (!process.env.REDIS_URL) {
+      throw new Error('CHALLENGE_STORE=redis requires REDIS_URL');
+    }
+    return new RedisChallengeBackend(getRedisClient());
+  }
+  if (backend === 'storage') {
+    return new StorageChallengeBackend();
+  }
+  return new MemoryChallengeBackend();
+};
+
+const challengeStore = new ChallengeStore(
+  createBackend(),
+  parseInt(process.env.CHALLENGE_TTL_MS) || 5 * 60 * 1000
+);
+
+module.exports = challengeStore;
+module.exports.ChallengeStore = ChallengeStore;
+module.exports.MemoryChallengeBackend = MemoryChallengeBackend;
+module.exports.StorageChallengeBackend = StorageChallengeBackend;
+module.exports.RedisChallengeBackend = RedisChallengeBackend;
@@ -1,112 +1,136 @@
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
-const { Storage } = require('@google-cloud/storage');
-const { isInUpdateWindow, getCacheDuration, getSecondsUntilNextUpdate } = require('../utils/timeUtils');
+const { createStorageAdapter, LocalStorageAdapter } = require('./storage');
+const { RecordCollection } = require('./recordCollection');
+const { isInUpdateWindow, getCacheDuration, getSecondsUntilNextUpdate, getMaxCacheDuration, getUpdateWindow } = require('../utils/timeUtils');
+const { computeStatistics, compareStatistics } = require('../utils/statistics');
+const { getEras, getEra } = require('../utils/gameRules');
+const { validateDrawHistory, validateStatistics } = require('../utils/dataSchema');
+const gameRegistry = require('./gameRegistry');
+
+// Points each lottery type at its current pair of draw and stats files
+const RELEASES_KEY = 'releases.json';
 
 class DataService {
   constructor() {
     this.localDataDir = path.join(process.cwd(), 'data');
-    this.lotteryTypes = ['mega-millions', 'powerball'];
-    this.fileMap = {
-      'mega-millions': 'mm.json',
-      'powerball': 'pb.json',
-      'mega-millions-stats': 'mm-stats.json',
-      'powerball-stats': 'pb-stats.json'
-    };
+    // Games and their draw and stats files come from the game registry
+    this.lotteryTypes = gameRegistry.getTypes();
+    this.fileMap = gameRegistry.getFileMap();
     
-    // Google Cloud Storage configuration
-    this.useGCS = process.env.USE_GCS === 'true';
-    this.gcsBucket = process.env.GCS_BUCKET || 'jackpot-iq';
+    // Primary storage, selected by STORAGE_BACKEND (local, gcs, s3 or memory)
+    this.storage = createStorageAdapter({ localDataDir: this.localDataDir });
+    console.log(`Storage backend: ${this.storage.name}`);
     
-    // In GCS, the files should be in the data/ directory
-    this.gcsDataPrefix = process.env.GCS_DATA_PREFIX || 'data/';
+    // Remote backends keep a local copy of everything they read and write,
+    // used as a fallback when the remote backend can't be reached
+    this.localCache = this.storage.shared ? new LocalStorageAdapter(this.localDataDir) : null;
     
-    // Initialize GCS client if enabled
-    if (this.useGCS) {
-      try {
-        this.storage = new Storage();
-        this.bucket = this.storage.bucket(this.gcsBucket);
-        console.log(`GCS initialized with bucket: ${this.gcsBucket}`);
-      } catch (error) {
-        console.error('Error initializing Google Cloud Storage:', error);
-        // Fallback to local storage if GCS fails
-        this.useGCS = false;
+    // Memory cache for storage data with TTL
+    this.memoryCache = {};
+    
+    // Device records carry the ban flag, so they're reread from storage once the cached copy is this old
+    this.deviceCacheTTL = parseInt(process.env.DEVICE_CACHE_MS) || 30 * 1000;
+    
+    // Expired entries keep being served while they're reloaded in the background, for at most this long
+    this.maxStaleness = parseInt(process.env.CACHE_MAX_STALE_MS) || 15 * 60 * 1000;
+    
+    // Loads from storage in progress, shared by every request for the same file
+    this.inFlightLoads = new Map();
+    
+    // Cache hits, misses and refreshes of each file
+    this.cacheCounters = {};
+    
+    // Statistics computed from the draws, with the data version they were computed from
+    this.statsCache = {};
+    
+    // Last draw and stats data that passed the schema check, served when a newer file is rejected
+    this.lastKnownGood = {};
+    
+    // Outcome of the latest schema check of each draw and stats file
+    this.dataStatus = {};
+    
+    // Conditional read-modify-write: how often an update is tried before a conflict is given up on
+    this.maxUpdateAttempts = parseInt(process.env.DATA_UPDATE_MAX_ATTEMPTS) || 5;
+    
+    // Record collections split over several files, from type:shards pairs, e.g. verified-devices:16
+    this.shardCounts = {};
+    for (const entry of (process.env.DATA_SHARDS || '').split(',')) {
+      const [type, shards] = entry.split(':').map(part => part && part.trim());
+      if (type && parseInt(shards) > 1) {
+        this.shardCounts[type] = parseInt(shards);
       }
     }
+    this.collections = {};
     
-    // Memory cache for GCS data with TTL
-    this.memoryCache = {};
-    
-    // Update cache TTL based on time of day
-    // Since all data except random numbers only changes once a day during the update window,
-    // we can use extremely aggressive caching outside that window
-    this.updateCacheTTL();
+    // Each game's data only changes when its results come in, so it is cached until shortly before
+    // its next update window; track which games are in their window
+    this.inUpdateWindow = {};
+    for (const type of this.lotteryTypes) {
+      this.inUpdateWindow[type] = isInUpdateWindow(type);
+      console.log(`Cache TTL for ${type} set to ${Math.round(this.getCacheTTL(type) / 60000)} minutes (${this.inUpdateWindow[type] ? 'in update window' : 'until next update window'})`);
+    }
     
     // Set up cache refresh schedule
     this.setupCacheRefreshSchedule();
-    
-    // Track whether we're in the update window
-    this.isInUpdateWindow = isInUpdateWindow();
   }
   
   /**
-   * Update cache TTL based on time of day
+   * Get how long data cached now stays fresh
+   * A game's draws and stats are fresh until shortly before the game's next update window, and for a
+   * minute during it; other files until shortly before the next window of any game. Either way no
+   * longer than CACHE_MAX_TTL_MS
+   * @param {string|null} [type] - The type of file
+   * @returns {number} Milliseconds
    */
-  updateCacheTTL() {
-    if (isInUpdateWindow()) {
+  getCacheTTL(type = null) {
+    const lotteryType = type && this.isCheckedType(type) ? type.replace(/-stats$/, '') : null;
+    if (isInUpdateWindow(lotteryType)) {
       // Short TTL during update window
-      this.cacheTTL = 60 * 1000; // 1 minute
-    } else {
-      // Outside update window, cache until shortly before the next update
-      // Convert seconds to milliseconds and subtract a safety margin
-      const safetyMarginMs = 5 * 60 * 1000; // 5 minutes
-      this.cacheTTL = (getSecondsUntilNextUpdate() * 1000) - safetyMarginMs;
-      
-      // Ensure TTL is at least 1 minute
-      this.cacheTTL = Math.max(this.cacheTTL, 60 * 1000);
+      return 60 * 1000; // 1 minute
     }
     
-    console.log(`Cache TTL set to ${this.cacheTTL/60000} minutes (${isInUpdateWindow() ? 'in update window' : 'until next update window'})`);
-    
-    return isInUpdateWindow();
+    // Outside update window, cache until shortly before the next update, for at most CACHE_MAX_TTL_MS
+    const safetyMarginMs = 5 * 60 * 1000; // 5 minutes
+    const ttl = Math.max((getSecondsUntilNextUpdate(lotteryType) * 1000) - safetyMarginMs, 60 * 1000);
+    return Math.min(ttl, getMaxCacheDuration() * 1000);
   }
   
   /**
    * Set up cache refresh schedule
-   * Checks every 5 minutes if we're in/out of the update window
-   * and adjusts TTL accordingly
+   * Checks every 5 minutes whether each game entered or left its update window
+   * The timer doesn't keep the process alive by itself, so scripts and tests can exit
    */
   setupCacheRefreshSchedule() {
-    // Schedule cache TTL update every 5 minutes
-    setInterval(() => {
-      const wasInUpdateWindow = this.isInUpdateWindow;
-      this.isInUpdateWindow = isInUpdateWindow();
-      this.updateCacheTTL();
-      
-      // If we just entered the update window, clear the entire cache
-      if (!wasInUpdateWindow && this.isInUpdateWindow) {
-        console.log('Entering update window, clearing entire cache');
-        this.memoryCache = {};
-      }
-      // If we just exited the update window, proactively refresh cache
-      else if (wasInUpdateWindow && !this.isInUpdateWindow) {
-        console.log('Exiting update window, proactively refreshing cache');
-        this.refreshAllCacheData();
+    this.cacheRefreshTimer = setInterval(() => {
+      for (const type of this.lotteryTypes) {
+        const wasInUpdateWindow = this.inUpdateWindow[type];
+        this.inUpdateWindow[type] = isInUpdateWindow(type);
+        
+        // If the game just entered its update window, expire its data;
+        // it is still served while the next request for each file reloads it
+        if (!wasInUpdateWindow && this.inUpdateWindow[type]) {
+          console.log(`Entering ${type} update window, expiring its cache`);
+          this.expireCache([type, `${type}-stats`]);
+        }
+        // If the game just left its update window, proactively refresh its data
+        else if (wasInUpdateWindow && !this.inUpdateWindow[type]) {
+          console.log(`Exiting ${type} update window, proactively refreshing its cache`);
+          this.refreshAllCacheData([type]);
+        }
       }
     }, 5 * 60 * 1000); // Check every 5 minutes
+    this.cacheRefreshTimer.unref();
   }
   
   /**
-   * Proactively refresh all cache data after update window
+   * Proactively refresh cache data after an update window
+   * @param {Array<string>} [types] - The lottery types to refresh, all by default
    */
-  async refreshAllCacheData() {
+  async refreshAllCacheData(types = this.lotteryTypes) {
     try {
-      const typesToRefresh = [...this.lotteryTypes];
-      
-      // Add stats files
-      for (const type of this.lotteryTypes) {
-        typesToRefresh.push(`${type}-stats`);
-      }
+      // Stats are computed from the draws, so only the draws need refreshing
+      const typesToRefresh = [...types];
       
       console.log(`Proactively refreshing cache for: ${typesToRefresh.join(', ')}`);
       
@@ -127,301 +151,772 @@ class DataService {
    */
   async fetchFreshData(type) {
     try {
-      let data;
-      if (this.useGCS) {
-        data = await this.readDataFromGCS(type, { skipCache: true });
-      } else {
-        data = await this.readDataFromLocal(type);
-      }
-      
-      // Store in memory cache with a fresh timestamp
-      this.storeInCache(type, data);
-      
-      return data;
+      this.countCache(type, 'refreshes');
+      return await this.loadIntoCache(type);
     } catch (error) {
       console.error(`Error fetching fresh data (${type}):`, error);
+      if (this.isCheckedType(type)) {
+        return this.serveLastKnownGood(type, error);
+      }
       throw error;
     }
   }
 
   /**
-   * Get cached data if available and not expired
+   * Get cached data and whether it is still fresh
+   * An entry is fresh for the cache TTL, then stale for at most the maximum staleness
    * @param {string} type - The type of file
-   * @returns {Object|Array|null} The cached data or null if not in cache or expired
+   * @param {number} [maxAge] - Only use an entry loaded at most this many milliseconds ago
+   * @returns {{data: Object|Array, fresh: boolean}|null} The cached data or null if not in cache or too stale
    */
-  getCachedData(type) {
+  getCachedData(type, maxAge) {
     const cacheEntry = this.memoryCache[type];
     if (!cacheEntry) return null;
     
     const now = Date.now();
-    if (now - cacheEntry.timestamp > this.cacheTTL) {
-      // Cache expired
-      delete this.memoryCache[type];
+    if (maxAge !== undefined && now - cacheEntry.timestamp > maxAge) {
+      // Too old for this caller, but other callers may still use it
       return null;
     }
+    const { staleAt } = cacheEntry;
+    if (now < staleAt) {
+      return { data: cacheEntry.data, fresh: true };
+    }
+    if (now - staleAt <= this.maxStaleness) {
+      return { data: cacheEntry.data, fresh: false };
+    }
+    
+    // Too stale to serve
+    delete this.memoryCache[type];
+    return null;
+  }
+
+  /**
+   * Mark cached entries as expired, so each is reloaded on its next read
+   * @param {Array<string>} [types] - The types of file, every cached file by default
+   */
+  expireCache(types = Object.keys(this.memoryCache)) {
+    const now = Date.now();
+    for (const type of types) {
+      const cacheEntry = this.memoryCache[type];
+      if (cacheEntry) {
+        cacheEntry.staleAt = Math.min(cacheEntry.staleAt, now);
+      }
+    }
+  }
+
+  /**
+   * Load a file from storage into the memory cache
+   * Concurrent loads of the same file share one read from storage
+   * @param {string} type - The type of file
+   * @returns {Promise<Object|Array>} The data
+   */
+  loadIntoCache(type) {
+    if (this.inFlightLoads.has(type)) {
+      this.countCache(type, 'coalesced');
+      return this.inFlightLoads.get(type);
+    }
+    
+    const startedAt = Date.now();
+    const load = this.loadFromStorage(type)
+      .then(({ data, version, updated }) => {
+        // A write while the load was running already cached newer data
+        const cacheEntry = this.memoryCache[type];
+        if (!cacheEntry || cacheEntry.timestamp <= startedAt) {
+          this.storeInCache(type, data, version, updated);
+        }
+        return data;
+      })
+      .finally(() => this.inFlightLoads.delete(type));
     
-    return cacheEntry.data;
+    this.inFlightLoads.set(type, load);
+    return load;
+  }
+
+  /**
+   * Reload a stale file in the background, unless a load is already running
+   * @param {string} type - The type of file
+   */
+  refreshInBackground(type) {
+    if (this.inFlightLoads.has(type)) {
+      return;
+    }
+    
+    this.countCache(type, 'refreshes');
+    this.loadIntoCache(type).catch(error => {
+      // The stale entry keeps being served; the next read past the maximum staleness retries in the foreground
+      this.countCache(type, 'refreshErrors');
+      console.error(`Error refreshing cached data (${type}):`, error.message);
+    });
+  }
+
+  /**
+   * Count a cache event for a file
+   * @param {string} type - The type of file
+   * @param {string} counter - hits, staleHits, misses, coalesced, refreshes or refreshErrors
+   */
+  countCache(type, counter) {
+    if (!this.cacheCounters[type]) {
+      this.cacheCounters[type] = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, refreshErrors: 0 };
+    }
+    this.cacheCounters[type][counter]++;
+  }
+
+  /**
+   * Report the memory cache: settings, each game's update window, and the counters and state of every file
+   * @returns {Object} maxStaleSeconds, updateWindows and an entry per file
+   */
+  getCacheStats() {
+    const now = Date.now();
+    const types = new Set([...Object.keys(this.cacheCounters), ...Object.keys(this.memoryCache)]);
+    const files = [...types].sort().map(type => {
+      const cacheEntry = this.memoryCache[type];
+      let state = 'empty';
+      if (cacheEntry) {
+        state = now < cacheEntry.staleAt ? 'fresh' : 'stale';
+      }
+      
+      return {
+        type,
+        state,
+        version: cacheEntry ? cacheEntry.version : null,
+        ageSeconds: cacheEntry ? Math.round((now - cacheEntry.timestamp) / 1000) : null,
+        freshUntil: cacheEntry ? new Date(cacheEntry.staleAt).toISOString() : null,
+        loading: this.inFlightLoads.has(type),
+        ...(this.cacheCounters[type] || { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, refreshErrors: 0 })
+      };
+    });
+    
+    const updateWindows = this.lotteryTypes.map(type => {
+      const window = getUpdateWindow(type);
+      return {
+        type,
+        start: window ? window.start.toISOString() : null,
+        end: window ? window.end.toISOString() : null,
+        active: Boolean(window) && window.start.getTime() <= now
+      };
+    });
+    
+    return {
+      maxStaleSeconds: Math.round(this.maxStaleness / 1000),
+      updateWindows,
+      files
+    };
   }
 
   /**
    * Store data in memory cache
    * @param {string} type - The type of file
    * @param {Object|Array} data - The data to cache
+   * @param {string|null} [version] - Version of the stored file the data was read from
+   * @param {Date|string|null} [updated] - When the stored file was last changed
    */
-  storeInCache(type, data) {
+  storeInCache(type, data, version = null, updated = null) {
+    const now = Date.now();
     this.memoryCache[type] = {
       data: data,
-      timestamp: Date.now()
+      version: version,
+      updated: updated,
+      timestamp: now,
+      staleAt: now + this.getCacheTTL(type)
     };
   }
 
   /**
-   * Ensure the data directory exists
-   * @returns {Promise<void>}
+   * Get the version of the cached data
+   * Changes whenever the stored file changes: the storage generation, or the release version
+   * @param {string} type - The type of file
+   * @returns {string|null} The version, or null if the data isn't cached or the file doesn't exist
+   */
+  getDataVersion(type) {
+    return this.memoryCache[type]?.version || null;
+  }
+
+  /**
+   * Get the version of a file and when it last changed, loading it into the cache if needed
+   * Lets routes answer conditional requests before doing any work on the data
+   * @param {string} type - The type of file
+   * @returns {Promise<{version: string|null, updated: Date|null}>}
+   * @throws {Error} With status 503 and code DATA_UNAVAILABLE if draws or stats can't be served
+   */
+  async getVersionInfo(type) {
+    await this.readData(type);
+    const cacheEntry = this.memoryCache[type];
+    return {
+      version: cacheEntry?.version || null,
+      updated: cacheEntry?.updated ? new Date(cacheEntry.updated) : null
+    };
+  }
+
+  /**
+   * Get the types of file cached from a storage key
+   * A changed release index affects every game; release files are only read once the index points at them,
+   * and other data files only matter to this instance while they're cached
+   * @param {string} key - The storage key, relative to the storage root
+   * @returns {Array<string>} The types of file to reload
+   */
+  getTypesForKey(key) {
+    if (key === RELEASES_KEY) {
+      return [...this.lotteryTypes];
+    }
+    if (key.startsWith('releases/') || !key.endsWith('.json')) {
+      return [];
+    }
+
+    const type = Object.keys(this.fileMap).find(mapped => this.fileMap[mapped] === key) || key.slice(0, -'.json'.length);
+    if (this.isCheckedType(type) || this.memoryCache[type]) {
+      return [type];
+    }
+    return [];
+  }
+
+  /**
+   * Reload the files cached from changed storage keys
+   * @param {Array<string>} keys - The changed storage keys
+   * @param {string} source - What reported the change, for the logs
+   * @returns {Promise<Array<Object>>} The outcome for every reloaded type, see reloadTypes
+   */
+  async reloadKeys(keys, source) {
+    const types = [...new Set(keys.flatMap(key => this.getTypesForKey(key)))];
+    return this.reloadTypes(types, source);
+  }
+
+  /**
+   * Reload files from storage into the memory cache right away, whatever their TTL
+   * A reload doesn't join a load already in progress, which may have read the file before it changed.
+   * A file that fails to load, or fails its schema check, leaves the cached version in place
+   * @param {Array<string>} types - The types of file
+   * @param {string} source - What asked for the reload, for the logs
+   * @returns {Promise<Array<Object>>} type, previousVersion and version of every file, plus error and
+   *   retryable (false for files rejected by the schema check) if it failed to load
+   */
+  async reloadTypes(types, source) {
+    return Promise.all(types.map(async (type) => {
+      const previousVersion = this.getDataVersion(type);
+      try {
+        const { data, version, updated } = await this.loadFromStorage(type);
+        this.storeInCache(type, data, version, updated);
+        if (version !== previousVersion) {
+          console.log(`Reloaded ${type} after ${source}: version ${previousVersion} -> ${version}`);
+        }
+        return { type, previousVersion, version };
+      } catch (error) {
+        console.error(`Error reloading ${type} after ${source}:`, error.message);
+        return { type, previousVersion, version: previousVersion, error: error.message, retryable: error.code !== 'INVALID_DATA' };
+      }
+    }));
+  }
+
+  /**
+   * Reload data files as soon as they change on disk, when the local storage backend is used
+   * Events are collected for a moment, writes go through a temporary file and a rename
+   * @returns {fs.FSWatcher|null} The watcher, or null if files aren't watched
    */
-  async ensureDataDir() {
+  watchLocalFiles() {
+    if (this.storage.name !== 'local' || process.env.DATA_FILE_WATCH === 'false') {
+      return null;
+    }
+
+    const changed = new Set();
+    let timer = null;
     try {
-      await fs.access(this.localDataDir);
+      fs.mkdirSync(this.storage.rootDir, { recursive: true });
+      const watcher = fs.watch(this.storage.rootDir, { recursive: true }, (event, filename) => {
+        if (!filename || filename.endsWith('.tmp')) {
+          return;
+        }
+        changed.add(filename.split(path.sep).join('/'));
+        if (!timer) {
+          timer = setTimeout(() => {
+            const keys = [...changed];
+            changed.clear();
+            timer = null;
+            this.reloadKeys(keys, 'file change').catch(error => console.error('Error reloading changed files:', error));
+          }, 250);
+        }
+      });
+      console.log(`Watching ${this.storage.rootDir} for data file changes`);
+      return watcher;
     } catch (error) {
-      // Directory doesn't exist, create it
-      await fs.mkdir(this.localDataDir, { recursive: true });
+      console.warn(`Warning: Could not watch ${this.storage.rootDir} for changes:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Get the path to a JSON file (local version)
-   * @param {string} type - The type of file to get
-   * @returns {string} The full path to the file
+   * Get the storage key of a data file
+   * @param {string} type - The type of file
+   * @returns {string} The key, relative to the storage root
    */
-  getLocalFilePath(type) {
-    const fileName = this.fileMap[type] || `${type}.json`;
-    return path.join(this.localDataDir, fileName);
+  getStorageKey(type) {
+    return this.fileMap[type] || `${type}.json`;
   }
 
   /**
-   * Get the GCS path to a JSON file
-   * @param {string} type - The type of file to get
-   * @returns {string} The path to the file in GCS
+   * Get the empty value for a data file that doesn't exist yet
+   * @param {string} type - The type of file
+   * @returns {Object|Array}
    */
-  getGCSFilePath(type) {
-    const fileName = this.fileMap[type] || `${type}.json`;
-    // Always return paths with the data/ prefix
-    return `${this.gcsDataPrefix}${fileName}`;
+  getEmptyData(type) {
+    return this.lotteryTypes.includes(type) ? [] : {};
   }
 
   /**
-   * Read data from a JSON file (either local or GCS)
+   * Read data from a JSON file
    * @param {string} type - The type of file to read
    * @param {Object} options - Options for reading data
+   * @param {boolean} [options.skipCache] - Read from storage instead of the memory cache
+   * @param {number} [options.maxAge] - Only use cached data loaded at most this many milliseconds ago
    * @returns {Promise<Object|Array>} The data from the file
    */
   async readData(type, options = {}) {
     try {
-      // Check memory cache first unless skipCache is true
-      if (!options.skipCache) {
-        const cachedData = this.getCachedData(type);
-        if (cachedData) {
-          console.log(`Using cached data for: ${type}`);
-          return cachedData;
-        }
+      // Reads that skip the cache must see the latest write, so they don't join a load in progress
+      if (options.skipCache) {
+        const { data, version, updated } = await this.loadFromStorage(type);
+        this.storeInCache(type, data, version, updated);
+        return data;
       }
       
-      let data;
-      if (this.useGCS) {
-        data = await this.readDataFromGCS(type, options);
-      } else {
-        data = await this.readDataFromLocal(type);
+      // Check memory cache first; stale data is served while it's reloaded in the background
+      const cached = this.getCachedData(type, options.maxAge);
+      if (cached) {
+        this.countCache(type, cached.fresh ? 'hits' : 'staleHits');
+        if (!cached.fresh) {
+          this.refreshInBackground(type);
+        }
+        return cached.data;
       }
-
-      // Store in memory cache
-      this.storeInCache(type, data);
       
-      return data;
+      this.countCache(type, 'misses');
+      return await this.loadIntoCache(type);
     } catch (error) {
       console.error(`Error reading data (${type}):`, error);
+      // Draws and stats are never replaced by an empty list; they fall back to the last good data
+      if (this.isCheckedType(type)) {
+        return this.serveLastKnownGood(type, error);
+      }
       // Return empty data structure based on expected type
-      return this.lotteryTypes.includes(type) ? [] : {};
+      return this.getEmptyData(type);
     }
   }
 
   /**
-   * Read data from a local JSON file
-   * @param {string} type - The type of file to read
-   * @returns {Promise<Object|Array>} The data from the file
+   * Check whether a type of file holds draws or stats, which are schema checked when loaded
+   * @param {string} type - The type of file
+   * @returns {boolean}
    */
-  async readDataFromLocal(type) {
+  isCheckedType(type) {
+    return this.lotteryTypes.includes(type.replace(/-stats$/, ''));
+  }
+
+  /**
+   * Parse a draw or stats file and check it against its schema
+   * The outcome is recorded for the data status report, and data that passes becomes the last known good
+   * @param {string} type - The type of file
+   * @param {Buffer|string} body - The raw JSON
+   * @param {string} version - Version of the stored file
+   * @param {Date|string|null} [updated] - When the stored file was last changed
+   * @returns {Object|Array} The parsed data
+   * @throws {Error} With code INVALID_DATA and the problems found if the file is rejected
+   */
+  parseChecked(type, body, version, updated = null) {
+    const lotteryType = type.replace(/-stats$/, '');
+    let data;
+    let problems;
     try {
-      const filePath = this.getLocalFilePath(type);
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
+      data = JSON.parse(body.toString('utf8'));
+      problems = type === lotteryType ? validateDrawHistory(type, data) : validateStatistics(lotteryType, data);
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist, return empty based on expected type
-        return this.lotteryTypes.includes(type) ? [] : {};
+      problems = [`Invalid JSON: ${error.message}`];
+    }
+
+    const previous = this.dataStatus[type];
+    const checkedAt = new Date().toISOString();
+    if (problems.length > 0) {
+      this.dataStatus[type] = { valid: false, version, checkedAt, problems };
+      // Only log a rejected version once, it is checked again on every load until it's fixed
+      if (!previous || previous.valid || previous.version !== version) {
+        const more = problems.length > 3 ? ` and ${problems.length - 3} more` : '';
+        console.error(`Rejected ${type} data version ${version}: ${problems.slice(0, 3).join('; ')}${more}`);
       }
+      const error = new Error(`${type} data version ${version} failed the schema check`);
+      error.code = 'INVALID_DATA';
+      error.problems = problems;
       throw error;
     }
+
+    this.recordGoodData(type, data, version, updated);
+    return data;
+  }
+
+  /**
+   * Record draw or stats data that passed the schema check as the last known good
+   * @param {string} type - The type of file
+   * @param {Object|Array} data - The data
+   * @param {string} version - Version of the stored file
+   * @param {Date|string|null} [updated] - When the stored file was last changed
+   */
+  recordGoodData(type, data, version, updated = null) {
+    const now = new Date().toISOString();
+    this.dataStatus[type] = { valid: true, version, checkedAt: now, problems: [] };
+    this.lastKnownGood[type] = { data, version, updated, loadedAt: now };
+  }
+
+  /**
+   * Serve the last draw or stats data that passed the schema check, after a load failed
+   * @param {string} type - The type of file
+   * @param {Error} error - Why the load failed
+   * @returns {Object|Array} The last known good data
+   * @throws {Error} With status 503 and code DATA_UNAVAILABLE if nothing good was loaded yet
+   */
+  serveLastKnownGood(type, error) {
+    const good = this.lastKnownGood[type];
+    if (!good) {
+      const unavailable = new Error(`${type} data is unavailable: ${error.message}`);
+      unavailable.status = 503;
+      unavailable.code = 'DATA_UNAVAILABLE';
+      throw unavailable;
+    }
+
+    console.warn(`Serving last known good ${type} data version ${good.version}`);
+    // Cached again so the failed file is only retried once the cache expires
+    this.storeInCache(type, good.data, good.version, good.updated);
+    return good.data;
   }
 
   /**
-   * Read data from Google Cloud Storage
+   * Report the latest schema check of every draw and stats file
+   * @returns {Array<Object>} type, status, the version checked and its problems, and the version being served
+   */
+  getDataStatus() {
+    return this.lotteryTypes.flatMap(type => [type, `${type}-stats`]).map(type => {
+      const check = this.dataStatus[type] || null;
+      const good = this.lastKnownGood[type] || null;
+
+      let status = 'unchecked';
+      if (check && check.valid) {
+        status = 'ok';
+      } else if (check) {
+        status = good ? 'serving-last-known-good' : 'unavailable';
+      }
+
+      return {
+        type,
+        status,
+        checkedVersion: check ? check.version : null,
+        checkedAt: check ? check.checkedAt : null,
+        problems: check ? check.problems : [],
+        servingVersion: good ? good.version : null,
+        servingSince: good ? good.loadedAt : null
+      };
+    });
+  }
+
+  /**
+   * Read and parse a data file from storage, falling back to the local copy
    * @param {string} type - The type of file to read
-   * @param {Object} options - Options for reading data
    * @returns {Promise<Object|Array>} The data from the file
    */
-  async readDataFromGCS(type, options = {}) {
-    try {
-      const filePath = this.getGCSFilePath(type);
-      console.log(`Reading from GCS: ${filePath}`);
-      
-      const file = this.bucket.file(filePath);
-      
-      // Only check if file exists when we're not in the normal read flow
-      // to reduce API calls, since most files we request should exist
-      if (options.checkExists) {
-        const exists = await file.exists();
-        if (!exists[0]) {
-          console.log(`File does not exist in GCS: ${filePath}`);
-          // File doesn't exist, return empty based on expected type
-          return this.lotteryTypes.includes(type) ? [] : {};
-        }
-      }
-      
-      // Get file metadata to check last modified time
-      if (!options.skipCache && !this.updateCacheTTL()) {
-        try {
-          const [metadata] = await file.getMetadata();
-          const lastModified = new Date(metadata.updated);
-          
-          // Check if file was modified recently (in the last day)
-          const now = new Date();
-          const oneDayAgo = new Date(now);
-          oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-          
-          if (lastModified < oneDayAgo) {
-            console.log(`File hasn't been modified in the last 24 hours, using extended cache: ${filePath}`);
-            // Extend cache TTL for this file
-            options.extendedCacheTTL = true;
-          }
-        } catch (error) {
-          console.warn(`Couldn't get metadata for ${filePath}, proceeding with normal download:`, error);
-        }
+  async readFromStorage(type) {
+    return (await this.loadFromStorage(type)).data;
+  }
+
+  /**
+   * Read and parse a data file from storage, with its version
+   * Draw and stats files that were published together are read from their release
+   * @param {string} type - The type of file to read
+   * @returns {Promise<{data: Object|Array, version: string|null, updated: Date|string|null}>} The data,
+   *   the version it was read from and when that version was stored
+   */
+  async loadFromStorage(type) {
+    const lotteryType = type.replace(/-stats$/, '');
+    if (this.lotteryTypes.includes(lotteryType)) {
+      const release = await this.getRelease(lotteryType);
+      if (release) {
+        return this.readRelease(lotteryType, release, type);
       }
-      
-      // Set download options with cache control headers
-      const downloadOptions = {
-        validation: false // Skip MD5 checksum validation for better performance
+    }
+
+    const key = this.getStorageKey(type);
+    const checked = this.isCheckedType(type);
+    // Draws and stats are only copied to the local fallback once they pass the schema check
+    const object = await this.getObject(key, { cacheLocally: !checked });
+    if (!object) {
+      // File doesn't exist, return empty based on expected type
+      return { data: this.getEmptyData(type), version: null, updated: null };
+    }
+    
+    if (!checked) {
+      return {
+        data: JSON.parse(object.body.toString('utf8')),
+        version: object.metadata.generation,
+        updated: object.metadata.updated
       };
-      
-      const [content] = await file.download(downloadOptions);
-      const data = content.toString('utf8');
-      
-      // Cache data locally for fallback
-      await this.cacheDataLocally(type, data);
-      
-      return JSON.parse(data);
-    } catch (error) {
-      console.error(`Error reading from GCS (${type}):`, error);
-      
-      // Try to fallback to local cache
-      console.log('Attempting to use local cache as fallback');
-      return await this.readDataFromLocal(type);
     }
+
+    const { generation, updated } = object.metadata;
+    const data = this.parseChecked(type, object.body, generation, updated);
+    await this.cacheLocally(key, object.body);
+    return { data, version: generation, updated };
   }
 
   /**
-   * Cache data from GCS locally
-   * @param {string} type - The type of file
-   * @param {string} data - The JSON data as string
-   * @returns {Promise<void>}
+   * Get an object from storage, falling back to the local copy
+   * @param {string} key - The storage key
+   * @param {Object} [options]
+   * @param {boolean} [options.cacheLocally=true] - Copy the object to the local fallback
+   * @returns {Promise<{body: Buffer, metadata: Object}|null>} The object or null if it doesn't exist
    */
-  async cacheDataLocally(type, data) {
+  async getObject(key, { cacheLocally = true } = {}) {
+    let object;
     try {
-      await this.ensureDataDir();
-      const filePath = this.getLocalFilePath(type);
-      await fs.writeFile(filePath, data, 'utf8');
-      console.log(`Cached GCS data locally: ${filePath}`);
+      object = await this.storage.get(key);
     } catch (error) {
-      console.error(`Error caching data locally (${type}):`, error);
+      if (!this.localCache) {
+        throw error;
+      }
+      console.error(`Error reading ${key} from ${this.storage.name}, using local copy:`, error);
+      return this.localCache.get(key);
     }
+
+    if (object && cacheLocally) {
+      // Keep a local copy for fallback
+      await this.cacheLocally(key, object.body);
+    }
+    return object;
   }
 
   /**
-   * Write data to a JSON file (either local or GCS)
-   * @param {string} type - The type of file to write
-   * @param {Object|Array} data - The data to write
+   * Copy data read from remote storage to the local fallback
+   * @param {string} key - The storage key
+   * @param {Buffer|string} body - The raw JSON
    * @returns {Promise<void>}
    */
-  async writeData(type, data) {
-    // Only allow writing to verified-devices.json
-    if (type !== 'verified-devices' && this.lotteryTypes.includes(type) || type.endsWith('-stats')) {
-      console.error(`Cannot write to read-only file: ${type}`);
-      throw new Error(`Cannot write to read-only file: ${type}`);
+  async cacheLocally(key, body) {
+    if (!this.localCache) {
+      return;
     }
-    
-    const jsonData = JSON.stringify(data, null, 2);
-    
     try {
-      // Always write locally as a backup
-      await this.writeDataToLocal(type, jsonData);
-      
-      // Write to GCS if enabled
-      if (this.useGCS) {
-        await this.writeDataToGCS(type, jsonData);
-      }
+      await this.localCache.put(key, body);
     } catch (error) {
-      console.error(`Error writing data (${type}):`, error);
-      throw error;
+      console.error(`Error caching ${key} locally:`, error);
     }
   }
 
   /**
-   * Write data to a local JSON file
-   * @param {string} type - The type of file to write
-   * @param {string} jsonData - The stringified JSON data
-   * @returns {Promise<void>}
+   * Get the current release of a lottery type
+   * @param {string} type - The lottery type
+   * @returns {Promise<Object|null>} The release or null if the type was never published
+   */
+  async getRelease(type) {
+    const object = await this.getObject(RELEASES_KEY);
+    if (!object) {
+      return null;
+    }
+    return JSON.parse(object.body.toString('utf8'))[type] || null;
+  }
+
+  /**
+   * Read the draws and stats of a release
+   * Both are checked and cached together, so this instance never serves draws and stats from different releases
+   * @param {string} type - The lottery type
+   * @param {Object} release - The release
+   * @param {string} requestedType - The type of file to return, draws or stats
+   * @returns {Promise<{data: Object|Array, version: string, updated: string}>} The requested data,
+   *   the release version and when it was published
+   */
+  async readRelease(type, release, requestedType) {
+    const [drawsObject, statsObject] = await Promise.all([
+      this.getObject(release.draws, { cacheLocally: false }),
+      this.getObject(release.stats, { cacheLocally: false })
+    ]);
+    if (!drawsObject || !statsObject) {
+      throw new Error(`Release ${release.version} of ${type} is missing its files`);
+    }
+
+    const draws = this.parseChecked(type, drawsObject.body, release.version, release.publishedAt);
+    const stats = this.parseChecked(`${type}-stats`, statsObject.body, release.version, release.publishedAt);
+    await Promise.all([
+      this.cacheLocally(release.draws, drawsObject.body),
+      this.cacheLocally(release.stats, statsObject.body)
+    ]);
+    this.storeInCache(type, draws, release.version, release.publishedAt);
+    this.storeInCache(`${type}-stats`, stats, release.version, release.publishedAt);
+
+    return { data: requestedType === type ? draws : stats, version: release.version, updated: release.publishedAt };
+  }
+
+  /**
+   * Publish new draws and their stats for a lottery type
+   * Both files are written under a new version first; the release is then switched to them with
+   * a single conditional write, so readers see either the old pair or the new one
+   * @param {string} type - The lottery type
+   * @param {Array<Object>} draws - All draws, newest first
+   * @param {Object} stats - Statistics computed from the draws
+   * @returns {Promise<Object>} The new release
+   * @throws {Error} With code PRECONDITION_FAILED if another publish happened at the same time
    */
-  async writeDataToLocal(type, jsonData) {
-    await this.ensureDataDir();
-    const filePath = this.getLocalFilePath(type);
-    await fs.writeFile(filePath, jsonData, 'utf8');
+  async publishDraws(type, draws, stats) {
+    if (!this.lotteryTypes.includes(type)) {
+      throw new Error(`Invalid lottery type: ${type}`);
+    }
+
+    const current = await this.storage.get(RELEASES_KEY);
+    const releases = current ? JSON.parse(current.body.toString('utf8')) : {};
+
+    const now = new Date();
+    const version = now.toISOString().replace(/[-:.]/g, '');
+    const name = this.getStorageKey(type).replace(/\.json$/, '');
+    const release = {
+      version,
+      draws: `releases/${name}-${version}.json`,
+      stats: `releases/${name}-stats-${version}.json`,
+      totalDraws: draws.length,
+      latestDrawDate: draws.length > 0 ? draws[0].date : null,
+      publishedAt: now.toISOString()
+    };
+
+    // Never publish files that readers would reject
+    const problems = [...validateDrawHistory(type, draws), ...validateStatistics(type, stats)];
+    if (problems.length > 0) {
+      throw new Error(`Cannot publish ${type} release, it fails the schema check: ${problems.join('; ')}`);
+    }
+
+    const drawsJson = JSON.stringify(draws, null, 2);
+    const statsJson = JSON.stringify(stats, null, 2);
+    const putOptions = {
+      contentType: 'application/json',
+      cacheControl: `public, max-age=${getCacheDuration('data', 300, type)}`,
+      ifGeneration: '0'
+    };
+    // Release files are never rewritten, so nothing reads them until the release points at them
+    await Promise.all([
+      this.storage.put(release.draws, drawsJson, putOptions),
+      this.storage.put(release.stats, statsJson, putOptions)
+    ]);
+
+    releases[type] = release;
+    const releasesJson = JSON.stringify(releases, null, 2);
+    await this.storage.put(RELEASES_KEY, releasesJson, {
+      contentType: 'application/json',
+      cacheControl: 'no-store',
+      ifGeneration: current ? current.metadata.generation : '0'
+    });
+    console.log(`Published ${type} release ${version} with ${draws.length} draws`);
+
+    await Promise.all([
+      this.cacheLocally(release.draws, drawsJson),
+      this.cacheLocally(release.stats, statsJson),
+      this.cacheLocally(RELEASES_KEY, releasesJson)
+    ]);
+    this.storeInCache(type, draws, version, release.publishedAt);
+    this.storeInCache(`${type}-stats`, stats, version, release.publishedAt);
+    this.recordGoodData(type, draws, version, release.publishedAt);
+    this.recordGoodData(`${type}-stats`, stats, version, release.publishedAt);
+
+    return release;
   }
 
   /**
-   * Write data to Google Cloud Storage
+   * Write data to a JSON file
    * @param {string} type - The type of file to write
-   * @param {string} jsonData - The stringified JSON data
-   * @returns {Promise<void>}
+   * @param {Object|Array} data - The data to write
+   * @param {Object} [options] - Write options
+   * @param {string} [options.ifGeneration] - Only write if the stored generation still matches
+   * @returns {Promise<Object>} Metadata of the written file
    */
-  async writeDataToGCS(type, jsonData) {
+  async writeData(type, data, options = {}) {
+    // Lottery draws and stats are only changed through publishDraws
+    if (type !== 'verified-devices' && this.lotteryTypes.includes(type) || type.endsWith('-stats')) {
+      console.error(`Cannot write to read-only file: ${type}`);
+      throw new Error(`Cannot write to read-only file: ${type}`);
+    }
+    
+    const jsonData = JSON.stringify(data, null, 2);
+    
     try {
-      const filePath = this.getGCSFilePath(type);
-      console.log(`Writing to GCS: ${filePath}`);
-      
-      const file = this.bucket.file(filePath);
-      
       // Calculate cache control based on file type
       const contentType = type.endsWith('-stats') ? 'stats' : 'data';
       const maxAge = getCacheDuration(contentType); // in seconds
-      const cacheControl = `public, max-age=${maxAge}`;
       
-      await file.save(jsonData, {
+      const metadata = await this.storage.put(this.getStorageKey(type), jsonData, {
         contentType: 'application/json',
-        metadata: {
-          cacheControl: cacheControl
-        }
+        cacheControl: `public, max-age=${maxAge}`,
+        ifGeneration: options.ifGeneration
       });
       
-      // Update memory cache after successful write
-      this.storeInCache(type, JSON.parse(jsonData));
+      // Keep the local copy and the memory cache in step with storage
+      await this.cacheLocally(this.getStorageKey(type), jsonData);
+      this.storeInCache(type, JSON.parse(jsonData), metadata.generation, metadata.updated);
       
-      console.log(`Successfully wrote to GCS: ${filePath}`);
+      return metadata;
     } catch (error) {
-      console.error(`Error writing to GCS (${type}):`, error);
+      if (error.code !== 'PRECONDITION_FAILED') {
+        console.error(`Error writing data (${type}):`, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Change a data file with a conditional write
+   * The file is read straight from storage and written back only if nobody changed it in between;
+   * on a conflict the update runs again on the latest copy, so concurrent changes are merged
+   * @param {string} type - The type of file
+   * @param {Function} update - Receives the current data and returns the data to write, or undefined
+   *   to leave the file unchanged. May be async, and runs again for every retry
+   * @returns {Promise<Object|Array>} The data after the update
+   * @throws {Error} With code PRECONDITION_FAILED if every attempt conflicted
+   */
+  async updateData(type, update) {
+    const key = this.getStorageKey(type);
+    for (let attempt = 1; ; attempt++) {
+      // No fallback to the local copy, a write based on it would conflict anyway
+      const object = await this.storage.get(key);
+      const current = object ? JSON.parse(object.body.toString('utf8')) : this.getEmptyData(type);
+
+      const next = await update(current);
+      if (next === undefined) {
+        return current;
+      }
+
+      try {
+        await this.writeData(type, next, { ifGeneration: object ? object.metadata.generation : '0' });
+        return next;
+      } catch (error) {
+        if (error.code !== 'PRECONDITION_FAILED' || attempt >= this.maxUpdateAttempts) {
+          throw error;
+        }
+        console.log(`Conflicting write to ${type}, retrying (attempt ${attempt + 1})`);
+        // Random backoff, so writers that conflicted don't collide again
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 25 * 2 ** attempt));
+      }
+    }
+  }
+
+  /**
+   * Get a collection of records kept by ID, sharded when DATA_SHARDS says so
+   * @param {string} type - The type of file, e.g. verified-devices
+   * @returns {RecordCollection}
+   */
+  getCollection(type) {
+    if (!this.collections[type]) {
+      this.collections[type] = new RecordCollection(this, type, this.shardCounts[type] || 1);
+    }
+    return this.collections[type];
+  }
+
+  /**
+   * Move records of newly sharded collections out of their unsharded files
+   * @returns {Promise<void>}
+   */
+  async migrateCollections() {
+    for (const type of Object.keys(this.shardCounts)) {
+      await this.getCollection(type).migrate();
+    }
+  }
+
   /**
    * Get lottery draws
    * @param {string} type - The lottery type
@@ -448,6 +943,9 @@ class DataService {
       return draws.slice(offset, offset + limit);
     } catch (error) {
       console.error(`Error getting lottery draws: ${error.message}`);
+      if (error.code === 'DATA_UNAVAILABLE') {
+        throw error;
+      }
       return [];
     }
   }
@@ -457,9 +955,12 @@ class DataService {
    * @param {string} type - The lottery type
    * @param {Array<number>} numbers - The numbers to search for
    * @param {number} specialBall - The special ball to search for
+   * @param {Object} [filters]
+   * @param {number} [filters.multiplier] - Only draws with this multiplier
+   * @param {number} [filters.minJackpot] - Only draws with at least this jackpot
    * @returns {Promise<Array>} The matching lottery draws
    */
-  async searchLotteryDraws(type, numbers = [], specialBall = null) {
+  async searchLotteryDraws(type, numbers = [], specialBall = null, { multiplier = null, minJackpot = null } = {}) {
     try {
       if (!this.lotteryTypes.includes(type)) {
         throw new Error(`Invalid lottery type: ${type}`);
@@ -487,29 +988,68 @@ class DataService {
         });
       }
 
+      // Payout filters only match draws that have the field; older records don't
+      if (multiplier !== null) {
+        results = results.filter(draw => draw.multiplier === multiplier);
+      }
+      if (minJackpot !== null) {
+        results = results.filter(draw => typeof draw.jackpot === 'number' && draw.jackpot >= minJackpot);
+      }
+
       // Data is already sorted, return filtered results
       return results;
     } catch (error) {
       console.error(`Error searching lottery draws: ${error.message}`);
+      if (error.code === 'DATA_UNAVAILABLE') {
+        throw error;
+      }
       return [];
     }
   }
 
   /**
-   * Get lottery statistics
+   * Get lottery statistics, computed from the draws
+   * Cached per data version, so they're only recomputed when the draws change
    * @param {string} type - The lottery type
-   * @returns {Promise<Object>} The lottery statistics
+   * @param {Object} [options]
+   * @param {string} [options.era] - Only count draws from the era starting on this date
+   * @returns {Promise<Object>} The lottery statistics, with the era when filtered by one
    */
-  async getStatistics(type) {
+  async getStatistics(type, { era } = {}) {
     try {
       if (!this.lotteryTypes.includes(type)) {
         throw new Error(`Invalid lottery type: ${type}`);
       }
 
-      // Read stats from the configured storage (GCS or local)
-      return await this.readData(`${type}-stats`);
+      const draws = await this.readData(type);
+      const version = this.getDataVersion(type);
+      const cacheKey = era ? `${type}:${era}` : type;
+
+      const cached = this.statsCache[cacheKey];
+      if (version && cached && cached.version === version) {
+        return cached.stats;
+      }
+
+      let selected = Array.isArray(draws) ? draws : [];
+      let stats;
+      if (era) {
+        selected = selected.filter(draw => getEra(type, draw.date)?.from === era);
+        stats = { ...computeStatistics(type, selected), era: getEras(type).find(entry => entry.from === era) };
+      } else {
+        stats = computeStatistics(type, selected);
+      }
+      
+      // Draws that couldn't be read have no version; don't keep stats computed from them
+      if (version) {
+        this.statsCache[cacheKey] = { version, stats };
+      }
+      
+      return stats;
     } catch (error) {
       console.error(`Error getting lottery statistics: ${error.message}`);
+      if (error.code === 'DATA_UNAVAILABLE') {
+        throw error;
+      }
       return {
         type,
         totalDraws: 0,
@@ -520,15 +1060,53 @@ class DataService {
     }
   }
 
+  /**
+   * Get lottery statistics for each era of a game separately
+   * @param {string} type - The lottery type
+   * @returns {Promise<{type: string, eras: Array<Object>}>} Statistics per era, oldest first
+   */
+  async getStatisticsByEra(type) {
+    const eras = await Promise.all(getEras(type).map(era => this.getStatistics(type, { era: era.from })));
+    return { type, eras };
+  }
+
+  /**
+   * Check the stored stats file of a lottery type against stats computed from its draws
+   * @param {string} type - The lottery type
+   * @returns {Promise<Object>} type, dataVersion, statsFound, consistent and the differences found
+   */
+  async checkStatistics(type) {
+    if (!this.lotteryTypes.includes(type)) {
+      throw new Error(`Invalid lottery type: ${type}`);
+    }
+
+    // Read both straight from storage, so the check never compares against a stale copy
+    const [draws, stored] = await Promise.all([
+      this.loadFromStorage(type),
+      this.loadFromStorage(`${type}-stats`)
+    ]);
+    const statsFound = stored.version !== null;
+    const differences = statsFound ? compareStatistics(stored.data, computeStatistics(type, draws.data)) : [];
+
+    return {
+      type,
+      dataVersion: draws.version,
+      statsVersion: stored.version,
+      statsFound,
+      consistent: differences.length === 0,
+      differences
+    };
+  }
+
   /**
    * Add a lottery draw
    * @param {string} type - The lottery type
    * @param {Object} draw - The draw data
    * @returns {Promise<boolean>} Whether the operation was successful
-   * @deprecated Lottery data files are read-only
+   * @deprecated Use drawIngestion.ingestDraws, which validates the draw and rebuilds the stats
    */
   async addLotteryDraw(type, draw) {
-    console.warn('addLotteryDraw is deprecated. Lottery data files are read-only.');
+    console.warn('addLotteryDraw is deprecated. Use drawIngestion.ingestDraws instead.');
     return false;
     
     // The code below is kept for reference but will not be executed
@@ -570,26 +1148,32 @@ class DataService {
 
   /**
    * Store verified device
+   * Keeps the first verification time and ban status across re-attestations
    * @param {string} deviceId - The verified device ID
+   * @param {Object} details - Device details
+   * @param {string} details.platform - Client platform ('ios' or 'android')
+   * @param {string} [details.appVersion] - App version reported by the client
    * @returns {Promise<boolean>} Whether the operation was successful
    */
-  async storeVerifiedDevice(deviceId) {
+  async storeVerifiedDevice(deviceId, { platform, appVersion } = {}) {
     try {
-      // Create a verified-devices.json file if it doesn't exist
-      let devices = {};
-      try {
-        devices = await this.readData('verified-devices');
-      } catch (error) {
-        // If file doesn't exist, we'll create a new one
-      }
-      
-      // Add the device if it doesn't exist
-      devices[deviceId] = {
-        verifiedAt: new Date().toISOString(),
-        attestationVerified: true
-      };
-
-      await this.writeData('verified-devices', devices);
+      await this.getCollection('verified-devices').update(deviceId, (existing) => {
+        const device = existing || {};
+        const now = new Date().toISOString();
+        
+        const updated = {
+          ...device,
+          firstVerifiedAt: device.firstVerifiedAt || device.verifiedAt || now,
+          lastVerifiedAt: now,
+          lastSeenAt: now,
+          platform: platform || device.platform || null,
+          appVersion: appVersion || device.appVersion || null,
+          attestationVerified: true,
+          banned: device.banned === true
+        };
+        delete updated.verifiedAt;
+        return updated;
+      });
       return true;
     } catch (error) {
       console.error(`Error storing verified device: ${error.message}`);
@@ -598,56 +1182,299 @@ class DataService {
   }
 
   /**
-   * Verify device ID exists and is verified
+   * Verify device ID exists, is verified and is not banned
    * @param {string} deviceId - The device ID to verify
    * @returns {Promise<boolean>} Whether the device is verified
    */
   async isDeviceVerified(deviceId) {
+    const device = await this.getVerifiedDevice(deviceId);
+    return device?.attestationVerified === true && device.banned !== true;
+  }
+
+  /**
+   * Get a verified device record
+   * @param {string} deviceId - The device ID
+   * @returns {Promise<Object|null>} The device record or null if unknown
+   */
+  async getVerifiedDevice(deviceId) {
     try {
-      const devices = await this.readData('verified-devices');
-      return devices[deviceId]?.attestationVerified === true;
+      // Ban checks use this, so a ban on another instance is seen within DEVICE_CACHE_MS
+      const device = await this.getCollection('verified-devices').get(deviceId, { skipCache: false, maxAge: this.deviceCacheTTL });
+      return device ? { deviceId, ...device } : null;
+    } catch (error) {
+      console.error(`Error reading device: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record that a device was seen
+   * Writes at most once per DEVICE_LAST_SEEN_INTERVAL_MS per device to limit storage writes
+   * @param {string} deviceId - The device ID
+   * @returns {Promise<boolean>} Whether lastSeenAt was updated
+   */
+  async touchVerifiedDevice(deviceId) {
+    try {
+      const interval = parseInt(process.env.DEVICE_LAST_SEEN_INTERVAL_MS) || 60 * 60 * 1000;
+      const cached = await this.getVerifiedDevice(deviceId);
+      if (!cached || Date.now() - new Date(cached.lastSeenAt).getTime() < interval) {
+        return false;
+      }
+      
+      let touched = false;
+      await this.getCollection('verified-devices').update(deviceId, (device) => {
+        // Another instance may have just touched it
+        if (!device || Date.now() - new Date(device.lastSeenAt).getTime() < interval) {
+          touched = false;
+          return undefined;
+        }
+        touched = true;
+        return { ...device, lastSeenAt: new Date().toISOString() };
+      });
+      return touched;
     } catch (error) {
-      console.error(`Error verifying device: ${error.message}`);
+      console.error(`Error updating device last seen: ${error.message}`);
       return false;
     }
   }
 
   /**
-   * Fetch multiple files from GCS in parallel
-   * @param {Array<string>} types - Array of file types to fetch
-   * @returns {Promise<Object>} Object with file types as keys and data as values
+   * Ban or unban a device
+   * @param {string} deviceId - The device ID
+   * @param {boolean} banned - Whether the device should be banned
+   * @param {string} [reason] - Why the device was banned
+   * @returns {Promise<Object|null>} The updated device record or null if unknown
    */
-  async fetchMultipleFiles(types) {
-    if (!Array.isArray(types) || types.length === 0) {
-      return {};
+  async setDeviceBanned(deviceId, banned, reason) {
+    const device = await this.getCollection('verified-devices').update(deviceId, (existing) => {
+      if (!existing) {
+        return undefined;
+      }
+      
+      const updated = { ...existing, banned };
+      if (banned) {
+        updated.bannedAt = new Date().toISOString();
+        updated.banReason = reason || null;
+      } else {
+        delete updated.bannedAt;
+        delete updated.banReason;
+      }
+      return updated;
+    });
+
+    return device ? { deviceId, ...device } : null;
+  }
+
+  /**
+   * Claim a StoreKit transaction for a device
+   * The first device to present a transaction owns it, so one signed transaction can't be
+   * replayed to unlock entitlements on other devices
+   * @param {string} deviceId - The device ID
+   * @param {string} originalTransactionId - Original transaction ID of the purchase
+   * @returns {Promise<boolean>} Whether the device owns the transaction
+   */
+  async claimTransaction(deviceId, originalTransactionId) {
+    const owner = await this.getCollection('transaction-owners').update(originalTransactionId, (existing) => (
+      existing ? undefined : { deviceId, claimedAt: new Date().toISOString() }
+    ));
+    return owner.deviceId === deviceId;
+  }
+
+  /**
+   * Release a StoreKit transaction so another device can claim it, e.g. after the app was reinstalled
+   * The entitlement is removed from the device that owned it
+   * @param {string} originalTransactionId - Original transaction ID of the purchase
+   * @returns {Promise<Object|null>} The released owner record or null if nobody claimed it
+   */
+  async releaseTransaction(originalTransactionId) {
+    let owner = null;
+    await this.getCollection('transaction-owners').update(originalTransactionId, (existing) => {
+      owner = existing;
+      return existing ? null : undefined;
+    });
+    if (!owner) {
+      return null;
     }
+
+    await this.getCollection('verified-devices').update(owner.deviceId, (device) => {
+      if (!device?.entitlements?.[originalTransactionId]) {
+        return undefined;
+      }
+      const entitlements = { ...device.entitlements };
+      delete entitlements[originalTransactionId];
+      return { ...device, entitlements };
+    });
+
+    return { originalTransactionId, ...owner };
+  }
+
+  /**
+   * Record verified StoreKit transactions as entitlements on a device
+   * Entitlements are keyed by original transaction ID, so renewals replace the previous period
+   * @param {string} deviceId - The device ID
+   * @param {Array<Object>} entitlements - originalTransactionId, productId, scopes and expiresDate
+   * @returns {Promise<Object|null>} The updated device record or null if the device is unknown
+   */
+  async storeDeviceEntitlements(deviceId, entitlements) {
+    const device = await this.getCollection('verified-devices').update(deviceId, (existing) => {
+      if (!existing) {
+        return undefined;
+      }
+
+      const now = new Date().toISOString();
+      const updated = { ...existing, entitlements: { ...existing.entitlements } };
+      for (const { originalTransactionId, productId, scopes, expiresDate } of entitlements) {
+        updated.entitlements[originalTransactionId] = {
+          productId,
+          scopes,
+          expiresAt: expiresDate ? new Date(expiresDate).toISOString() : null,
+          verifiedAt: now
+        };
+      }
+      return updated;
+    });
+
+    return device ? { deviceId, ...device } : null;
+  }
+
+  /**
+   * Get the scopes of a device's unexpired entitlements
+   * @param {string} deviceId - The device ID
+   * @returns {Promise<Array<string>>} Unique scopes, empty if none
+   */
+  async getEntitlementScopes(deviceId) {
+    const device = await this.getCollection('verified-devices').get(deviceId);
+    const entitlements = Object.values(device?.entitlements || {});
+    const now = Date.now();
+
+    const scopes = entitlements
+      .filter(entitlement => !entitlement.expiresAt || new Date(entitlement.expiresAt).getTime() > now)
+      .flatMap(entitlement => entitlement.scopes);
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * List verified devices, most recently seen first
+   * @param {Object} filters - Filters and pagination
+   * @param {string} [filters.search] - Device ID prefix or app version substring
+   * @param {string} [filters.platform] - Only devices on this platform
+   * @param {boolean} [filters.banned] - Only banned (true) or not banned (false) devices
+   * @param {number} [filters.limit] - Maximum number of devices to return
+   * @param {number} [filters.offset] - Number of devices to skip
+   * @returns {Promise<{total: number, devices: Array<Object>}>}
+   */
+  async listVerifiedDevices({ search, platform, banned, limit = 50, offset = 0 } = {}) {
+    const devices = await this.getCollection('verified-devices').getAll();
     
-    // First check cache for all requested types
-    const result = {};
-    const typesToFetch = [];
+    let results = Object.entries(devices).map(([deviceId, device]) => ({ deviceId, ...device }));
     
-    for (const type of types) {
-      const cachedData = this.getCachedData(type);
-      if (cachedData) {
-        console.log(`Using cached data for: ${type}`);
-        result[type] = cachedData;
-      } else {
-        typesToFetch.push(type);
-      }
+    if (search) {
+      const term = search.toLowerCase();
+      results = results.filter(device =>
+        device.deviceId.toLowerCase().startsWith(term) ||
+        (device.appVersion || '').toLowerCase().includes(term)
+      );
     }
     
-    // Fetch remaining types in parallel
-    if (typesToFetch.length > 0) {
-      const promises = typesToFetch.map(type => this.readData(type));
-      const dataResults = await Promise.all(promises);
-      
-      typesToFetch.forEach((type, index) => {
-        result[type] = dataResults[index];
+    if (platform) {
+      results = results.filter(device => device.platform === platform);
+    }
+    
+    if (banned !== undefined) {
+      results = results.filter(device => (device.banned === true) === banned);
+    }
+    
+    results.sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+    
+    return {
+      total: results.length,
+      devices: results.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Store the public key of a newly attested App Attest key
+   * @param {string} keyId - The base64 key identifier
+   * @param {string} publicKey - PEM encoded public key from the credential certificate
+   * @param {string} deviceId - The device ID the key belongs to
+   * @returns {Promise<boolean>} Whether the operation was successful
+   */
+  async storeAttestedKey(keyId, publicKey, deviceId) {
+    try {
+      // A fresh attestation always starts the counter at zero
+      await this.getCollection('attested-keys').update(keyId, () => ({
+        publicKey,
+        deviceId,
+        counter: 0,
+        attestedAt: new Date().toISOString()
+      }));
+      return true;
+    } catch (error) {
+      console.error(`Error storing attested key: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get an attested key record
+   * Always reads from storage so counters are never checked against a stale copy
+   * @param {string} keyId - The base64 key identifier
+   * @returns {Promise<Object|null>} The key record or null if unknown
+   */
+  async getAttestedKey(keyId) {
+    try {
+      return await this.getCollection('attested-keys').get(keyId);
+    } catch (error) {
+      console.error(`Error reading attested key: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record the latest assertion counter for an attested key
+   * @param {string} keyId - The base64 key identifier
+   * @param {number} counter - The counter from the verified assertion
+   * @returns {Promise<boolean>} Whether the counter was stored
+   */
+  async updateAttestedKeyCounter(keyId, counter) {
+    try {
+      let updated = false;
+      await this.getCollection('attested-keys').update(keyId, (key) => {
+        // Never move a counter backwards, also when another instance stored a newer one meanwhile
+        updated = Boolean(key) && counter > key.counter;
+        if (!updated) {
+          return undefined;
+        }
+        return { ...key, counter, lastAssertionAt: new Date().toISOString() };
       });
+      return updated;
+    } catch (error) {
+      console.error(`Error updating attested key counter: ${error.message}`);
+      return false;
     }
+  }
+
+  /**
+   * Fetch multiple files from storage in parallel
+   * @param {Array<string>} types - Array of file types to fetch
+   * @returns {Promise<Object>} Object with file types as keys and data as values
+   */
+  async fetchMultipleFiles(types) {
+    if (!Array.isArray(types) || types.length === 0) {
+      return {};
+    }
+    
+    // Cached types are served from memory, the rest are loaded in parallel
+    const dataResults = await Promise.all(types.map(type => this.readData(type)));
     
+    const result = {};
+    types.forEach((type, index) => {
+      result[type] = dataResults[index];
+    });
     return result;
   }
 }
 
-module.exports = new DataService(); 
\ No newline at end of file
+module.exports = new DataService();
+module.exports.DataService = DataService;
@@ -0,0 +1,246 @@
+const dataService = require('./dataService');
+const { validateDraw } = require('../utils/gameRules');
+const { computeStatistics } = require('../utils/statistics');
+
+// Optional fields of a draw record; older records don't have them
+const PAYOUT_FIELDS = ['multiplier', 'jackpot', 'cashValue', 'prizeTiers'];
+
+/**
+ * Adds new draw results to the draw history
+ *
+ * Draws are checked against their game's rules, merged into the history newest first,
+ * and published together with the stats rebuilt from the full history.
+ * Draws come one batch at a time from the admin API, or in bulk from result feed imports.
+ */
+class DrawIngestionService {
+  constructor() {
+    // Ingestion goes through one queue so concurrent requests don't publish over each other
+    this.publishQueue = Promise.resolve();
+  }
+
+  /**
+   * Build the stored record of a draw
+   * @param {string} type - The lottery type
+   * @param {Object} draw - The draw as received
+   * @returns {Object} The draw record, with numbers in ascending order and the payout fields it has
+   */
+  toRecord(type, draw) {
+    const record = {
+      specialBall: draw.specialBall,
+      date: draw.date,
+      numbers: [...draw.numbers].sort((a, b) => a - b),
+      type
+    };
+
+    for (const field of PAYOUT_FIELDS) {
+      if (draw[field] !== undefined && draw[field] !== null) {
+        record[field] = draw[field];
+      }
+    }
+    if (record.prizeTiers) {
+      record.prizeTiers = record.prizeTiers.map(({ tier, winners, prize }) => ({ tier, winners, prize: prize ?? null }));
+    }
+
+    return record;
+  }
+
+  /**
+   * Run a read-merge-publish task after the ones already queued
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  enqueue(task) {
+    const result = this.publishQueue.then(task);
+    this.publishQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Whether two draw records have the same numbers and special ball
+   * @param {Object} a - A draw record
+   * @param {Object} b - Another draw record
+   * @returns {boolean}
+   */
+  isSameDraw(a, b) {
+    const sorted = draw => [...draw.numbers].sort((x, y) => x - y).join(',');
+    return a.specialBall === b.specialBall && sorted(a) === sorted(b);
+  }
+
+  /**
+   * Validate draws and check none of them is already in the history
+   * @param {string} type - The lottery type
+   * @param {Array<Object>} draws - The draws to add
+   * @param {Array<Object>} existing - The current draw history
+   * @returns {Array<Object>} Validation errors, in the same shape as express-validator's
+   */
+  findErrors(type, draws, existing) {
+    const errors = [];
+    const existingDates = new Set(existing.map(draw => String(draw.date).slice(0, 10)));
+    const batchDates = new Set();
+
+    draws.forEach((draw, index) => {
+      const addError = msg => errors.push({ type: 'field', value: draw, msg, path: `draws[${index}]`, location: 'body' });
+
+      validateDraw(type, draw).forEach(addError);
+
+      if (existingDates.has(draw.date)) {
+        addError(`A ${type} draw on ${draw.date} already exists`);
+      } else if (batchDates.has(draw.date)) {
+        addError(`${draw.date} appears more than once`);
+      }
+      batchDates.add(draw.date);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Add draws to a lottery's history and publish it with rebuilt stats
+   * Nothing is published unless every draw is valid
+   * @param {string} type - The lottery type
+   * @param {Array<Object>} draws - The draws, each with date (YYYY-MM-DD), numbers and specialBall
+   * @returns {Promise<{added: Array<Object>, release: Object}>} The added draw records and the new release
+   * @throws {Error} With status 400 and errors if any draw is invalid
+   */
+  ingestDraws(type, draws) {
+    return this.enqueue(() => this.mergeAndPublish(type, draws));
+  }
+
+  async mergeAndPublish(type, draws) {
+    // Read straight from storage: a failed read must not look like an empty history
+    const existing = await dataService.readFromStorage(type);
+
+    const errors = this.findErrors(type, draws, existing);
+    if (errors.length > 0) {
+      const error = new Error('Invalid draws');
+      error.status = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    const added = draws.map(draw => this.toRecord(type, draw));
+    const release = await this.publish(type, [...existing, ...added]);
+
+    return { added, release };
+  }
+
+  /**
+   * Sort draws newest first and publish them with their stats
+   * @param {string} type - The lottery type
+   * @param {Array<Object>} draws - Every draw of the lottery
+   * @returns {Promise<Object>} The new release
+   */
+  publish(type, draws) {
+    const sorted = [...draws].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    return dataService.publishDraws(type, sorted, computeStatistics(type, sorted));
+  }
+
+  /**
+   * Compare rows from a result feed with the draw history
+   * Rows repeating an earlier row exactly are skipped; rows repeating a date with other numbers are invalid.
+   * A row matching an existing draw that only adds payout fields the draw doesn't have yet is an update;
+   * one with other numbers or other payout values is a change
+   * @param {string} type - The lottery type
+   * @param {Array<Object>} entries - Parsed feed rows, from parseFeed
+   * @param {Array<Object>} existing - The current draw history
+   * @returns {{added: Array<Object>, changed: Array<Object>, updated: Array<Object>, unchanged: number, invalid: Array<Object>}}
+   */
+  diffImport(type, entries, existing) {
+    const existingByDate = new Map(existing.map(draw => [String(draw.date).slice(0, 10), draw]));
+    const seen = new Map();
+    const diff = { added: [], changed: [], updated: [], unchanged: 0, invalid: [] };
+
+    for (const { row, draw, errors } of entries) {
+      const problems = draw ? validateDraw(type, draw) : errors;
+      if (problems.length > 0) {
+        diff.invalid.push({ row, date: draw ? draw.date : null, errors: problems });
+        continue;
+      }
+
+      const record = this.toRecord(type, draw);
+      const previous = seen.get(record.date);
+      if (previous) {
+        if (!this.isSameDraw(previous, record)) {
+          diff.invalid.push({ row, date: record.date, errors: [`${record.date} appears more than once with different numbers`] });
+        }
+        continue;
+      }
+      seen.set(record.date, record);
+
+      const current = existingByDate.get(record.date);
+      if (!current) {
+        diff.added.push(record);
+        continue;
+      }
+      if (!this.isSameDraw(current, record)) {
+        diff.changed.push({ date: record.date, from: current, to: record });
+        continue;
+      }
+
+      const provided = PAYOUT_FIELDS.filter(field => record[field] !== undefined);
+      const added = provided.filter(field => current[field] === undefined);
+      const differing = provided.filter(field =>
+        current[field] !== undefined && JSON.stringify(current[field]) !== JSON.stringify(record[field])
+      );
+      if (differing.length > 0) {
+        diff.changed.push({ date: record.date, from: current, to: { ...current, ...record } });
+      } else if (added.length > 0) {
+        diff.updated.push({ date: record.date, fields: added, from: current, to: { ...current, ...record } });
+      } else {
+        diff.unchanged++;
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Merge rows from a result feed into the draw history
+   * Nothing is written for a dry run, when any row is invalid, or when rows would change
+   * existing draws without replace. Updates that only add payout fields are always applied
+   * @param {string} type - The lottery type
+   * @param {Array<Object>} entries - Parsed feed rows, from parseFeed
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only compute the diff
+   * @param {boolean} [options.replace] - Let feed rows replace existing draws with the same date
+   * @returns {Promise<Object>} The diff, whether it was written, and the new release if it was
+   */
+  importDraws(type, entries, { dryRun = false, replace = false } = {}) {
+    return this.enqueue(async () => {
+      // Read straight from storage: a failed read must not look like an empty history
+      const existing = await dataService.readFromStorage(type);
+      const diff = this.diffImport(type, entries, existing);
+
+      const result = {
+        type,
+        dryRun,
+        written: false,
+        release: null,
+        summary: {
+          rows: entries.length,
+          added: diff.added.length,
+          changed: diff.changed.length,
+          updated: diff.updated.length,
+          unchanged: diff.unchanged,
+          invalid: diff.invalid.length
+        },
+        ...diff
+      };
+
+      const blocked = diff.invalid.length > 0 || (diff.changed.length > 0 && !replace);
+      const modified = [...diff.changed, ...diff.updated];
+      if (dryRun || blocked || (diff.added.length === 0 && modified.length === 0)) {
+        return result;
+      }
+
+      const replaced = new Set(modified.map(change => change.date));
+      const kept = existing.filter(draw => !replaced.has(String(draw.date).slice(0, 10)));
+      const release = await this.publish(type, [...kept, ...diff.added, ...modified.map(change => change.to)]);
+
+      return { ...result, written: true, release };
+    });
+  }
+}
+
+module.exports = new DrawIngestionService();
+module.exports.DrawIngestionService = DrawIngestionService;
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Definitions shipped with the app; GAMES_FILE points at another file
+const DEFAULT_GAMES_FILE = path.join(__dirname, '..', '..', 'config', 'games.json');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const TIER_PATTERN = /^(\d+)\+([01])$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check whether a value names a time zone the runtime knows
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTimeZone(value) {
+  if (typeof value !== 'string' || !value) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Registry of the supported lottery games
+ *
+ * Every game is defined in a JSON file: its slug, display name, data file names, ball counts,
+ * draw time and time zone, and its draw days and eras (ranges, price, multiplier and prize table),
+ * each dated from the day they took effect. Adding a game only takes a new definition and its draw file.
+ */
+class GameRegistry {
+  /**
+   * @param {string} [file] - Path of the definitions file
+   */
+  constructor(file = process.env.GAMES_FILE || DEFAULT_GAMES_FILE) {
+    this.file = file;
+    this.games = {};
+    this.version = null;
+
+    // Loaded synchronously, routes and the data service need the games when they're set up
+    let definitions;
+    try {
+      definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read game definitions from ${file}: ${error.message}`);
+    }
+    this.load(definitions);
+  }
+
+  /**
+   * Replace the registered games
+   * @param {{games: Array<Object>}} definitions - Parsed definitions file
+   * @throws {Error} Listing every problem if any definition is invalid
+   */
+  load(definitions) {
+    const games = definitions && Array.isArray(definitions.games) ? definitions.games : null;
+    if (!games || games.length === 0) {
+      throw new Error('Game definitions must have a non-empty games list');
+    }
+
+    const problems = [];
+    const files = new Set();
+    const loaded = {};
+    games.forEach((game, index) => {
+      const name = game && game.slug ? game.slug : `games[${index}]`;
+      problems.push(...this.validateGame(game || {}).map(problem => `${name}: ${problem}`));
+
+      if (game && loaded[game.slug]) {
+        problems.push(`${name}: slug is defined more than once`);
+      }
+      for (const file of Object.values((game && game.files) || {})) {
+        if (files.has(file)) {
+          problems.push(`${name}: file ${file} is used by another game`);
+        }
+        files.add(file);
+      }
+      if (game) {
+        loaded[game.slug] = game;
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid game definitions:\n${problems.join('\n')}`);
+    }
+    this.games = loaded;
+    this.version = crypto.createHash('sha256').update(JSON.stringify(definitions)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Check one game definition
+   * @param {Object} game - The definition
+   * @returns {Array<string>} A message for every problem, empty if the definition is valid
+   */
+  validateGame(game) {
+    const problems = [];
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+    const isSortedByDate = entries => entries.every((entry, index) => index === 0 || entries[index - 1].from < entry.from);
+
+    if (typeof game.slug !== 'string' || !SLUG_PATTERN.test(game.slug)) {
+      problems.push('slug must be lowercase letters, digits and dashes');
+    }
+    if (typeof game.name !== 'string' || !game.name) {
+      problems.push('name is required');
+    }
+    if (!game.files || typeof game.files.draws !== 'string' || typeof game.files.stats !== 'string') {
+      problems.push('files must name the draws and stats files');
+    }
+    if (!isPositiveInteger(game.numberCount)) {
+      problems.push('numberCount must be a positive whole number');
+    }
+    if (typeof game.specialBall !== 'string' || !game.specialBall) {
+      problems.push('specialBall must name the special ball');
+    }
+
+    const drawDays = Array.isArray(game.drawDays) ? game.drawDays : [];
+    if (drawDays.length === 0 || !drawDays.every(entry =>
+      entry && DATE_PATTERN.test(entry.from) && Array.isArray(entry.days) && entry.days.length > 0 &&
+      entry.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    )) {
+      problems.push('drawDays must list {from, days} with days of the week from 0 (Sunday) to 6');
+    } else if (!isSortedByDate(drawDays)) {
+      problems.push('drawDays must be oldest first');
+    }
+    if (typeof game.drawTime !== 'string' || !TIME_PATTERN.test(game.drawTime)) {
+      problems.push('drawTime must be a 24-hour HH:MM time');
+    }
+    if (!isTimeZone(game.timeZone)) {
+      problems.push('timeZone must be an IANA time zone, e.g. America/New_York');
+    }
+    if (game.publishDelayMinutes !== undefined &&
+      !(Number.isInteger(game.publishDelayMinutes) && game.publishDelayMinutes >= 0 && game.publishDelayMinutes <= 24 * 60)) {
+      problems.push('publishDelayMinutes must be a whole number of minutes, at most a day');
+    }
+
+    const eras = Array.isArray(game.eras) ? game.eras : [];
+    if (eras.length === 0) {
+      problems.push('eras must list at least one era');
+    } else if (!eras.every(era => era && DATE_PATTERN.test(era.from))) {
+      problems.push('every era needs a from date');
+    } else if (!isSortedByDate(eras)) {
+      problems.push('eras must be oldest first');
+    }
+    eras.forEach(era => {
+      if (!era) {
+        return;
+      }
+      problems.push(...this.validateEra(game, era).map(problem => `era ${era.from}: ${problem}`));
+    });
+
+    return problems;
+  }
+
+  /**
+   * Check one era of a game definition
+   * @param {Object} game - The game definition
+   * @param {Object} era - The era
+   * @returns {Array<string>} A message for every problem
+   */
+  validateEra(game, era) {
+    const problems = [];
+
+    if (!Number.isInteger(era.maxNumber) || era.maxNumber < game.numberCount) {
+      problems.push('maxNumber must be a whole number of at least numberCount');
+    }
+    if (!Number.isInteger(era.maxSpecialBall) || era.maxSpecialBall < 1) {
+      problems.push('maxSpecialBall must be a positive whole number');
+    }
+    if (typeof era.price !== 'number' || era.price <= 0) {
+      problems.push('price must be a positive amount');
+    }
+    if (era.multiplier !== undefined && era.multiplier !== null && !(
+      typeof era.multiplier.name === 'string' && Array.isArray(era.multiplier.values) &&
+      era.multiplier.values.length > 0 && era.multiplier.values.every(value => Number.isInteger(value) && value > 1)
+    )) {
+      problems.push('multiplier must have a name and the values it can take');
+    }
+
+    if (era.prizeTable !== undefined) {
+      const tiers = Array.isArray(era.prizeTable) ? era.prizeTable : [];
+      const valid = tiers.length > 0 && tiers.every(entry => {
+        const match = entry && TIER_PATTERN.exec(entry.tier);
+        return match && parseInt(match[1]) <= game.numberCount &&
+          (entry.prize === 'jackpot' || (typeof entry.prize === 'number' && entry.prize >= 0));
+      });
+      if (!valid) {
+        problems.push('prizeTable must list {tier, prize} with tiers like 5+1 and prizes in dollars or "jackpot"');
+      } else if (new Set(tiers.map(entry => entry.tier)).size !== tiers.length) {
+        problems.push('prizeTable must not repeat a tier');
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Get the slugs of all games
+   * @returns {Array<string>}
+   */
+  getTypes() {
+    return Object.keys(this.games);
+  }
+
+  /**
+   * Check whether a game is registered
+   * @param {string} type - The game slug
+   * @returns {boolean}
+   */
+  has(type) {
+    return Object.prototype.hasOwnProperty.call(this.games, type);
+  }
+
+  /**
+   * Get the definition of a game
+   * @param {string} type - The game slug
+   * @returns {Object|null} The definition, or null for unknown games
+   */
+  get(type) {
+    return this.has(type) ? this.games[type] : null;
+  }
+
+  /**
+   * Get the version of the loaded definitions
+   * Changes whenever a definition does, e.g. a game's number ranges or eras
+   * @returns {string} Hash of the definitions
+   */
+  getVersion() {
+    return this.version;
+  }
+
+  /**
+   * Get the storage file names of every game's draws and stats
+   * @returns {Object} File name keyed by data type, e.g. mega-millions and mega-millions-stats
+   */
+  getFileMap() {
+    const fileMap = {};
+    for (const game of Object.values(this.games)) {
+      fileMap[game.slug] = game.files.draws;
+      fileMap[`${game.slug}-stats`] = game.files.stats;
+    }
+    return fileMap;
+  }
+}
+
+module.exports = new GameRegistry();
+module.exports.GameRegistry = GameRegistry;
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// RFC 3394 default initial value for AES key wrap
+const AES_KEY_WRAP_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex');
+
+class PlayIntegrityService {
+  constructor() {
+    // Keys from the Play Console, used to decrypt and verify tokens locally
+    this.decryptionKey = process.env.PLAY_INTEGRITY_DECRYPTION_KEY ?
+      Buffer.from(process.env.PLAY_INTEGRITY_DECRYPTION_KEY, 'base64') : null;
+
+    try {
+      this.verificationKey = process.env.PLAY_INTEGRITY_VERIFICATION_KEY ?
+        crypto.createPublicKey({
+          key: Buffer.from(process.env.PLAY_INTEGRITY_VERIFICATION_KEY, 'base64'),
+          format: 'der',
+          type: 'spki'
+        }) : null;
+    } catch (error) {
+      console.error('Failed to load PLAY_INTEGRITY_VERIFICATION_KEY:', error);
+      this.verificationKey = null;
+    }
+
+    this.packageName = process.env.PLAY_INTEGRITY_PACKAGE_NAME;
+
+    // Base64url SHA-256 digests of the app signing certificates we accept
+    this.certificateDigests = (process.env.PLAY_INTEGRITY_CERT_DIGESTS || '')
+      .split(',')
+      .map(digest => digest.trim())
+      .filter(Boolean);
+
+    // Every listed device verdict must be present
+    this.requiredDeviceVerdicts = (process.env.PLAY_INTEGRITY_REQUIRED_DEVICE_VERDICTS || 'MEETS_DEVICE_INTEGRITY')
+      .split(',')
+      .map(verdict => verdict.trim())
+      .filter(Boolean);
+
+    this.maxTokenAge = parseInt(process.env.PLAY_INTEGRITY_MAX_AGE_MS) || 5 * 60 * 1000;
+
+    if (!this.decryptionKey || !this.verificationKey || !this.packageName) {
+      console.warn('Play Integrity keys or package name missing. Android verification will fail.');
+    }
+  }
+
+  /**
+   * Verifies a Play Integrity token
+   * @param {string} integrityToken - The encrypted token from the Play Integrity API
+   * @param {string} challenge - The issued challenge, part of the nonce the app passed
+   * @param {string} keyId - The installation key identifier submitted by the client, the other part of the nonce
+   * @returns {Promise<{verified: boolean, deviceId?: string, reasons: Array<string>}>}
+   */
+  async verifyIntegrityToken(integrityToken, challenge, keyId) {
+    if (!this.decryptionKey || !this.verificationKey || !this.packageName) {
+      return { verified: false, reasons: ['not_configured'] };
+    }
+
+    let payload;
+    try {
+      payload = this.decodeToken(integrityToken);
+    } catch (error) {
+      console.error('Play Integrity token decoding failed:', error.message);
+      return { verified: false, reasons: [error.reason || 'invalid_format'] };
+    }
+
+    const reasons = this.checkVerdict(payload, challenge, keyId);
+    if (reasons.length > 0) {
+      return { verified: false, reasons };
+    }
+
+    return {
+      verified: true,
+      deviceId: this.getDeviceId(keyId),
+      reasons: []
+    };
+  }
+
+  /**
+   * Decrypts the JWE and verifies the inner JWS
+   * @param {string} integrityToken - Compact JWE (A256KW / A256GCM)
+   * @returns {Object} The token payload
+   */
+  decodeToken(integrityToken) {
+    const parts = integrityToken.split('.');
+    if (parts.length !== 5) {
+      throw Object.assign(new Error('Token is not a compact JWE'), { reason: 'invalid_format' });
+    }
+
+    const [protectedHeader, encryptedKey, iv, ciphertext, tag] = parts;
+
+    let jws;
+    try {
+      const header = JSON.parse(Buffer.from(protectedHeader, 'base64url').toString('utf8'));
+      if (header.alg !== 'A256KW' || header.enc !== 'A256GCM') {
+        throw new Error(`Unsupported JWE algorithms: ${header.alg}/${header.enc}`);
+      }
+
+      // Unwrap the content encryption key with the decryption key
+      const keyDecipher = crypto.createDecipheriv('id-aes256-wrap', this.decryptionKey, AES_KEY_WRAP_IV);
+      const contentKey = Buffer.concat([
+        keyDecipher.update(Buffer.from(encryptedKey, 'base64url')),
+        keyDecipher.final()
+      ]);
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, Buffer.from(iv, 'base64url'));
+      decipher.setAAD(Buffer.from(protectedHeader, 'ascii'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+      jws = Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64url')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw Object.assign(new Error(`Decryption failed: ${error.message}`), { reason: 'decryption_failed' });
+    }
+
+    try {
+      return jwt.verify(jws, this.verificationKey, { algorithms: ['ES256'] });
+    } catch (error) {
+      throw Object.assign(new Error(`Signature verification failed: ${error.message}`), { reason: 'signature_invalid' });
+    }
+  }
+
+  /**
+   * Computes the nonce the app must request a token with: SHA-256(challenge || keyId)
+   * The key identifier is part of the signed token this way, so a token can't be replayed with another one
+   * @param {string} challenge - The issued challenge
+   * @param {string} keyId - The installation key identifier
+   * @returns {Buffer} The 32 byte nonce, sent by the app in web-safe base64
+   */
+  getExpectedNonce(challenge, keyId) {
+    return crypto.createHash('sha256')
+      .update(Buffer.from(challenge, 'utf8'))
+      .update(Buffer.from(keyId, 'utf8'))
+      .digest();
+  }
+
+  /**
+   * Checks the request details, app integrity and device integrity verdicts
+   * @param {Object} payload - Decoded token payload
+   * @param {string} challenge - The issued challenge
+   * @param {string} keyId - The installation key identifier submitted with the token
+   * @returns {Array<string>} Reasons for every failed check, empty if all passed
+   */
+  checkVerdict(payload, challenge, keyId) {
+    const reasons = [];
+    const { requestDetails = {}, appIntegrity = {}, deviceIntegrity = {} } = payload;
+
+    if (requestDetails.requestPackageName !== this.packageName) {
+      reasons.push('package_name_mismatch');
+    }
+
+    // The nonce binds the token to both the challenge and the key ID; Play returns it in web-safe base64
+    const nonce = Buffer.from(requestDetails.nonce || '', 'base64');
+    if (!challenge || !keyId || !nonce.equals(this.getExpectedNonce(challenge, keyId))) {
+      reasons.push('challenge_mismatch');
+    }
+
+    const timestamp = parseInt(requestDetails.timestampMillis);
+    if (!timestamp || Date.now() - timestamp > this.maxTokenAge) {
+      reasons.push('token_expired');
+    }
+
+    if (appIntegrity.appRecognitionVerdict !== 'PLAY_RECOGNIZED') {
+      reasons.push('app_not_recognized');
+    }
+
+    if (appIntegrity.packageName !== this.packageName) {
+      reasons.push('package_name_mismatch');
+    }
+
+    const digests = appIntegrity.certificateSha256Digest || [];
+    if (!digests.some(digest => this.certificateDigests.includes(digest))) {
+      reasons.push('certificate_digest_mismatch');
+    }
+
+    const deviceVerdicts = deviceIntegrity.deviceRecognitionVerdict || [];
+    if (!this.requiredDeviceVerdicts.every(verdict => deviceVerdicts.includes(verdict))) {
+      reasons.push('device_integrity_failed');
+    }
+
+    return [...new Set(reasons)];
+  }
+
+  /**
+   * Derives a stable device ID from the installation key identifier
+   * Only called once the token's nonce has been checked against the key identifier
+   * @param {string} keyId - The installation key identifier
+   * @returns {string} 64 character hex device ID
+   */
+  getDeviceId(keyId) {
+    return crypto.createHash('sha256')
+      .update(`android:${keyId}`)
+      .digest('hex');
+  }
+}
+
+module.exports = new PlayIntegrityService();
+module.exports.PlayIntegrityService = PlayIntegrityService;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Google's keys for the OIDC tokens Pub/Sub push subscriptions attach
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+/**
+ * Authenticates Pub/Sub push requests
+ *
+ * A push subscription with authentication enabled sends an OIDC token signed by Google, issued to
+ * the subscription's service account for the audience configured on the subscription.
+ */
+class PushAuthService {
+  constructor() {
+    this.audience = process.env.PUBSUB_PUSH_AUDIENCE || null;
+    this.serviceAccount = process.env.PUBSUB_PUSH_SERVICE_ACCOUNT || null;
+
+    // Google's signing keys by kid, refetched when they expire or an unknown kid shows up
+    this.keys = new Map();
+    this.keysExpireAt = 0;
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Check whether push authentication is configured; push endpoints are disabled without it
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.audience && this.serviceAccount);
+  }
+
+  /**
+   * Fetch Google's signing keys
+   * @returns {Promise<{keys: Array<Object>, maxAge: number}>} The JWKs and how long they may be cached, in seconds
+   */
+  async fetchKeys() {
+    const response = await fetch(GOOGLE_CERTS_URL);
+    if (!response.ok) {
+      throw new Error(`Fetching Google signing keys failed with status ${response.status}`);
+    }
+    const match = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    return { keys: (await response.json()).keys || [], maxAge: match ? parseInt(match[1]) : 3600 };
+  }
+
+  /**
+   * Get the public key a token was signed with
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject|null>} The key, or null if Google doesn't list it
+   */
+  async getKey(kid) {
+    const now = Date.now();
+    // Unknown kids refetch at most once a minute, so bad tokens can't make us hammer Google
+    if (now >= this.keysExpireAt || (!this.keys.has(kid) && now - this.keysFetchedAt > 60 * 1000)) {
+      const { keys, maxAge } = await this.fetchKeys();
+      this.keys = new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+      this.keysFetchedAt = now;
+      this.keysExpireAt = now + maxAge * 1000;
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Verify the token of a push request
+   * @param {string} token - The bearer token from the Authorization header
+   * @returns {Promise<Object>} The token payload
+   * @throws {Error} With code INVALID_PUSH_TOKEN if the token isn't from the configured subscription
+   */
+  async verifyToken(token) {
+    const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_PUSH_TOKEN' });
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw invalid('Malformed push token');
+    }
+
+    const key = await this.getKey(decoded.header.kid);
+    if (!key) {
+      throw invalid(`Unknown push token key: ${decoded.header.kid}`);
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, key, { algorithms: ['RS256'], audience: this.audience, issuer: GOOGLE_ISSUERS });
+    } catch (error) {
+      throw invalid(`Push token verification failed: ${error.message}`);
+    }
+
+    if (payload.email !== this.serviceAccount || payload.email_verified !== true) {
+      throw invalid(`Push token was issued to ${payload.email}, not the configured service account`);
+    }
+    return payload;
+  }
+}
+
+module.exports = new PushAuthService();
+module.exports.PushAuthService = PushAuthService;
@@ -0,0 +1,205 @@
+const Redis = require('ioredis');
+
+// Fixed window counter: the first hit in a window sets its expiry
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+if hits == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return {hits, redis.call('PTTL', KEYS[1])}
+`;
+
+/**
+ * Connect to a Redis-protocol server for the rate limiter and the challenge store
+ * Works with Redis, Valkey, Memorystore and other servers speaking the same protocol.
+ * Commands fail straight away while the connection is down instead of queueing, and fail
+ * after the command timeout when the server doesn't answer
+ * @param {string} url - redis:// or rediss:// URL, with optional password and database
+ * @param {Object} [options] - Any other ioredis options, overriding the defaults
+ * @param {number} [options.commandTimeoutMs] - How long to wait for a reply
+ * @returns {Redis} An ioredis client, connecting in the background
+ */
+const createRedisClient = (url, { commandTimeoutMs = 1000, ...options } = {}) => {
+  const client = new Redis(url, {
+    enableOfflineQueue: false,
+    commandTimeout: commandTimeoutMs,
+    connectTimeout: 5000,
+    // Back off up to 5 seconds between reconnection attempts, and never give up
+    retryStrategy: times => Math.min(times * 100, 5000),
+    ...options
+  });
+
+  // Connection and protocol errors are reported here, once per outage; the client reconnects by itself
+  let reported = false;
+  client.on('ready', () => {
+    reported = false;
+  });
+  client.on('error', (error) => {
+    if (!reported) {
+      reported = true;
+      console.error(`Redis connection error: ${error.message}`);
+    }
+  });
+  return client;
+};
+
+/**
+ * In-memory rate limit store
+ * Counters are per instance, so limits only hold when running a single instance
+ * Implements the express-rate-limit store interface
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.counters = new Map();
+    this.windowMs = 60 * 1000;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {string} key - Client key
+   * @returns {Promise<{totalHits: number, resetTime: Date}>}
+   */
+  async increment(key) {
+    const now = Date.now();
+    this.prune(now);
+
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetTime <= now) {
+      counter = { hits: 0, resetTime: now + this.windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.hits++;
+
+    return { totalHits: counter.hits, resetTime: new Date(counter.resetTime) };
+  }
+
+  async decrement(key) {
+    const counter = this.counters.get(key);
+    if (counter && counter.hits > 0) {
+      counter.hits--;
+    }
+  }
+
+  async resetKey(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Drop counters whose window has ended, at most once per window
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now) {
+    if (this.lastPrunedAt && now - this.lastPrunedAt < this.windowMs) {
+      return;
+    }
+    this.lastPrunedAt = now;
+
+    for (const [key, counter] of this.counters) {
+      if (counter.resetTime <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Rate limit store shared between instances through a Redis-protocol server
+ * Fails open: if the server cannot be reached or doesn't answer in time, the request
+ * is allowed and the error logged
+ * Implements the express-rate-limit store interface
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {Redis} client - Connection to the server
+   * @param {string} prefix - Key prefix, one per limiter so each has its own budget
+   */
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    try {
+      const [totalHits, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, this.windowMs);
+      return {
+        totalHits,
+        resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs))
+      };
+    } catch (error) {
+      console.error(`Rate limit store error: ${error.message}`);
+      return { totalHits: 0, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+  }
+
+  async decrement(key) {
+    try {
+      await this.client.decr(this.prefix + key);
+    } catch (error) {
+      console.error(`Rate limit store error: ${error.message}`);
+    }
+  }
+
+  async resetKey(key) {
+    try {
+      await this.client.del(this.prefix + key);
+    } catch (error) {
+      console.error(`Rate limit store error: ${error.message}`);
+    }
+  }
+}
+
+// One connection shared by every limiter and the challenge store
+let sharedClient = null;
+
+/**
+ * Get the connection to REDIS_URL, shared by everything that uses Redis
+ * @returns {Redis} An ioredis client
+ */
+const getRedisClient = () => {
+  if (!sharedClient) {
+    sharedClient = createRedisClient(process.env.REDIS_URL, {
+      commandTimeoutMs: parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS) || 1000
+    });
+  }
+  return sharedClient;
+};
+
+/**
+ * Create the store selected by RATE_LIMIT_STORE
+ * Defaults to redis when REDIS_URL is set, otherwise in-memory
+ * @param {string} prefix - Key prefix for the limiter using the store
+ * @returns {Object} An express-rate-limit store
+ */
+const createRateLimitStore = (prefix) => {
+  const backend = process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+  if (backend === 'redis') {
+    if (!process.env.REDIS_URL) {
+      throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+    }
+    return new RedisRateLimitStore(getRedisClient(), prefix);
+  }
+
+  return new MemoryRateLimitStore();
+};
+
+module.exports = {
+  createRateLimitStore,
+  createRedisClient,
+  getRedisClient,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
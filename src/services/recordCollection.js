@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+/**
+ * Records of one kind (devices, attested keys, refresh tokens) kept by ID
+ *
+ * With one shard every record is in the type's own data file. With more, each record lives in
+ * the shard its ID hashes to (`<type>/shard-<n>`), so a write only rewrites a slice of the
+ * collection and writers touching different records rarely conflict. Every write is a
+ * conditional read-modify-write through dataService.updateData.
+ */
+class RecordCollection {
+  /**
+   * @param {Object} dataService - The data service holding the files
+   * @param {string} type - The type of data file
+   * @param {number} [shards=1] - Number of shards; can't be changed once records are stored in shards
+   */
+  constructor(dataService, type, shards = 1) {
+    this.dataService = dataService;
+    this.type = type;
+    this.shards = shards;
+  }
+
+  /**
+   * Get the type of the data file a record is stored in
+   * @param {string} id - The record ID
+   * @returns {string}
+   */
+  getShardType(id) {
+    if (this.shards === 1) {
+      return this.type;
+    }
+    const hash = crypto.createHash('sha256').update(String(id)).digest();
+    return `${this.type}/shard-${hash.readUInt32BE(0) % this.shards}`;
+  }
+
+  /**
+   * Get the types of every data file of the collection
+   * @returns {Array<string>}
+   */
+  getShardTypes() {
+    if (this.shards === 1) {
+      return [this.type];
+    }
+    return Array.from({ length: this.shards }, (_, index) => `${this.type}/shard-${index}`);
+  }
+
+  /**
+   * Get a record
+   * @param {string} id - The record ID
+   * @param {Object} [options]
+   * @param {boolean} [options.skipCache=true] - Read from storage instead of the memory cache
+   * @param {number} [options.maxAge] - Only use a cached copy loaded at most this many milliseconds ago
+   * @returns {Promise<Object|null>} The record or null if unknown
+   */
+  async get(id, { skipCache = true, maxAge } = {}) {
+    const records = await this.dataService.readData(this.getShardType(id), { skipCache, maxAge });
+    return records[id] || null;
+  }
+
+  /**
+   * Get every record
+   * @param {Object} [options]
+   * @param {boolean} [options.skipCache=true] - Read from storage instead of the memory cache
+   * @returns {Promise<Object>} Records keyed by ID
+   */
+  async getAll({ skipCache = true } = {}) {
+    const shards = await Promise.all(this.getShardTypes().map(type => this.dataService.readData(type, { skipCache })));
+    return Object.assign({}, ...shards);
+  }
+
+  /**
+   * Change a record
+   * The update runs again on the latest copy if another writer changed the shard in between
+   * @param {string} id - The record ID
+   * @param {Function} update - Receives the current record (null if unknown) and the shard's records, and
+   *   returns the new record, null to delete it, or undefined to leave it unchanged. The shard's other
+   *   records may be changed in place, e.g. to prune expired ones; they are only written with the record
+   * @returns {Promise<Object|null>} The record after the update
+   */
+  async update(id, update) {
+    let result = null;
+    await this.dataService.updateData(this.getShardType(id), async (records) => {
+      const current = records[id] || null;
+      const next = await update(current, records);
+      if (next === undefined) {
+        result = current;
+        return undefined;
+      }
+
+      if (next === null) {
+        delete records[id];
+      } else {
+        records[id] = next;
+      }
+      result = next;
+      return records;
+    });
+    return result;
+  }
+
+  /**
+   * Change any records of every shard
+   * @param {Function} update - Receives the records of a shard, changes them in place and
+   *   returns true if anything changed
+   * @returns {Promise<void>}
+   */
+  async updateAll(update) {
+    for (const type of this.getShardTypes()) {
+      await this.dataService.updateData(type, async (records) => ((await update(records)) ? records : undefined));
+    }
+  }
+
+  /**
+   * Move records from the unsharded file into their shards
+   * Records already in a shard are kept; the unsharded file keeps any records written to it meanwhile
+   * @returns {Promise<number>} How many records were moved
+   */
+  async migrate() {
+    if (this.shards === 1) {
+      return 0;
+    }
+
+    const legacy = await this.dataService.readData(this.type, { skipCache: true });
+    const ids = Object.keys(legacy);
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const byShard = {};
+    for (const id of ids) {
+      const type = this.getShardType(id);
+      byShard[type] = [...(byShard[type] || []), id];
+    }
+    for (const [type, shardIds] of Object.entries(byShard)) {
+      await this.dataService.updateData(type, (records) => {
+        for (const id of shardIds) {
+          if (!records[id]) {
+            records[id] = legacy[id];
+          }
+        }
+        return records;
+      });
+    }
+
+    await this.dataService.updateData(this.type, (records) => {
+      for (const id of ids) {
+        delete records[id];
+      }
+      return records;
+    });
+
+    console.log(`Moved ${ids.length} ${this.type} records into ${this.shards} shards`);
+    return ids.length;
+  }
+}
+
+module.exports = { RecordCollection };
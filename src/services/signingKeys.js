@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createStorageAdapter } = require('./storage');
+
+const SUPPORTED_ALGORITHMS = ['ES256', 'RS256'];
+
+// Key records, private keys included, in the private key storage
+const KEYS_KEY = 'jwt-signing-keys.json';
+
+/**
+ * Create the storage the signing keys are kept in
+ * Same backend and bucket as the data files, but under its own prefix (or directory locally),
+ * which must not be publicly readable
+ * @returns {Object} Storage adapter
+ */
+const createKeyStorage = () => createStorageAdapter({
+  localDataDir: process.env.SIGNING_KEYS_DIR || path.join(process.cwd(), 'keys'),
+  prefix: process.env.SIGNING_KEYS_PREFIX || 'private/'
+});
+
+/**
+ * Manages the asymmetric keys used to sign access tokens
+ *
+ * One key is active for signing at a time. When it is rotated out it stays
+ * available for verification during an overlap period, so tokens it signed keep
+ * working until they expire. Public keys are published as a JWKS so other
+ * services can verify tokens without any shared secret.
+ *
+ * The key records hold the private keys, so they never go through dataService: they are read
+ * and written straight to the private key storage, uncached and with Cache-Control no-store.
+ */
+class SigningKeyService {
+  /**
+   * @param {Object} [storage] - Storage adapter for the key records, the private key storage by default
+   */
+  constructor(storage = createKeyStorage()) {
+    this.storage = storage;
+    this.maxUpdateAttempts = parseInt(process.env.DATA_UPDATE_MAX_ATTEMPTS) || 5;
+
+    this.algorithm = process.env.JWT_ALGORITHM || 'ES256';
+    if (!SUPPORTED_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Unsupported JWT_ALGORITHM: ${this.algorithm}. Must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+    }
+
+    this.rotationInterval = parseInt(process.env.JWT_KEY_ROTATION_INTERVAL_MS) || 30 * 24 * 60 * 60 * 1000;
+    this.overlapPeriod = parseInt(process.env.JWT_KEY_OVERLAP_MS) || 24 * 60 * 60 * 1000;
+
+    // Loaded key records, newest first, and when they were read from storage
+    this.keys = null;
+    this.keysLoadedAt = 0;
+    this.loading = null;
+
+    this.setupRotationSchedule();
+  }
+
+  /**
+   * Check hourly whether the active key is due for rotation,
+   * and pick up keys rotated by other instances
+   * The timer doesn't keep the process alive by itself, so scripts and tests can exit
+   */
+  setupRotationSchedule() {
+    this.rotationTimer = setInterval(async () => {
+      try {
+        await this.load();
+        const active = this.getActiveKey();
+        if (!active || Date.now() - active.createdAt >= this.rotationInterval) {
+          await this.rotate();
+        }
+      } catch (error) {
+        console.error('Error during signing key rotation check:', error);
+      }
+    }, 60 * 60 * 1000);
+    this.rotationTimer.unref();
+  }
+
+  /**
+   * Load key records from storage, creating the first key if there is none
+   * Concurrent callers share the same load
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const { data } = await this.readKeys();
+        this.keys = Array.isArray(data.keys) ? data.keys : [];
+        this.keysLoadedAt = Date.now();
+        this.keys.sort((a, b) => b.createdAt - a.createdAt);
+
+        if (!this.getActiveKey()) {
+          await this.rotate();
+        }
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the key records from the private key storage
+   * @returns {Promise<{data: Object, generation: string|null}>} The records and the generation they were read from
+   */
+  async readKeys() {
+    const object = await this.storage.get(KEYS_KEY);
+    return object ?
+      { data: JSON.parse(object.body.toString('utf8')), generation: object.metadata.generation } :
+      { data: {}, generation: null };
+  }
+
+  /**
+   * Change the key records with a conditional write, like dataService.updateData
+   * @param {Function} update - Receives the current records and returns the records to write, or undefined
+   * @returns {Promise<Object>} The records after the update
+   * @throws {Error} With code PRECONDITION_FAILED if every attempt conflicted
+   */
+  async updateKeys(update) {
+    for (let attempt = 1; ; attempt++) {
+      const { data, generation } = await this.readKeys();
+      const next = update(data);
+      if (next === undefined) {
+        return data;
+      }
+
+      try {
+        await this.storage.put(KEYS_KEY, JSON.stringify(next, null, 2), {
+          contentType: 'application/json',
+          cacheControl: 'no-store',
+          ifGeneration: generation || '0'
+        });
+        return next;
+      } catch (error) {
+        if (error.code !== 'PRECONDITION_FAILED' || attempt >= this.maxUpdateAttempts) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 25 * 2 ** attempt));
+      }
+    }
+  }
+
+  /**
+   * Load keys on first use
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (!this.keys) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Get the key currently used for signing
+   * @returns {Object|null} The newest key that has not been retired
+   */
+  getActiveKey() {
+    return (this.keys || []).find(key => !key.retiredAt) || null;
+  }
+
+  /**
+   * Get all keys that may still verify tokens
+   * @returns {Array<Object>}
+   */
+  getVerificationKeys() {
+    const now = Date.now();
+    return (this.keys || []).filter(key => !key.expiresAt || key.expiresAt > now);
+  }
+
+  /**
+   * Generate a new signing key and retire the current one
+   * The retired key keeps verifying tokens for the overlap period. If another instance rotated
+   * since the keys were loaded, its key is adopted instead, so every instance signs with the same key
+   * @returns {Promise<Object>} The new active key record
+   */
+  async rotate() {
+    const now = Date.now();
+    const replacing = this.getActiveKey();
+    const { privateKey, publicKey } = this.algorithm === 'ES256' ?
+      crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }) :
+      crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const key = {
+      kid: crypto.randomBytes(8).toString('hex'),
+      alg: this.algorithm,
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicKey: publicKey.export({ format: 'jwk' }),
+      createdAt: now,
+      retiredAt: null,
+      expiresAt: null
+    };
+
+    let adopted = null;
+    const stored = await this.updateKeys((current) => {
+      const keys = (Array.isArray(current.keys) ? current.keys : [])
+        .filter(existing => !existing.expiresAt || existing.expiresAt > now);
+      const active = keys.find(existing => !existing.retiredAt);
+
+      adopted = active && active.kid !== (replacing && replacing.kid) ? active : null;
+      if (adopted) {
+        return undefined;
+      }
+
+      for (const existing of keys) {
+        if (!existing.retiredAt) {
+          existing.retiredAt = now;
+          existing.expiresAt = now + this.overlapPeriod;
+        }
+      }
+      return { keys: [key, ...keys] };
+    });
+
+    this.keys = [...stored.keys].sort((a, b) => b.createdAt - a.createdAt);
+
+    if (adopted) {
+      console.log(`JWT signing key was rotated by another instance, using kid: ${adopted.kid}`);
+      return adopted;
+    }
+    console.log(`Rotated JWT signing key, new kid: ${key.kid}`);
+    return key;
+  }
+
+  /**
+   * Get the key to sign new tokens with
+   * @returns {Promise<{kid: string, alg: string, privateKey: string}>}
+   */
+  async getSigningKey() {
+    await this.ensureLoaded();
+    const { kid, alg, privateKey } = this.getActiveKey();
+    return { kid, alg, privateKey };
+  }
+
+  /**
+   * Find the verification key for a kid
+   * Reloads from storage when the kid is unknown, since another instance may have rotated
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<{alg: string, publicKey: crypto.KeyObject}|null>}
+   */
+  async getVerificationKey(kid) {
+    await this.ensureLoaded();
+
+    let key = this.getVerificationKeys().find(candidate => candidate.kid === kid);
+    // Unknown kids reload at most once a minute, so forged tokens can't make us hammer storage
+    if (!key && Date.now() - this.keysLoadedAt > 60 * 1000) {
+      await this.load();
+      key = this.getVerificationKeys().find(candidate => candidate.kid === kid);
+    }
+
+    if (!key) {
+      return null;
+    }
+
+    return {
+      alg: key.alg,
+      publicKey: crypto.createPublicKey({ key: key.publicKey, format: 'jwk' })
+    };
+  }
+
+  /**
+   * Get the public verification keys as a JSON Web Key Set
+   * @returns {Promise<{keys: Array<Object>}>}
+   */
+  async getJWKS() {
+    await this.ensureLoaded();
+    return {
+      keys: this.getVerificationKeys().map(key => ({
+        ...key.publicKey,
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+module.exports = new SigningKeyService();
+module.exports.SigningKeyService = SigningKeyService;
@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Storage adapters for the data files
+ *
+ * Every adapter has a name, and shared is true when every instance of the API sees the same objects.
+ * All adapters implement the same interface, with keys relative to the adapter's root:
+ * - get(key) resolves to {body: Buffer, metadata} or null if the object doesn't exist
+ * - put(key, body, options) writes the object and resolves to its new metadata
+ * - exists(key) resolves to a boolean
+ * - metadata(key) resolves to {size, updated, etag, generation, contentType, cacheControl} or null
+ *
+ * put accepts contentType, cacheControl and ifGeneration. With ifGeneration the write only
+ * succeeds if the object's current generation matches; '0' means the object must not exist.
+ * Otherwise it rejects with an error whose code is 'PRECONDITION_FAILED'.
+ */
+
+/**
+ * Create the error conditional puts reject with
+ * @param {string} key - Object key
+ * @returns {Error}
+ */
+const preconditionFailed = (key) => {
+  const error = new Error(`Precondition failed for ${key}`);
+  error.code = 'PRECONDITION_FAILED';
+  return error;
+};
+
+/**
+ * Check an ifGeneration precondition against the current metadata
+ * @param {string} key - Object key
+ * @param {Object|null} current - Current metadata, null if the object doesn't exist
+ * @param {string} [ifGeneration] - Expected generation
+ * @throws {Error} If the precondition does not hold
+ */
+const checkPrecondition = (key, current, ifGeneration) => {
+  if (ifGeneration === undefined || ifGeneration === null) {
+    return;
+  }
+  const currentGeneration = current ? String(current.generation) : '0';
+  if (currentGeneration !== String(ifGeneration)) {
+    throw preconditionFailed(key);
+  }
+};
+
+/**
+ * In-memory storage
+ * For tests and throwaway local runs; nothing survives a restart
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.shared = false;
+    this.objects = new Map();
+    this.generation = 0;
+  }
+
+  async get(key) {
+    const object = this.objects.get(key);
+    return object ? { body: Buffer.from(object.body), metadata: { ...object.metadata } } : null;
+  }
+
+  async put(key, body, { contentType, cacheControl, ifGeneration } = {}) {
+    const current = this.objects.get(key);
+    checkPrecondition(key, current ? current.metadata : null, ifGeneration);
+
+    const buffer = Buffer.from(body);
+    const metadata = {
+      size: buffer.length,
+      updated: new Date(),
+      etag: crypto.createHash('md5').update(buffer).digest('hex'),
+      generation: String(++this.generation),
+      contentType: contentType || 'application/octet-stream',
+      cacheControl: cacheControl || null
+    };
+    this.objects.set(key, { body: buffer, metadata });
+    return { ...metadata };
+  }
+
+  async exists(key) {
+    return this.objects.has(key);
+  }
+
+  async metadata(key) {
+    const object = this.objects.get(key);
+    return object ? { ...object.metadata } : null;
+  }
+}
+
+/**
+ * Local filesystem storage, rooted at a directory
+ * The generation is the file's modification time in nanoseconds, like a GCS generation.
+ * Writes go through a temporary file and a rename, so readers never see partial files.
+ * Writes to the same key are serialized, so a conditional put checks and writes as one step
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {string} rootDir - Directory the keys are relative to
+   */
+  constructor(rootDir) {
+    this.name = 'local';
+    this.shared = false;
+    this.rootDir = rootDir;
+    
+    // Tail of the pending writes of each key
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * Run a task after the writes already queued for a key
+   * @param {string} key - Object key
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  async withWriteLock(key, task) {
+    const previous = this.writeQueues.get(key) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    this.writeQueues.set(key, tail);
+    try {
+      return await run;
+    } finally {
+      if (this.writeQueues.get(key) === tail) {
+        this.writeQueues.delete(key);
+      }
+    }
+  }
+
+  getPath(key) {
+    return path.join(this.rootDir, key);
+  }
+
+  async get(key) {
+    try {
+      const filePath = this.getPath(key);
+      const [body, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath, { bigint: true })]);
+      return { body, metadata: this.toMetadata(stats, body) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async put(key, body, { ifGeneration } = {}) {
+    return this.withWriteLock(key, async () => {
+      const current = await this.metadata(key);
+      checkPrecondition(key, current, ifGeneration);
+
+      const filePath = this.getPath(key);
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, body);
+      await fs.rename(tempPath, filePath);
+
+      // Coarse file system clocks can give two quick writes the same mtime; every write needs a new generation
+      let metadata = await this.metadata(key);
+      if (current && BigInt(metadata.generation) <= BigInt(current.generation)) {
+        const next = new Date(Number(BigInt(current.generation) / 1000000n) + 1);
+        await fs.utimes(filePath, next, next);
+        metadata = await this.metadata(key);
+      }
+      return metadata;
+    });
+  }
+
+  async exists(key) {
+    return (await this.metadata(key)) !== null;
+  }
+
+  async metadata(key) {
+    try {
+      return this.toMetadata(await fs.stat(this.getPath(key), { bigint: true }));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build metadata from file stats
+   * @param {fs.BigIntStats} stats - File stats
+   * @param {Buffer} [body] - File contents, to compute the ETag from
+   * @returns {Object}
+   */
+  toMetadata(stats, body) {
+    return {
+      size: Number(stats.size),
+      updated: new Date(Number(stats.mtimeMs)),
+      etag: body ? crypto.createHash('md5').update(body).digest('hex') : null,
+      generation: String(stats.mtimeNs),
+      contentType: 'application/json',
+      cacheControl: null
+    };
+  }
+}
+
+/**
+ * Google Cloud Storage, rooted at a prefix within a bucket
+ * Conditional puts use GCS generation preconditions
+ */
+class GCSStorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.prefix] - Prefix prepended to every key
+   */
+  constructor({ bucket, prefix = '' }) {
+    // Only load the client library when GCS is used
+    const { Storage } = require('@google-cloud/storage');
+    this.name = 'gcs';
+    this.shared = true;
+    this.bucketName = bucket;
+    this.prefix = prefix;
+    this.bucket = new Storage().bucket(bucket);
+  }
+
+  file(key) {
+    return this.bucket.file(`${this.prefix}${key}`);
+  }
+
+  async get(key) {
+    const file = this.file(key);
+    try {
+      // Download and metadata come from separate requests; metadata first so the generation is never newer than the body
+      const [metadata] = await file.getMetadata();
+      const [body] = await file.download({ validation: false });
+      return { body, metadata: this.toMetadata(metadata) };
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async put(key, body, { contentType = 'application/json', cacheControl, ifGeneration } = {}) {
+    const file = this.file(key);
+    const options = {
+      contentType,
+      resumable: false,
+      metadata: cacheControl ? { cacheControl } : {}
+    };
+    if (ifGeneration !== undefined && ifGeneration !== null) {
+      options.preconditionOpts = { ifGenerationMatch: Number(ifGeneration) };
+    }
+
+    try {
+      await file.save(body, options);
+    } catch (error) {
+      if (error.code === 412) {
+        throw preconditionFailed(key);
+      }
+      throw error;
+    }
+
+    return this.metadata(key);
+  }
+
+  async exists(key) {
+    const [exists] = await this.file(key).exists();
+    return exists;
+  }
+
+  async metadata(key) {
+    try {
+      const [metadata] = await this.file(key).getMetadata();
+      return this.toMetadata(metadata);
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  toMetadata(metadata) {
+    return {
+      size: parseInt(metadata.size),
+      updated: new Date(metadata.updated),
+      etag: metadata.md5Hash ? Buffer.from(metadata.md5Hash, 'base64').toString('hex') : metadata.etag,
+      generation: String(metadata.generation),
+      contentType: metadata.contentType || null,
+      cacheControl: metadata.cacheControl || null
+    };
+  }
+}
+
+/**
+ * S3-compatible storage (AWS S3, Cloudflare R2, MinIO, ...), rooted at a prefix within a bucket
+ * Requests are signed with AWS Signature Version 4. The generation is the object's ETag,
+ * and conditional puts use If-Match / If-None-Match
+ */
+class S3StorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.endpoint - Service endpoint, e.g. https://s3.us-east-1.amazonaws.com
+   * @param {string} options.region - Signing region
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {string} [options.prefix] - Prefix prepended to every key
+   * @param {boolean} [options.forcePathStyle] - Address the bucket in the path instead of the host name
+   */
+  constructor({ bucket, endpoint, region, accessKeyId, secretAccessKey, prefix = '', forcePathStyle = true }) {
+    this.name = 's3';
+    this.shared = true;
+    this.bucketName = bucket;
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+    this.forcePathStyle = forcePathStyle;
+  }
+
+  /**
+   * Encode a URI path the way SigV4 expects, keeping slashes
+   * @param {string} value - Path to encode
+   * @returns {string}
+   */
+  static encodePath(value) {
+    return value.split('/')
+      .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+      .join('/');
+  }
+
+  /**
+   * Sign a request with AWS Signature Version 4
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.uriPath - Encoded request path
+   * @param {Object} request.headers - Headers to sign, lower case, including host
+   * @param {string} request.payloadHash - Hex SHA-256 of the body
+   * @param {Date} [request.date] - Signing time
+   * @returns {Object} The headers with x-amz-content-sha256, x-amz-date and authorization added
+   */
+  sign({ method, uriPath, headers, payloadHash, date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+
+    const allHeaders = {
+      ...headers,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(allHeaders).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${String(allHeaders[name]).trim()}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [method, uriPath, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${day}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      hmac,
+      hmac(hmac(`AWS4${this.secretAccessKey}`, day), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...allHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} [options]
+   * @param {Buffer} [options.body] - Request body
+   * @param {Object} [options.headers] - Extra headers, lower case
+   * @returns {Promise<Response>}
+   */
+  async request(method, key, { body, headers = {} } = {}) {
+    const objectPath = S3StorageAdapter.encodePath(`${this.prefix}${key}`);
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucketName}.${this.endpoint.host}`;
+    const uriPath = this.forcePathStyle ? `/${this.bucketName}/${objectPath}` : `/${objectPath}`;
+
+    const signedHeaders = this.sign({
+      method,
+      uriPath,
+      headers: { ...headers, host },
+      payloadHash: crypto.createHash('sha256').update(body || '').digest('hex')
+    });
+
+    // fetch sets the host header itself
+    delete signedHeaders.host;
+    return fetch(`${this.endpoint.protocol}//${host}${uriPath}`, { method, body, headers: signedHeaders });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 GET ${key} failed with status ${response.status}`);
+    }
+    return {
+      body: Buffer.from(await response.arrayBuffer()),
+      metadata: this.toMetadata(response.headers)
+    };
+  }
+
+  async put(key, body, { contentType = 'application/json', cacheControl, ifGeneration } = {}) {
+    const headers = { 'content-type': contentType };
+    if (cacheControl) {
+      headers['cache-control'] = cacheControl;
+    }
+    if (ifGeneration !== undefined && ifGeneration !== null) {
+      if (String(ifGeneration) === '0') {
+        headers['if-none-match'] = '*';
+      } else {
+        headers['if-match'] = `"${ifGeneration}"`;
+      }
+    }
+
+    const response = await this.request('PUT', key, { body: Buffer.from(body), headers });
+    if (response.status === 412 || response.status === 409) {
+      throw preconditionFailed(key);
+    }
+    if (!response.ok) {
+      throw new Error(`S3 PUT ${key} failed with status ${response.status}`);
+    }
+
+    return this.metadata(key);
+  }
+
+  async exists(key) {
+    return (await this.metadata(key)) !== null;
+  }
+
+  async metadata(key) {
+    const response = await this.request('HEAD', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 HEAD ${key} failed with status ${response.status}`);
+    }
+    return this.toMetadata(response.headers);
+  }
+
+  toMetadata(headers) {
+    const etag = (headers.get('etag') || '').replace(/"/g, '');
+    return {
+      size: parseInt(headers.get('content-length')) || 0,
+      updated: new Date(headers.get('last-modified')),
+      etag,
+      generation: etag,
+      contentType: headers.get('content-type'),
+      cacheControl: headers.get('cache-control')
+    };
+  }
+}
+
+/**
+ * Create the adapter selected by STORAGE_BACKEND
+ * Defaults to gcs when USE_GCS is true, otherwise local
+ * @param {Object} [options]
+ * @param {string} [options.localDataDir] - Root directory for the local adapter
+ * @param {string} [options.prefix] - Key prefix in the GCS or S3 bucket, instead of the data prefix
+ * @returns {Object} Storage adapter
+ */
+const createStorageAdapter = ({ localDataDir = path.join(process.cwd(), 'data'), prefix } = {}) => {
+  const backend = process.env.STORAGE_BACKEND || (process.env.USE_GCS === 'true' ? 'gcs' : 'local');
+
+  switch (backend) {
+    case 'gcs':
+      return new GCSStorageAdapter({
+        bucket: process.env.GCS_BUCKET || 'jackpot-iq',
+        // In GCS, the files should be in the data/ directory
+        prefix: prefix || process.env.GCS_DATA_PREFIX || 'data/'
+      });
+    case 's3':
+      if (!process.env.S3_BUCKET || !process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+        throw new Error('STORAGE_BACKEND=s3 requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+      }
+      return new S3StorageAdapter({
+        bucket: process.env.S3_BUCKET,
+        endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: prefix || process.env.S3_PREFIX || 'data/',
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+      });
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'local':
+      return new LocalStorageAdapter(localDataDir);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+};
+
+module.exports = {
+  createStorageAdapter,
+  MemoryStorageAdapter,
+  LocalStorageAdapter,
+  GCSStorageAdapter,
+  S3StorageAdapter
+};
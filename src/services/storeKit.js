@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getExtensionIds } = require('../utils/x509');
+
+// Marker extensions Apple puts on the StoreKit signing certificates
+const STOREKIT_LEAF_OID = '1.2.840.113635.100.6.11.1';
+const STOREKIT_INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
+
+class StoreKitService {
+  constructor() {
+    // Apple Root CA - G3, base64 DER, loaded like APPLE_ROOT_CA
+    this.rootCA = null;
+    const rootCAStr = process.env.APPLE_STOREKIT_ROOT_CA;
+
+    if (!rootCAStr) {
+      console.warn('APPLE_STOREKIT_ROOT_CA environment variable is not set. Entitlement verification will fail.');
+    } else {
+      try {
+        // If it's wrapped in quotes, remove them
+        const cleanedCAStr = rootCAStr.replace(/^"(.*)"$/, '$1');
+        this.rootCA = new crypto.X509Certificate(Buffer.from(cleanedCAStr, 'base64'));
+      } catch (error) {
+        console.error('Failed to load APPLE_STOREKIT_ROOT_CA:', error);
+      }
+    }
+
+    this.bundleId = process.env.APPLE_BUNDLE_ID;
+
+    // Sandbox transactions come from TestFlight and Xcode builds
+    this.allowSandbox = process.env.STOREKIT_ALLOW_SANDBOX === 'true';
+
+    // productId:scope pairs, e.g. com.example.premium.monthly:premium
+    this.productScopes = {};
+    for (const entry of (process.env.STOREKIT_PRODUCT_SCOPES || '').split(',')) {
+      const [productId, scope] = entry.split(':').map(part => part && part.trim());
+      if (productId && scope) {
+        this.productScopes[productId] = [...(this.productScopes[productId] || []), scope];
+      }
+    }
+  }
+
+  /**
+   * Verifies a StoreKit 2 signed transaction offline
+   * @param {string} signedTransaction - JWS transaction from StoreKit (jwsRepresentation)
+   * @returns {{verified: boolean, reasons: Array<string>, transaction?: Object, scopes?: Array<string>}}
+   */
+  verifySignedTransaction(signedTransaction) {
+    if (!this.rootCA || !this.bundleId) {
+      return { verified: false, reasons: ['not_configured'] };
+    }
+
+    let header;
+    try {
+      header = jwt.decode(signedTransaction, { complete: true })?.header;
+    } catch (error) {
+      header = null;
+    }
+    if (!header || header.alg !== 'ES256' || !Array.isArray(header.x5c) || header.x5c.length < 2) {
+      return { verified: false, reasons: ['invalid_format'] };
+    }
+
+    // Transactions are checked against the certificates as they were when Apple signed them
+    const unverifiedPayload = jwt.decode(signedTransaction) || {};
+    const signedAt = new Date(unverifiedPayload.signedDate || Date.now());
+
+    let leaf;
+    try {
+      leaf = this.verifyCertificateChain(header.x5c, signedAt);
+    } catch (error) {
+      console.warn(`StoreKit certificate chain rejected: ${error.message}`);
+      return { verified: false, reasons: ['certificate_chain_invalid'] };
+    }
+
+    let transaction;
+    try {
+      transaction = jwt.verify(signedTransaction, leaf.publicKey, { algorithms: ['ES256'] });
+    } catch (error) {
+      return { verified: false, reasons: ['signature_invalid'] };
+    }
+
+    const reasons = this.checkTransaction(transaction);
+    if (reasons.length > 0) {
+      return { verified: false, reasons, transaction: this.summarizeTransaction(transaction) };
+    }
+
+    return {
+      verified: true,
+      reasons: [],
+      transaction: this.summarizeTransaction(transaction),
+      scopes: this.productScopes[transaction.productId]
+    };
+  }
+
+  /**
+   * Verifies the x5c chain up to the configured root
+   * @param {Array<string>} x5c - Base64 DER certificates, leaf first
+   * @param {Date} at - Time the certificates must be valid at
+   * @returns {crypto.X509Certificate} The verified leaf certificate
+   * @throws {Error} If any link in the chain is invalid
+   */
+  verifyCertificateChain(x5c, at) {
+    const ders = x5c.map(cert => Buffer.from(cert, 'base64'));
+    const chain = ders.map(der => new crypto.X509Certificate(der));
+
+    // The chain may end with the root itself; it must be ours
+    const last = chain[chain.length - 1];
+    if (last.fingerprint256 === this.rootCA.fingerprint256) {
+      chain.pop();
+      ders.pop();
+    }
+
+    for (let i = 0; i < chain.length; i++) {
+      const issuer = chain[i + 1] || this.rootCA;
+      if (!chain[i].verify(issuer.publicKey)) {
+        throw new Error(`Certificate ${i} is not signed by its issuer`);
+      }
+    }
+
+    for (const cert of [...chain, this.rootCA]) {
+      if (at < new Date(cert.validFrom) || at > new Date(cert.validTo)) {
+        throw new Error(`Certificate ${cert.subject} is not valid at ${at.toISOString()}`);
+      }
+    }
+
+    if (!getExtensionIds(ders[0]).includes(STOREKIT_LEAF_OID)) {
+      throw new Error('Leaf certificate is not a StoreKit signing certificate');
+    }
+    if (chain.length < 2 || !getExtensionIds(ders[1]).includes(STOREKIT_INTERMEDIATE_OID)) {
+      throw new Error('Intermediate certificate is not an Apple WWDR certificate');
+    }
+
+    return chain[0];
+  }
+
+  /**
+   * Checks the transaction belongs to this app and is still active
+   * @param {Object} transaction - Decoded transaction payload
+   * @returns {Array<string>} Reasons for every failed check, empty if all passed
+   */
+  checkTransaction(transaction) {
+    const reasons = [];
+
+    if (transaction.bundleId !== this.bundleId) {
+      reasons.push('bundle_id_mismatch');
+    }
+
+    if (transaction.environment !== 'Production' && !(this.allowSandbox && transaction.environment === 'Sandbox')) {
+      reasons.push('environment_not_allowed');
+    }
+
+    if (!this.productScopes[transaction.productId]) {
+      reasons.push('unknown_product');
+    }
+
+    if (transaction.revocationDate) {
+      reasons.push('transaction_revoked');
+    }
+
+    if (transaction.expiresDate && transaction.expiresDate <= Date.now()) {
+      reasons.push('transaction_expired');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Keeps the transaction fields needed to store an entitlement
+   * @param {Object} transaction - Decoded transaction payload
+   * @returns {Object}
+   */
+  summarizeTransaction(transaction) {
+    return {
+      transactionId: transaction.transactionId,
+      originalTransactionId: transaction.originalTransactionId,
+      productId: transaction.productId,
+      environment: transaction.environment,
+      purchaseDate: transaction.purchaseDate,
+      expiresDate: transaction.expiresDate || null
+    };
+  }
+}
+
+module.exports = new StoreKitService();
+module.exports.StoreKitService = StoreKitService;
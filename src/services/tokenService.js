@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dataService = require('./dataService');
+const signingKeys = require('./signingKeys');
+
+/**
+ * Issues short-lived access tokens and rotating refresh tokens,
+ * and tracks revoked tokens, token families and devices
+ *
+ * Every refresh token belongs to a family that starts at attestation (or assertion).
+ * Refreshing uses up the presented token and issues the next one in the same family.
+ * Presenting a used refresh token again means it was copied, so the whole family is revoked.
+ */
+class TokenService {
+  constructor() {
+    this.accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTTL = parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+
+    // Revocations are checked on every request, so keep a short-lived local copy
+    this.revocationCacheTTL = parseInt(process.env.REVOCATION_CACHE_MS) || 30 * 1000;
+    this.revocations = null;
+    this.revocationsLoadedAt = 0;
+  }
+
+  /**
+   * Hash a refresh token so raw tokens are never persisted
+   * @param {string} refreshToken - The opaque refresh token
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Sign an access token with the active signing key
+   * @param {Object} claims - deviceId, keyId and familyId, plus any extra claims
+   * @param {Object} [options] - Signing options
+   * @param {string|number} [options.expiresIn] - Overrides JWT_EXPIRES_IN
+   * @returns {Promise<string>} The signed JWT, with the key's kid in its header
+   */
+  async signAccessToken({ deviceId, keyId, familyId, ...extraClaims }, { expiresIn } = {}) {
+    const { kid, alg, privateKey } = await signingKeys.getSigningKey();
+
+    return jwt.sign(
+      {
+        deviceId,
+        keyId,
+        fid: familyId,
+        ...extraClaims
+      },
+      privateKey,
+      {
+        algorithm: alg,
+        keyid: kid,
+        expiresIn: expiresIn || this.accessTokenExpiresIn,
+        jwtid: crypto.randomUUID()
+      }
+    );
+  }
+
+  /**
+   * Mint a development token, bypassing attestation
+   * Dev tokens carry a dev claim and are only accepted while dev auth is enabled
+   * @param {Object} options
+   * @param {string} options.deviceId - Device ID to put in the token
+   * @param {Array<string>} [options.scopes] - Scopes to grant
+   * @param {string|number} [options.expiresIn] - Token lifetime
+   * @returns {Promise<string>} The signed JWT
+   */
+  async issueDevToken({ deviceId, scopes = [], expiresIn }) {
+    return this.signAccessToken(
+      { deviceId, keyId: 'dev', scopes, dev: true },
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Verify an access token's signature, expiry and revocation status
+   * The verification key is picked by the kid in the token header. Tokens without
+   * a kid were signed with the legacy JWT_SECRET and are accepted only while it is set
+   * @param {string} token - The JWT from the Authorization header
+   * @returns {Promise<Object>} The decoded claims
+   * @throws {Error} If the token is invalid or revoked
+   */
+  async verifyAccessToken(token) {
+    const header = jwt.decode(token, { complete: true })?.header;
+    if (!header) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    let decoded;
+    if (header.kid) {
+      const key = await signingKeys.getVerificationKey(header.kid);
+      if (!key) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+      }
+      decoded = jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+    } else if (process.env.JWT_SECRET) {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    } else {
+      throw new jwt.JsonWebTokenError('Token has no key ID');
+    }
+
+    if (await this.isRevoked(decoded)) {
+      const error = new Error('Token revoked');
+      error.code = 'TOKEN_REVOKED';
+      throw error;
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Start a new token family for a freshly authenticated device
+   * @param {string} deviceId - The device ID
+   * @param {string} keyId - The App Attest key ID
+   * @returns {Promise<{token: string, refreshToken: string}>}
+   */
+  async issueTokens(deviceId, keyId) {
+    const familyId = crypto.randomUUID();
+    return this.issueTokensForFamily({ deviceId, keyId, familyId, createdAt: Date.now() });
+  }
+
+  /**
+   * Issue an access token and a refresh token in an existing family
+   * @param {Object} family - deviceId, keyId, familyId and family creation time
+   * @returns {Promise<{token: string, refreshToken: string}>}
+   */
+  async issueTokensForFamily({ deviceId, keyId, familyId, createdAt }) {
+    const now = Date.now();
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    // Expired tokens are pruned from the file the new one is written to
+    await this.getRefreshTokens().update(this.hashToken(refreshToken), (existing, tokens) => {
+      this.pruneExpired(tokens, now);
+      return {
+        deviceId,
+        keyId,
+        familyId,
+        familyCreatedAt: createdAt,
+        issuedAt: now,
+        expiresAt: now + this.refreshTokenTTL,
+        usedAt: null
+      };
+    });
+
+    // Entitlements are looked up on every issue, so refreshed tokens pick up purchases and expiries
+    const scopes = await dataService.getEntitlementScopes(deviceId);
+
+    return {
+      token: await this.signAccessToken({ deviceId, keyId, familyId, scopes }),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - The refresh token presented by the client
+   * @returns {Promise<{valid: boolean, token?: string, refreshToken?: string, reuseDetected?: boolean, error?: string}>}
+   */
+  async rotateRefreshToken(refreshToken) {
+    const now = Date.now();
+    const hash = this.hashToken(refreshToken);
+    const record = await this.getRefreshTokens().get(hash);
+
+    if (!record) {
+      return { valid: false, error: 'Invalid refresh token' };
+    }
+
+    if (record.expiresAt <= now) {
+      return { valid: false, error: 'Refresh token expired' };
+    }
+
+    // A refresh token can only be used once; a second use means it was stolen
+    if (record.usedAt) {
+      console.warn(`Refresh token reuse detected, revoking family ${record.familyId}`);
+      await this.revokeFamily(record.familyId);
+      return { valid: false, reuseDetected: true, error: 'Refresh token reuse detected' };
+    }
+
+    if (await this.isRevoked({
+      deviceId: record.deviceId,
+      fid: record.familyId,
+      iat: Math.floor(record.familyCreatedAt / 1000)
+    })) {
+      return { valid: false, error: 'Refresh token revoked' };
+    }
+
+    // Marked used with a conditional write, so of two concurrent rotations only one succeeds
+    let alreadyUsed = false;
+    await this.getRefreshTokens().update(hash, (current) => {
+      alreadyUsed = !current || Boolean(current.usedAt);
+      return alreadyUsed ? undefined : { ...current, usedAt: now };
+    });
+    if (alreadyUsed) {
+      console.warn(`Refresh token reuse detected, revoking family ${record.familyId}`);
+      await this.revokeFamily(record.familyId);
+      return { valid: false, reuseDetected: true, error: 'Refresh token reuse detected' };
+    }
+
+    const issued = await this.issueTokensForFamily({
+      deviceId: record.deviceId,
+      keyId: record.keyId,
+      familyId: record.familyId,
+      createdAt: record.familyCreatedAt
+    });
+
+    return { valid: true, ...issued };
+  }
+
+  /**
+   * Revoke a single access token until it expires
+   * @param {Object} decoded - Decoded access token claims
+   * @returns {Promise<void>}
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded.jti) {
+      return;
+    }
+    await this.addRevocation(`jti:${decoded.jti}`, decoded.exp * 1000);
+  }
+
+  /**
+   * Revoke a token family: its refresh tokens and every access token issued from it
+   * @param {string} familyId - The family ID
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(familyId) {
+    if (!familyId) {
+      return;
+    }
+
+    await this.getRefreshTokens().updateAll((tokens) => {
+      let changed = false;
+      for (const hash of Object.keys(tokens)) {
+        if (tokens[hash].familyId === familyId) {
+          delete tokens[hash];
+          changed = true;
+        }
+      }
+      return changed;
+    });
+
+    await this.addRevocation(`family:${familyId}`, Date.now() + this.refreshTokenTTL);
+  }
+
+  /**
+   * Revoke every token issued to a device up to now
+   * The device can authenticate again afterwards and receive new tokens
+   * @param {string} deviceId - The device ID
+   * @returns {Promise<void>}
+   */
+  async revokeDevice(deviceId) {
+    await this.addRevocation(`device:${deviceId}`, Date.now() + this.refreshTokenTTL);
+  }
+
+  /**
+   * Check whether decoded token claims have been revoked
+   * @param {Object} decoded - Token claims (jti, deviceId, fid, iat)
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked({ jti, deviceId, fid, iat }) {
+    const revocations = await this.getRevocations();
+
+    if (jti && revocations[`jti:${jti}`]) {
+      return true;
+    }
+
+    if (fid && revocations[`family:${fid}`]) {
+      return true;
+    }
+
+    // Device revocations only cover tokens issued before the revocation
+    const deviceRevocation = deviceId && revocations[`device:${deviceId}`];
+    if (deviceRevocation && (iat || 0) * 1000 <= deviceRevocation.revokedAt) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Add an entry to the revocation list
+   * @param {string} key - Revocation key, e.g. jti:<id>, family:<id> or device:<id>
+   * @param {number} expiresAt - When the entry can be dropped, in milliseconds
+   * @returns {Promise<void>}
+   */
+  async addRevocation(key, expiresAt) {
+    const now = Date.now();
+    const revocations = await dataService.updateData('token-revocations', (current) => {
+      this.pruneExpired(current, now);
+      current[key] = { revokedAt: now, expiresAt };
+      return current;
+    });
+
+    this.revocations = revocations;
+    this.revocationsLoadedAt = now;
+  }
+
+  /**
+   * Get the revocation list, reloading it when the local copy is stale
+   * @returns {Promise<Object>}
+   */
+  async getRevocations() {
+    if (!this.revocations || Date.now() - this.revocationsLoadedAt > this.revocationCacheTTL) {
+      this.revocations = await this.readRevocations();
+      this.revocationsLoadedAt = Date.now();
+    }
+    return this.revocations;
+  }
+
+  /**
+   * Get the refresh token records, keyed by hashed refresh token
+   * @returns {RecordCollection}
+   */
+  getRefreshTokens() {
+    return dataService.getCollection('refresh-tokens');
+  }
+
+  /**
+   * Read the revocation list from storage
+   * @returns {Promise<Object>} Revocations keyed by kind and ID
+   */
+  async readRevocations() {
+    return await dataService.readData('token-revocations', { skipCache: true });
+  }
+
+  /**
+   * Remove expired entries from a record map in place
+   * @param {Object} records - Records with an expiresAt field
+   * @param {number} now - Current time in milliseconds
+   */
+  pruneExpired(records, now) {
+    for (const key of Object.keys(records)) {
+      if (records[key].expiresAt <= now) {
+        delete records[key];
+      }
+    }
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,58 @@
+/**
+ * Validators and conditional GET support for responses computed from data files
+ *
+ * A response's ETag is derived from the version of the data it was computed from, the game
+ * definitions and the request parameters, so it only changes when they do, and is the same on
+ * every instance.
+ */
+
+const crypto = require('crypto');
+const { version: appVersion } = require('../../package.json');
+const gameRegistry = require('../services/gameRegistry');
+
+/**
+ * Build the ETag of a response computed from a data file
+ * The app version is included so a deploy that changes a response's shape changes its ETag too,
+ * and the game definitions' version so changed number ranges or eras do as well
+ * @param {string} route - Name of the route, e.g. lottery or stats
+ * @param {string|null} version - Version of the data file
+ * @param {Object} [params] - Parameters that change the response; null and undefined are left out
+ * @returns {string} A weak ETag, responses are the same data whatever their encoding
+ */
+function createDataETag(route, version, params = {}) {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+
+  const hash = crypto.createHash('sha256')
+    .update(`${appVersion}|${gameRegistry.getVersion()}|${route}|${version || 'none'}|${query}`)
+    .digest('base64url');
+  return `W/"${hash.slice(0, 32)}"`;
+}
+
+/**
+ * Set the ETag and Last-Modified of a response and check them against the request
+ * Cache headers should be set first, a 304 response carries them too
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} validators
+ * @param {string} validators.etag - The response's ETag
+ * @param {Date|null} [validators.lastModified] - When the data was last changed
+ * @returns {boolean} Whether the client's copy is current; the caller then answers 304 without computing a body
+ */
+function isNotModified(req, res, { etag, lastModified = null }) {
+  res.set('ETag', etag);
+  if (lastModified && !isNaN(lastModified.getTime())) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  // Express compares If-None-Match and If-Modified-Since with the headers just set
+  return req.fresh;
+}
+
+module.exports = {
+  createDataETag,
+  isNotModified
+};
@@ -0,0 +1,180 @@
+/**
+ * Schema checks for loaded draw and stats files
+ *
+ * Files are uploaded by hand or by other tools, so everything read from storage is checked
+ * before it is served: a truncated or hand-edited file is rejected instead of reaching the routes.
+ */
+
+const gameRegistry = require('../services/gameRegistry');
+const { getGameRules, getHistoricalRanges, validatePayouts } = require('./gameRules');
+
+// Longest list of problems reported for one file; the rest are counted
+const MAX_PROBLEMS = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Cap a list of problems, counting the ones left out
+ * @param {Array<string>} problems
+ * @returns {Array<string>}
+ */
+function capProblems(problems) {
+  if (problems.length <= MAX_PROBLEMS) {
+    return problems;
+  }
+  return [...problems.slice(0, MAX_PROBLEMS), `... and ${problems.length - MAX_PROBLEMS} more`];
+}
+
+/**
+ * Check a draw history file
+ * @param {string} type - The lottery type
+ * @param {*} draws - Parsed contents of the file
+ * @returns {Array<string>} A message for every problem, empty if the file is valid
+ */
+function validateDrawHistory(type, draws) {
+  const game = gameRegistry.get(type);
+  if (!game) {
+    return [`Unknown lottery type: ${type}`];
+  }
+  if (!Array.isArray(draws)) {
+    return ['draws must be a list'];
+  }
+
+  const problems = [];
+  const ranges = getHistoricalRanges(type);
+  let previousDate = null;
+
+  draws.forEach((draw, index) => {
+    const at = `draws[${index}]`;
+    if (!isObject(draw)) {
+      problems.push(`${at}: must be an object`);
+      return;
+    }
+
+    const { date, numbers, specialBall } = draw;
+    const validDate = typeof date === 'string' && DATE_PATTERN.test(date) && !isNaN(Date.parse(`${date}T00:00:00Z`));
+    // Ranges are checked against the era of the draw, or every era when the date can't be read
+    const rules = validDate ? getGameRules(type, date) : null;
+    const maxNumber = rules ? rules.maxNumber : ranges.maxNumber;
+    const maxSpecialBall = rules ? rules.maxSpecialBall : ranges.maxSpecialBall;
+
+    if (!validDate) {
+      problems.push(`${at}: date must be a valid YYYY-MM-DD date`);
+    } else {
+      if (!rules) {
+        problems.push(`${at}: ${date} is before the first ${type} draw on record`);
+      }
+      // Newest first, one draw per date
+      if (previousDate !== null && date >= previousDate) {
+        problems.push(`${at}: ${date} must be before ${previousDate}, dates must be unique and descending`);
+      }
+      previousDate = date;
+    }
+
+    if (draw.type !== undefined && draw.type !== type) {
+      problems.push(`${at}: type must be ${type}`);
+    }
+
+    if (!Array.isArray(numbers) || numbers.length !== game.numberCount) {
+      problems.push(`${at}: numbers must contain exactly ${game.numberCount} numbers`);
+    } else if (!numbers.every(n => Number.isInteger(n) && n >= 1 && n <= maxNumber)) {
+      problems.push(`${at}: numbers must be between 1 and ${maxNumber}`);
+    } else if (!numbers.every((n, i) => i === 0 || numbers[i - 1] < n)) {
+      problems.push(`${at}: numbers must be unique and in ascending order`);
+    }
+
+    if (!Number.isInteger(specialBall) || specialBall < 1 || specialBall > maxSpecialBall) {
+      problems.push(`${at}: specialBall must be between 1 and ${maxSpecialBall}`);
+    }
+
+    if (rules) {
+      problems.push(...validatePayouts(rules, draw).map(problem => `${at}: ${problem}`));
+    }
+  });
+
+  return capProblems(problems);
+}
+
+/**
+ * Check one set of counts in a stats file
+ * @param {string} field - Name of the counts, used in the messages
+ * @param {*} counts - The counts, keyed by number
+ * @param {number} max - Highest number that can be counted
+ * @returns {Array<string>}
+ */
+function validateCounts(field, counts, max) {
+  if (!isObject(counts)) {
+    return [`${field} must be an object of counts`];
+  }
+
+  const problems = [];
+  for (const [key, count] of Object.entries(counts)) {
+    const number = Number(key);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+      problems.push(`${field}: ${key} is not a number between 1 and ${max}`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      problems.push(`${field}.${key}: count must be a whole number`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check a stats file
+ * @param {string} type - The lottery type
+ * @param {*} stats - Parsed contents of the file
+ * @returns {Array<string>} A message for every problem, empty if the file is valid
+ */
+function validateStatistics(type, stats) {
+  const game = gameRegistry.get(type);
+  if (!game) {
+    return [`Unknown lottery type: ${type}`];
+  }
+  if (!isObject(stats)) {
+    return ['stats must be an object'];
+  }
+
+  const problems = [];
+  // Stats cover the whole history, so counts are checked against the largest ranges
+  const { maxNumber, maxSpecialBall } = getHistoricalRanges(type);
+
+  if (stats.type !== undefined && stats.type !== type) {
+    problems.push(`type must be ${type}`);
+  }
+  if (!Number.isInteger(stats.totalDraws) || stats.totalDraws < 0) {
+    problems.push('totalDraws must be a whole number');
+  }
+
+  problems.push(...validateCounts('frequency', stats.frequency, maxNumber));
+
+  if (!isObject(stats.frequencyAtPosition)) {
+    problems.push('frequencyAtPosition must be an object of counts per position');
+  } else {
+    for (const [position, counts] of Object.entries(stats.frequencyAtPosition)) {
+      const index = Number(position);
+      if (!Number.isInteger(index) || index < 0 || index >= game.numberCount) {
+        problems.push(`frequencyAtPosition: ${position} is not a position from 0 to ${game.numberCount - 1}`);
+      }
+      problems.push(...validateCounts(`frequencyAtPosition.${position}`, counts, maxNumber));
+    }
+  }
+
+  problems.push(...validateCounts('specialBallFrequency', stats.specialBallFrequency, maxSpecialBall));
+
+  return capProblems(problems);
+}
+
+module.exports = {
+  validateDrawHistory,
+  validateStatistics
+};
@@ -0,0 +1,28 @@
+/**
+ * Development-only authentication mode
+ * Lets simulator builds and test scripts get tokens without device attestation
+ */
+
+/**
+ * Check if development auth is enabled
+ * Requires DEV_AUTH_ENABLED=true and is never enabled in production
+ * @returns {boolean} True if dev tokens may be minted and accepted
+ */
+function isDevAuthEnabled() {
+  return process.env.DEV_AUTH_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Refuse to start when development auth is switched on in production
+ * @throws {Error} If DEV_AUTH_ENABLED=true and NODE_ENV=production
+ */
+function assertDevAuthConfig() {
+  if (process.env.DEV_AUTH_ENABLED === 'true' && process.env.NODE_ENV === 'production') {
+    throw new Error('DEV_AUTH_ENABLED must not be set when NODE_ENV=production');
+  }
+}
+
+module.exports = {
+  isDevAuthEnabled,
+  assertDevAuthConfig
+};
@@ -0,0 +1,222 @@
+/**
+ * Rules of the supported lottery games
+ *
+ * Games change format over time, so ranges, prices, multipliers and prize tables are kept as eras:
+ * each era applies to draws from its `from` date until the next era starts.
+ * The games themselves are defined in the game registry.
+ */
+
+const gameRegistry = require('../services/gameRegistry');
+
+/**
+ * Get today's date in the time zone the draws are held in
+ * @param {string} [type] - The lottery type; Eastern Time if not given or unknown
+ * @returns {string} YYYY-MM-DD
+ */
+function getTodayInDrawTimeZone(type) {
+  const game = type ? gameRegistry.get(type) : null;
+  // en-CA formats dates as YYYY-MM-DD
+  return new Date().toLocaleDateString('en-CA', { timeZone: game ? game.timeZone : 'America/New_York' });
+}
+
+/**
+ * Find the entry of a dated list in effect on a date
+ * @param {Array<Object>} entries - Entries with a from date, oldest first
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} The entry, or null if the date is before the first one
+ */
+function findInEffect(entries, date) {
+  let found = null;
+  for (const entry of entries) {
+    if (entry.from <= date) {
+      found = entry;
+    }
+  }
+  return found;
+}
+
+/**
+ * Get the eras of a game, with the last day of each
+ * @param {string} type - The lottery type
+ * @returns {Array<Object>} Eras oldest first, each with from and to (null for the current era)
+ */
+function getEras(type) {
+  const game = gameRegistry.get(type);
+  if (!game) {
+    return [];
+  }
+
+  return game.eras.map((era, index) => {
+    const next = game.eras[index + 1];
+    const to = next ? new Date(Date.parse(`${next.from}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10) : null;
+    return { ...era, to };
+  });
+}
+
+/**
+ * Get the era of a game in effect on a date
+ * @param {string} type - The lottery type
+ * @param {string} date - YYYY-MM-DD or an ISO date
+ * @returns {Object|null} The era, or null for unknown games and dates before the first era
+ */
+function getEra(type, date) {
+  return findInEffect(getEras(type), String(date).slice(0, 10));
+}
+
+/**
+ * Get the rules of a game on a date
+ * @param {string} type - The lottery type
+ * @param {string} [date] - YYYY-MM-DD, defaults to today
+ * @returns {Object|null} numberCount, drawDays and the era's ranges, price, multiplier and prize table;
+ *   null for unknown games and dates before the first era
+ */
+function getGameRules(type, date = getTodayInDrawTimeZone(type)) {
+  const game = gameRegistry.get(type);
+  const era = game && getEra(type, date);
+  if (!era) {
+    return null;
+  }
+
+  const schedule = findInEffect(game.drawDays, date);
+  return {
+    numberCount: game.numberCount,
+    drawDays: schedule ? schedule.days : [],
+    era: era.from,
+    maxNumber: era.maxNumber,
+    maxSpecialBall: era.maxSpecialBall,
+    price: era.price,
+    multiplier: era.multiplier || null,
+    prizeTable: era.prizeTable || null
+  };
+}
+
+/**
+ * Get the largest ranges a game has used in any era, to bound searches of the whole history
+ * @param {string} type - The lottery type
+ * @returns {{maxNumber: number, maxSpecialBall: number}|null} null for unknown games
+ */
+function getHistoricalRanges(type) {
+  const eras = getEras(type);
+  if (eras.length === 0) {
+    return null;
+  }
+  return {
+    maxNumber: Math.max(...eras.map(era => era.maxNumber)),
+    maxSpecialBall: Math.max(...eras.map(era => era.maxSpecialBall))
+  };
+}
+
+/**
+ * Check the optional payout fields of a draw
+ * @param {Object} rules - Rules of the game on the draw date
+ * @param {Object} draw - The draw
+ * @returns {Array<string>} A message for every invalid field
+ */
+function validatePayouts(rules, draw) {
+  const problems = [];
+  const { multiplier, jackpot, cashValue, prizeTiers } = draw;
+  const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (multiplier !== undefined && multiplier !== null) {
+    if (!rules.multiplier) {
+      problems.push('multiplier is not part of the game in this era');
+    } else if (!rules.multiplier.values.includes(multiplier)) {
+      problems.push(`multiplier must be one of ${rules.multiplier.values.join(', ')}`);
+    }
+  }
+
+  if (jackpot !== undefined && jackpot !== null && !isAmount(jackpot)) {
+    problems.push('jackpot must be an amount in dollars');
+  }
+  if (cashValue !== undefined && cashValue !== null) {
+    if (!isAmount(cashValue)) {
+      problems.push('cashValue must be an amount in dollars');
+    } else if (isAmount(jackpot) && cashValue > jackpot) {
+      problems.push('cashValue must not be more than the jackpot');
+    }
+  }
+
+  if (prizeTiers !== undefined && prizeTiers !== null) {
+    // Tiers are the white balls matched plus the special ball matched, e.g. 5+1
+    const isTier = tier => {
+      const match = /^(\d+)\+([01])$/.exec(tier);
+      return match !== null && parseInt(match[1]) <= rules.numberCount;
+    };
+    const valid = Array.isArray(prizeTiers) && prizeTiers.every(tier =>
+      tier && isTier(tier.tier) &&
+      Number.isInteger(tier.winners) && tier.winners >= 0 &&
+      (tier.prize === undefined || tier.prize === null || isAmount(tier.prize))
+    );
+    const unknown = valid && rules.prizeTable
+      ? prizeTiers.filter(tier => !rules.prizeTable.some(entry => entry.tier === tier.tier))
+      : [];
+    if (!valid) {
+      problems.push('prizeTiers must be a list of {tier, winners, prize}, with tiers like 5+1');
+    } else if (unknown.length > 0) {
+      problems.push(`prizeTiers has tiers the game didn't pay in this era: ${unknown.map(tier => tier.tier).join(', ')}`);
+    } else if (new Set(prizeTiers.map(tier => tier.tier)).size !== prizeTiers.length) {
+      problems.push('prizeTiers must not repeat a tier');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a draw against the rules of its game on the draw date
+ * @param {string} type - The lottery type
+ * @param {Object} draw - The draw, with date (YYYY-MM-DD), numbers and specialBall,
+ *   and optionally multiplier, jackpot, cashValue and prizeTiers
+ * @returns {Array<string>} A message for every broken rule, empty if the draw is valid
+ */
+function validateDraw(type, draw) {
+  if (!gameRegistry.has(type)) {
+    return [`Unknown lottery type: ${type}`];
+  }
+
+  const problems = [];
+  const { date, numbers, specialBall } = draw;
+
+  // Ranges are checked against the era of the draw; without a valid date, the current one
+  let rules = getGameRules(type);
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(`${date}T00:00:00Z`))) {
+    problems.push('date must be a valid YYYY-MM-DD date');
+  } else if (!getGameRules(type, date)) {
+    problems.push(`${date} is before the first ${type} draw on record`);
+  } else {
+    rules = getGameRules(type, date);
+    if (!rules.drawDays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+      problems.push(`${date} is not a ${type} draw day`);
+    }
+    if (date > getTodayInDrawTimeZone(type)) {
+      problems.push(`${date} is in the future`);
+    }
+  }
+
+  if (!Array.isArray(numbers) || numbers.length !== rules.numberCount) {
+    problems.push(`numbers must contain exactly ${rules.numberCount} numbers`);
+  } else {
+    if (!numbers.every(n => Number.isInteger(n) && n >= 1 && n <= rules.maxNumber)) {
+      problems.push(`numbers must be between 1 and ${rules.maxNumber}`);
+    }
+    if (new Set(numbers).size !== numbers.length) {
+      problems.push('numbers must not repeat');
+    }
+  }
+
+  if (!Number.isInteger(specialBall) || specialBall < 1 || specialBall > rules.maxSpecialBall) {
+    problems.push(`specialBall must be between 1 and ${rules.maxSpecialBall}`);
+  }
+
+  return [...problems, ...validatePayouts(rules, draw)];
+}
+
+module.exports = {
+  getEras,
+  getEra,
+  getGameRules,
+  getHistoricalRanges,
+  getTodayInDrawTimeZone,
+  validateDraw,
+  validatePayouts
+};
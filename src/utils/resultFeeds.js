@@ -0,0 +1,278 @@
+/**
+ * Adapters for official result feeds
+ *
+ * Reads the CSV and JSON exports published by state open-data portals, e.g. the New York Lottery's
+ * "Lottery Mega Millions Winning Numbers" and "Lottery Powerball Winning Numbers" data sets:
+ * a draw date, the winning numbers as one space-separated string, the Mega Ball and the multiplier.
+ * The Powerball feeds have no separate column and put the Powerball last in the winning numbers.
+ * Jackpot and cash value columns are read when a feed has them.
+ * Records in our own {date, numbers, specialBall, ...} format are read as well.
+ */
+
+const { getGameRules } = require('./gameRules');
+const gameRegistry = require('../services/gameRegistry');
+
+// Columns each field can be in, after normalizeKey; the game's own ball and multiplier names are read too
+const SPECIAL_BALL_KEYS = ['special_ball', 'mega_ball', 'megaball', 'powerball', 'power_ball', 'pb'];
+const MULTIPLIER_KEYS = ['multiplier', 'megaplier', 'power_play'];
+const JACKPOT_KEYS = ['jackpot', 'estimated_jackpot', 'jackpot_amount'];
+const CASH_VALUE_KEYS = ['cash_value', 'cash_option', 'jackpot_cash_value'];
+
+/**
+ * Create the error for a feed that can't be read at all
+ * @param {string} message - What is wrong with the feed
+ * @returns {Error} Error with status 400
+ */
+function feedError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Normalize a column name: "Draw Date", "draw_date" and "drawDate" all become draw_date
+ * @param {string} key - Column name
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return String(key)
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Parse CSV text into rows keyed by normalized column name
+ * Handles quoted fields, escaped quotes and CRLF line endings
+ * @param {string} text - CSV with a header line
+ * @returns {Array<Object>} One object per data line
+ */
+function parseCSV(text) {
+  const lines = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      lines.push(fields);
+      fields = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    lines.push(fields);
+  }
+
+  const nonEmpty = lines.filter(line => line.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map(normalizeKey);
+  return nonEmpty.slice(1).map(line => {
+    const row = {};
+    header.forEach((key, index) => {
+      row[key] = (line[index] || '').trim();
+    });
+    return row;
+  });
+}
+
+/**
+ * Normalize a feed date to YYYY-MM-DD
+ * Accepts MM/DD/YYYY and ISO dates, with or without a time
+ * @param {string} value - Date from the feed
+ * @returns {string|null} The date, or null if it can't be read
+ */
+function normalizeDate(value) {
+  const text = String(value || '').trim();
+
+  let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  return null;
+}
+
+/**
+ * Read a list of numbers from a feed value
+ * @param {string|Array} value - "20 36 37 48 67", "20,36,37,48,67" or an array
+ * @returns {Array<number>} The numbers; NaN for parts that aren't whole numbers
+ */
+function parseNumbers(value) {
+  if (Array.isArray(value)) {
+    return value.map(Number);
+  }
+  return String(value || '')
+    .split(/[\s,;-]+/)
+    .filter(Boolean)
+    .map(part => (/^\d+$/.test(part) ? parseInt(part) : NaN));
+}
+
+/**
+ * Read a dollar amount from a feed value
+ * @param {string|number} value - "$1,220,000,000", "1220000000" or a number
+ * @returns {number} The amount; NaN if it can't be read
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value).replace(/[$,\s]/g, '');
+  return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Get the first non-empty value of a row among alternative columns
+ * @param {Object} row - Row with normalized keys
+ * @param {Array<string>} keys - Column names, in order of preference
+ * @returns {*} The value, or undefined if none of the columns has one
+ */
+function pick(row, keys) {
+  const key = keys.find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+  return key ? row[key] : undefined;
+}
+
+/**
+ * Turn a feed row into a draw
+ * @param {string} type - The lottery type
+ * @param {Object} row - Row with normalized keys
+ * @returns {{draw: Object|null, errors: Array<string>}} The draw, or why it couldn't be read
+ */
+function toDraw(type, row) {
+  const rules = getGameRules(type);
+  const errors = [];
+
+  const date = normalizeDate(row.draw_date ?? row.date);
+  if (!date) {
+    errors.push(`Unreadable draw date: ${row.draw_date ?? row.date ?? '(missing)'}`);
+  }
+
+  let numbers = parseNumbers(row.winning_numbers ?? row.numbers);
+  const specialValue = pick(row, [...SPECIAL_BALL_KEYS, normalizeKey(gameRegistry.get(type).specialBall)]);
+  let specialBall = specialValue !== undefined ? parseNumbers(specialValue)[0] : undefined;
+
+  // Powerball feeds list the Powerball after the white balls
+  if (specialBall === undefined && numbers.length === rules.numberCount + 1) {
+    specialBall = numbers[numbers.length - 1];
+    numbers = numbers.slice(0, -1);
+  }
+
+  if (numbers.length === 0 || numbers.some(n => !Number.isInteger(n))) {
+    errors.push(`Unreadable winning numbers: ${row.winning_numbers ?? row.numbers ?? '(missing)'}`);
+  }
+  if (!Number.isInteger(specialBall)) {
+    errors.push('Missing special ball');
+  }
+
+  const draw = { date, numbers: [...numbers].sort((a, b) => a - b), specialBall };
+
+  // Payout fields are optional; a column that is there but unreadable is still an error
+  const multiplier = pick(row, rules.multiplier ? [...MULTIPLIER_KEYS, normalizeKey(rules.multiplier.name)] : MULTIPLIER_KEYS);
+  if (multiplier !== undefined) {
+    draw.multiplier = parseNumbers(multiplier)[0];
+    if (!Number.isInteger(draw.multiplier)) {
+      errors.push(`Unreadable multiplier: ${multiplier}`);
+    }
+  }
+  for (const [field, keys] of [['jackpot', JACKPOT_KEYS], ['cashValue', CASH_VALUE_KEYS]]) {
+    const value = pick(row, keys);
+    if (value !== undefined) {
+      draw[field] = parseAmount(value);
+      if (isNaN(draw[field])) {
+        errors.push(`Unreadable ${field}: ${value}`);
+      }
+    }
+  }
+  if (row.prize_tiers !== undefined) {
+    draw.prizeTiers = row.prize_tiers;
+  }
+
+  if (errors.length > 0) {
+    return { draw: null, errors };
+  }
+
+  return { draw, errors: [] };
+}
+
+/**
+ * Parse a result feed into draws
+ * @param {string} type - The lottery type
+ * @param {string|Array<Object>} feed - CSV text, JSON text, or parsed JSON rows
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<{row: number, draw: Object|null, errors: Array<string>}>} One entry per feed row;
+ *   row is the CSV line number, or the index in a JSON feed
+ * @throws {Error} With status 400 if the feed itself can't be read
+ */
+function parseFeed(type, feed, format) {
+  if (!getGameRules(type)) {
+    throw feedError(`Unknown lottery type: ${type}`);
+  }
+
+  let rows;
+  if (format === 'csv') {
+    rows = parseCSV(String(feed));
+  } else if (format === 'json') {
+    try {
+      rows = typeof feed === 'string' ? JSON.parse(feed) : feed;
+    } catch (error) {
+      throw feedError(`Invalid JSON feed: ${error.message}`);
+    }
+    if (!Array.isArray(rows)) {
+      throw feedError('JSON feed must be an array of rows');
+    }
+  } else {
+    throw feedError(`Unknown feed format: ${format}`);
+  }
+
+  return rows.map((row, index) => {
+    const normalized = {};
+    for (const [key, value] of Object.entries(row || {})) {
+      normalized[normalizeKey(key)] = value;
+    }
+    return {
+      // CSV rows are numbered from 2, the first line after the header
+      row: format === 'csv' ? index + 2 : index,
+      ...toDraw(type, normalized)
+    };
+  });
+}
+
+module.exports = {
+  normalizeKey,
+  normalizeDate,
+  parseCSV,
+  parseNumbers,
+  parseAmount,
+  parseFeed
+};
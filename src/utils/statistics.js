@@ -0,0 +1,98 @@
+/**
+ * Statistics derived from draw history
+ */
+
+/**
+ * Count how often each number was drawn
+ * Numbers that were never drawn are left out
+ * @param {string} type - The lottery type
+ * @param {Array<Object>} draws - The draws, with numbers and specialBall
+ * @returns {Object} totalDraws, frequency, frequencyAtPosition and specialBallFrequency
+ */
+function computeStatistics(type, draws) {
+  const frequency = {};
+  const frequencyAtPosition = {};
+  const specialBallFrequency = {};
+
+  const increment = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+  };
+
+  for (const draw of draws) {
+    // Positions are counted in ascending order, the order numbers are stored in
+    const numbers = [...draw.numbers].sort((a, b) => a - b);
+    numbers.forEach((number, position) => {
+      increment(frequency, number);
+      frequencyAtPosition[position] = frequencyAtPosition[position] || {};
+      increment(frequencyAtPosition[position], number);
+    });
+    increment(specialBallFrequency, draw.specialBall);
+  }
+
+  return {
+    type,
+    totalDraws: draws.length,
+    frequency,
+    frequencyAtPosition,
+    specialBallFrequency
+  };
+}
+
+/**
+ * Compare two sets of counts, treating missing numbers as never drawn
+ * @param {string} field - Name of the counts, used in the differences
+ * @param {Object} stored - Counts from the stored stats
+ * @param {Object} computed - Counts computed from the draws
+ * @returns {Array<Object>} field, key, stored and computed count for every number that differs
+ */
+function compareCounts(field, stored, computed) {
+  const differences = [];
+  const storedCounts = stored || {};
+  const computedCounts = computed || {};
+  const keys = new Set([...Object.keys(storedCounts), ...Object.keys(computedCounts)]);
+
+  for (const key of [...keys].sort((a, b) => a - b)) {
+    const storedCount = storedCounts[key] || 0;
+    const computedCount = computedCounts[key] || 0;
+    if (storedCount !== computedCount) {
+      differences.push({ field, key, stored: storedCount, computed: computedCount });
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Find where stored statistics disagree with statistics computed from the draws
+ * @param {Object} stored - Statistics from a stats file
+ * @param {Object} computed - Statistics from computeStatistics
+ * @returns {Array<Object>} The differences, empty if the statistics agree
+ */
+function compareStatistics(stored, computed) {
+  const differences = [];
+
+  if (stored.totalDraws !== computed.totalDraws) {
+    differences.push({ field: 'totalDraws', stored: stored.totalDraws ?? null, computed: computed.totalDraws });
+  }
+
+  differences.push(...compareCounts('frequency', stored.frequency, computed.frequency));
+
+  const storedPositions = stored.frequencyAtPosition || {};
+  const positions = new Set([...Object.keys(storedPositions), ...Object.keys(computed.frequencyAtPosition)]);
+  for (const position of [...positions].sort()) {
+    differences.push(...compareCounts(
+      `frequencyAtPosition.${position}`,
+      storedPositions[position],
+      computed.frequencyAtPosition[position]
+    ));
+  }
+
+  differences.push(...compareCounts('specialBallFrequency', stored.specialBallFrequency, computed.specialBallFrequency));
+
+  return differences;
+}
+
+module.exports = {
+  computeStatistics,
+  compareStatistics
+};
@@ -1,20 +1,137 @@
 /**
  * Utility functions for time-based operations
+ *
+ * Cached lottery data only changes when a game's results come in, so each game has an update window:
+ * from one of its draws until the results are expected to be published. Outside its window a game's
+ * data can be cached until the next one starts; calls without a game use the earliest of any game.
  */
 
+const gameRegistry = require('../services/gameRegistry');
+const { getGameRules } = require('./gameRules');
+
+// Minutes after a draw until its results are expected, for games that don't set publishDelayMinutes
+const DEFAULT_PUBLISH_DELAY_MINUTES = 60;
+
+// Draws further ahead than this are not looked for; every game draws at least weekly
+const SCHEDULE_LOOKAHEAD_DAYS = 14;
+
+// Formatters are expensive to create, so one per time zone is kept
+const zoneFormatters = new Map();
+
+// Current or next window of each game, until it ends
+const windowCache = new Map();
+
+/**
+ * Get the wall clock date and time of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = parseInt(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Get the instant a wall clock date and time happens in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+function zonedTimeToDate(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct by the zone's offset at the guess; twice, in case the guess was across a DST change
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Get the update window of a game in progress, or the next one
+ * The window runs from a draw until the game's publish delay has passed
+ * @param {string} type - The lottery type
+ * @param {Date} [now] - The time to look from
+ * @returns {{start: Date, end: Date}|null} The window, or null for unknown games and games without upcoming draws
+ */
+function getUpdateWindow(type, now = new Date()) {
+  const cached = windowCache.get(type);
+  if (cached && now >= cached.computedAt && now < cached.window.end) {
+    return cached.window;
+  }
+
+  const game = gameRegistry.get(type);
+  if (!game) {
+    return null;
+  }
+
+  const delayMinutes = game.publishDelayMinutes ?? DEFAULT_PUBLISH_DELAY_MINUTES;
+  const { year, month, day } = getZonedParts(now, game.timeZone);
+  const today = Date.UTC(year, month - 1, day);
+
+  // From yesterday, the window of a draw late last night may still be open
+  for (let offset = -1; offset <= SCHEDULE_LOOKAHEAD_DAYS; offset++) {
+    const date = new Date(today + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rules = getGameRules(type, date);
+    if (!rules || !rules.drawDays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) {
+      continue;
+    }
+
+    const start = zonedTimeToDate(date, game.drawTime, game.timeZone);
+    const end = new Date(start.getTime() + delayMinutes * 60 * 1000);
+    if (end > now) {
+      const window = { start, end };
+      windowCache.set(type, { window, computedAt: now });
+      return window;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the update windows that apply to a game, or to every game
+ * @param {string|null} type - The lottery type, or null for every game
+ * @param {Date} now - The time to look from
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+function getUpdateWindows(type, now) {
+  const types = type ? [type] : gameRegistry.getTypes();
+  return types.map(game => getUpdateWindow(game, now)).filter(Boolean);
+}
+
 /**
- * Check if the current time is within the lottery data update window (11:50pm-12:10am EST)
+ * Check if the current time is within a game's update window
+ * @param {string|null} [type] - The lottery type; without one, whether any game is in its window
+ * @param {Date} [now] - The time to check
  * @returns {boolean} True if currently in update window
  */
-function isInUpdateWindow() {
-  const now = new Date();
-  const estOptions = { timeZone: 'America/New_York' };
-  const estTime = new Date(now.toLocaleString('en-US', estOptions));
-  
-  const hour = estTime.getHours();
-  const minute = estTime.getMinutes();
-  
-  return (hour === 23 && minute >= 50) || (hour === 0 && minute <= 10);
+function isInUpdateWindow(type = null, now = new Date()) {
+  return getUpdateWindows(type, now).some(window => window.start <= now && now < window.end);
 }
 
 /**
@@ -31,52 +148,52 @@ function getHoursFromMidnight() {
 }
 
 /**
- * Calculate the seconds remaining until the next update window
+ * Calculate the seconds remaining until a game's next update window
+ * @param {string|null} [type] - The lottery type; without one, until the next window of any game
+ * @param {Date} [now] - The time to count from
  * @returns {number} Seconds until next update window
  */
-function getSecondsUntilNextUpdate() {
-  const now = new Date();
-  const estOptions = { timeZone: 'America/New_York' };
-  const estTime = new Date(now.toLocaleString('en-US', estOptions));
-  
-  const hour = estTime.getHours();
-  const minute = estTime.getMinutes();
-  
+function getSecondsUntilNextUpdate(type = null, now = new Date()) {
   // If we're already in the update window, return a short time
-  if (isInUpdateWindow()) {
+  if (isInUpdateWindow(type, now)) {
     return 60; // 1 minute
   }
-  
-  // Calculate time until 11:50 PM EST
-  let hoursUntil = (23 - hour);
-  let minutesUntil = 50 - minute;
-  
-  if (minutesUntil < 0) {
-    minutesUntil += 60;
-    hoursUntil -= 1;
+
+  const windows = getUpdateWindows(type, now);
+  if (windows.length === 0) {
+    // No schedule to go by, check again daily
+    return 24 * 60 * 60;
   }
   
-  // Convert to seconds
-  const secondsUntil = (hoursUntil * 60 * 60) + (minutesUntil * 60);
-  
-  // For safety, cap at 24 hours
-  return Math.min(secondsUntil, 24 * 60 * 60);
+  const nextStart = Math.min(...windows.map(window => window.start.getTime()));
+  return Math.ceil((nextStart - now.getTime()) / 1000);
+}
+
+/**
+ * Get the longest time draws and stats may be cached, however far away the next draw is
+ * Results corrected or published late between draws then reach clients within this time
+ * @returns {number} Seconds, from CACHE_MAX_TTL_MS (default 4 hours)
+ */
+function getMaxCacheDuration() {
+  const maxTtlMs = parseInt(process.env.CACHE_MAX_TTL_MS, 10);
+  return Math.max(60, Math.floor((maxTtlMs > 0 ? maxTtlMs : 4 * 60 * 60 * 1000) / 1000));
 }
 
 /**
- * Get appropriate cache duration based on time of day and content type
+ * Get appropriate cache duration based on the draw schedule and content type
  * @param {string} contentType - Type of content ('data', 'stats', 'static', etc.)
  * @param {number} defaultDuration - Default duration in seconds
+ * @param {string|null} [type] - The lottery type the content is about; without one, every game counts
  * @returns {number} Appropriate cache duration in seconds
  */
-function getCacheDuration(contentType = 'data', defaultDuration = 300) {
+function getCacheDuration(contentType = 'data', defaultDuration = 300, type = null) {
   // If in update window, use short duration
-  if (isInUpdateWindow()) {
+  if (isInUpdateWindow(type)) {
     return 60; // 1 minute during update window
   }
   
   // Get seconds until next update
-  const secondsUntilUpdate = getSecondsUntilNextUpdate();
+  const secondsUntilUpdate = getSecondsUntilNextUpdate(type);
   
   // Calculate a safe duration that won't go past the update window
   // We use a safety margin to ensure cache expires before the update window starts
@@ -86,11 +203,12 @@ function getCacheDuration(contentType = 'data', defaultDuration = 300) {
   // Determine appropriate cache duration based on content type
   switch (contentType) {
     case 'data':
-      // For lottery data, we can cache until just before the next update window
-      return safeDuration;
+      // For lottery data, we can cache until just before the next update window,
+      // but no longer than the cap, as the next draw may be days away
+      return Math.min(getMaxCacheDuration(), safeDuration);
     case 'stats':
       // Statistics don't change as often, but we'll still expire before update
-      return safeDuration;
+      return Math.min(getMaxCacheDuration(), safeDuration);
     case 'static':
       // Static content can use the longest cache duration
       return Math.max(48 * 60 * 60, safeDuration); // 48 hours or until update
@@ -99,27 +217,11 @@ function getCacheDuration(contentType = 'data', defaultDuration = 300) {
   }
 }
 
-/**
- * Get appropriate ETag value based on time of day
- * @returns {string} ETag value
- */
-function getETag() {
-  const now = new Date();
-  
-  // If in update window, include minutes in ETag to change every minute
-  if (isInUpdateWindow()) {
-    return `W/"${now.toISOString().slice(0, 16)}"`; // Include up to minutes
-  } else {
-    // Outside update window, only include date part - this makes the ETag stable
-    // throughout the day, improving client-side caching
-    return `W/"${now.toISOString().slice(0, 10)}"`; // Just date part
-  }
-}
-
 module.exports = {
+  getUpdateWindow,
   isInUpdateWindow,
   getHoursFromMidnight,
   getSecondsUntilNextUpdate,
-  getCacheDuration,
-  getETag
+  getMaxCacheDuration,
+  getCacheDuration
 }; 
\ No newline at end of file
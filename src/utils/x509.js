@@ -0,0 +1,50 @@
+const asn1 = require('asn1.js');
+
+// Minimal X.509 structures, enough to read certificate extensions
+const ExtensionASN = asn1.define('Extension', function() {
+  this.seq().obj(
+    this.key('extnID').objid(),
+    this.key('critical').bool().def(false),
+    this.key('extnValue').octstr()
+  );
+});
+
+const TBSCertificateASN = asn1.define('TBSCertificate', function() {
+  this.seq().obj(
+    this.key('version').explicit(0).int().optional(),
+    this.key('serialNumber').int(),
+    this.key('signature').any(),
+    this.key('issuer').any(),
+    this.key('validity').any(),
+    this.key('subject').any(),
+    this.key('subjectPublicKeyInfo').any(),
+    this.key('issuerUniqueID').implicit(1).bitstr().optional(),
+    this.key('subjectUniqueID').implicit(2).bitstr().optional(),
+    this.key('extensions').explicit(3).seqof(ExtensionASN).optional()
+  );
+});
+
+const CertificateASN = asn1.define('Certificate', function() {
+  this.seq().obj(
+    this.key('tbsCertificate').use(TBSCertificateASN),
+    this.key('signatureAlgorithm').any(),
+    this.key('signatureValue').bitstr()
+  );
+});
+
+/**
+ * Get the extension OIDs of a certificate
+ * @param {Buffer} der - DER encoded certificate
+ * @returns {Array<string>} Dotted extension OIDs
+ */
+const getExtensionIds = (der) => {
+  const extensions = CertificateASN.decode(der, 'der').tbsCertificate.extensions || [];
+  return extensions.map(extension => extension.extnID.join('.'));
+};
+
+module.exports = {
+  ExtensionASN,
+  TBSCertificateASN,
+  CertificateASN,
+  getExtensionIds
+};
@@ -0,0 +1,218 @@
+const cbor = require('cbor');
+const { createTestCA, createAttestation, createAssertion } = require('./helpers/attestation');
+
+const TEAM_ID = 'TEAMID1234';
+const BUNDLE_ID = 'com.example.jackpotiq';
+
+describe('AppAttestService', () => {
+  let ca;
+  let service;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    ca = createTestCA();
+    process.env.APPLE_ROOT_CA = ca.rootCert.toString('base64');
+    process.env.APPLE_TEAM_ID = TEAM_ID;
+    process.env.APPLE_BUNDLE_ID = BUNDLE_ID;
+
+    const { AppAttestService } = require('../src/services/appAttest');
+    service = new AppAttestService();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const attest = (options = {}) => createAttestation({
+    ca,
+    challenge: 'issued-challenge',
+    teamId: TEAM_ID,
+    bundleId: BUNDLE_ID,
+    ...options
+  });
+
+  describe('verifyAttestation', () => {
+    it('accepts an attestation made for the issued challenge', async () => {
+      const { attestation, keyId } = attest();
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+
+      expect(result.verified).toBe(true);
+      expect(result.deviceId).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('rejects an attestation made for a different challenge', async () => {
+      const { attestation, keyId } = attest({ challenge: 'some-other-challenge' });
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('challenge_mismatch');
+    });
+
+    it('rejects a chain that is not signed by the configured root', async () => {
+      const { attestation, keyId } = createAttestation({
+        ca: createTestCA(),
+        challenge: 'issued-challenge',
+        teamId: TEAM_ID,
+        bundleId: BUNDLE_ID
+      });
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+
+      expect(result.verified).toBe(false);
+      expect(result.reason).toBe('signature_invalid');
+    });
+
+    it('rejects an attestation for a different bundle ID', async () => {
+      const { attestation, keyId } = attest({ bundleId: 'com.example.other' });
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+
+      expect(result.reason).toBe('rp_id_mismatch');
+    });
+
+    it('rejects a key whose sign counter is not zero', async () => {
+      const { attestation, keyId } = attest({ authData: { counter: 1 } });
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+
+      expect(result.reason).toBe('counter_not_zero');
+    });
+
+    it('rejects the development environment unless it is allowed', async () => {
+      const { attestation, keyId } = attest({ authData: { aaguid: 'appattestdevelop' } });
+
+      const rejected = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+      expect(rejected.reason).toBe('development_environment_not_allowed');
+
+      service.allowDevelopmentEnvironment = true;
+      try {
+        const accepted = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+        expect(accepted.verified).toBe(true);
+      } finally {
+        service.allowDevelopmentEnvironment = false;
+      }
+    });
+
+    it('rejects an unknown AAGUID', async () => {
+      const { attestation, keyId } = attest({ authData: { aaguid: 'somethingelse' } });
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', keyId);
+
+      expect(result.reason).toBe('aaguid_invalid');
+    });
+
+    it('rejects a keyID that does not match the credential ID', async () => {
+      const { attestation } = attest();
+      const otherKeyId = Buffer.alloc(32, 1).toString('base64');
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', otherKeyId);
+
+      expect(result.reason).toBe('key_id_mismatch');
+    });
+
+    it('rejects a credential ID that is not the hash of the leaf public key', async () => {
+      const credentialId = Buffer.alloc(32, 2);
+      const { attestation } = attest({ authData: { credentialId } });
+
+      const result = await service.verifyAttestation(attestation, 'issued-challenge', credentialId.toString('base64'));
+
+      expect(result.reason).toBe('public_key_mismatch');
+    });
+  });
+
+  describe('verifyAssertion', () => {
+    let keyPair;
+    let storedKey;
+
+    beforeEach(async () => {
+      const attested = attest();
+      const result = await service.verifyAttestation(attested.attestation, 'issued-challenge', attested.keyId);
+      keyPair = attested.keyPair;
+      storedKey = { publicKey: result.publicKey, counter: 3 };
+    });
+
+    const assert = (options = {}) => createAssertion({
+      keyPair,
+      clientData: 'GET /api/stats?type=powerball\n',
+      counter: 4,
+      teamId: TEAM_ID,
+      bundleId: BUNDLE_ID,
+      ...options
+    });
+
+    it('accepts an assertion with a higher counter and returns the counter', () => {
+      const result = service.verifyAssertion(assert(), 'GET /api/stats?type=powerball\n', storedKey);
+
+      expect(result).toEqual({ verified: true, counter: 4 });
+    });
+
+    it('rejects an assertion whose counter did not increase', () => {
+      const result = service.verifyAssertion(assert({ counter: 3 }), 'GET /api/stats?type=powerball\n', storedKey);
+
+      expect(result.reason).toBe('counter_not_incremented');
+    });
+
+    it('rejects an assertion made over different client data', () => {
+      const result = service.verifyAssertion(assert(), 'GET /api/stats?type=mega-millions\n', storedKey);
+
+      expect(result.reason).toBe('signature_invalid');
+    });
+
+    it('rejects an assertion signed by another key', () => {
+      const result = service.verifyAssertion(
+        assert({ keyPair: attest().keyPair }),
+        'GET /api/stats?type=powerball\n',
+        storedKey
+      );
+
+      expect(result.reason).toBe('signature_invalid');
+    });
+
+    it('rejects an assertion for a different app', () => {
+      const result = service.verifyAssertion(
+        assert({ bundleId: 'com.example.other' }),
+        'GET /api/stats?type=powerball\n',
+        storedKey
+      );
+
+      expect(result.reason).toBe('rp_id_mismatch');
+    });
+  });
+
+  describe('parseAuthData', () => {
+    it('throws when the credential ID is truncated', () => {
+      const { attestation } = attest();
+      const { authData } = cbor.decodeFirstSync(attestation);
+
+      expect(() => service.parseAuthData(authData.subarray(0, 60))).toThrow(/credential ID/);
+    });
+  });
+
+  describe('verifyChallenge', () => {
+    const decode = (attestation) => cbor.decodeFirstSync(attestation);
+
+    it('rejects authData that differs from the data the nonce was computed over', () => {
+      const decoded = decode(attest().attestation);
+      decoded.authData = Buffer.concat([decoded.authData, Buffer.from([0x00])]);
+
+      expect(service.verifyChallenge(decoded, 'issued-challenge')).toBe(false);
+    });
+
+    it('rejects a leaf certificate without the nonce extension', () => {
+      const decoded = decode(attest({ omitNonce: true }).attestation);
+
+      expect(service.verifyChallenge(decoded, 'issued-challenge')).toBe(false);
+    });
+
+    it('rejects an empty challenge', () => {
+      const decoded = decode(attest().attestation);
+
+      expect(service.verifyChallenge(decoded, '')).toBe(false);
+    });
+  });
+});
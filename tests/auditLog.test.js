@@ -0,0 +1,138 @@
+jest.mock('../src/services/dataService', () => {
+  const { MemoryStorageAdapter } = require('../src/services/storage');
+  const files = {};
+  return {
+    files,
+    storage: new MemoryStorageAdapter(),
+    readData: jest.fn(async (type) => files[type] || {}),
+    writeData: jest.fn(async (type, data) => {
+      files[type] = data;
+    }),
+    updateData: jest.fn(async (type, update) => {
+      const next = await update(files[type] || {});
+      if (next !== undefined) {
+        files[type] = next;
+      }
+      return files[type] || {};
+    })
+  };
+});
+
+const dataService = require('../src/services/dataService');
+const { MemoryStorageAdapter } = require('../src/services/storage');
+const { AuditLogService } = require('../src/services/auditLog');
+
+describe('AuditLogService', () => {
+  let auditLog;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    for (const type of Object.keys(dataService.files)) {
+      delete dataService.files[type];
+    }
+    dataService.storage = new MemoryStorageAdapter();
+    jest.clearAllMocks();
+    auditLog = new AuditLogService();
+  });
+
+  afterEach(() => {
+    clearTimeout(auditLog.flushTimer);
+    jest.useRealTimers();
+  });
+
+  it('stores hashed key IDs and the first failed check', async () => {
+    const record = auditLog.record({
+      type: 'attestation',
+      outcome: 'failure',
+      keyId: 'key-1',
+      ip: '203.0.113.7',
+      platform: 'ios',
+      reasons: ['rp_id_mismatch']
+    });
+
+    expect(record.keyIdHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(record)).not.toContain('key-1');
+    expect(record.failedCheck).toBe('rp_id_mismatch');
+
+    const { records } = await auditLog.list({ keyId: 'key-1' });
+    expect(records).toHaveLength(1);
+  });
+
+  it('writes buffered records as one new batch, listed in the day file', async () => {
+    for (let i = 0; i < 5; i++) {
+      auditLog.record({ type: 'assertion', outcome: 'success', keyId: 'key-1' });
+    }
+
+    await auditLog.flush();
+
+    const day = new Date().toISOString().slice(0, 10);
+    const { batches } = dataService.files[`attestation-audit-${day}`];
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toMatch(new RegExp(`^attestation-audit/${day}/\\d{6}-${auditLog.instanceId}-1\\.json$`));
+    expect(JSON.parse((await dataService.storage.get(batches[0])).body).records).toHaveLength(5);
+    expect(dataService.updateData).toHaveBeenCalledTimes(1);
+    expect(auditLog.pending).toHaveLength(0);
+    expect((await auditLog.list()).total).toBe(5);
+  });
+
+  it('flushes on a timer, so a burst of attempts is one write', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    auditLog = new AuditLogService();
+    auditLog.record({ type: 'attestation', outcome: 'success' });
+    auditLog.record({ type: 'attestation', outcome: 'failure', reasons: ['challenge_invalid'] });
+
+    await jest.advanceTimersByTimeAsync(auditLog.flushInterval);
+    await auditLog.writeQueue;
+
+    expect(dataService.updateData).toHaveBeenCalledTimes(1);
+    expect(auditLog.pending).toHaveLength(0);
+  });
+
+  it('lists the records of every instance and of days written before batching', async () => {
+    const day = new Date().toISOString().slice(0, 10);
+    dataService.files[`attestation-audit-${day}`] = {
+      records: [{ timestamp: `${day}T00:00:00.000Z`, type: 'attestation', outcome: 'success', reasons: [] }]
+    };
+    const other = new AuditLogService();
+
+    auditLog.record({ type: 'attestation', outcome: 'success' });
+    other.record({ type: 'attestation', outcome: 'success' });
+    await auditLog.flush();
+    await other.flush();
+    clearTimeout(other.flushTimer);
+
+    expect(dataService.files[`attestation-audit-${day}`].batches).toHaveLength(2);
+    expect((await auditLog.list()).total).toBe(3);
+  });
+
+  it('counts failures by reason per day', async () => {
+    auditLog.record({ type: 'attestation', outcome: 'success' });
+    auditLog.record({ type: 'attestation', outcome: 'failure', reasons: ['challenge_invalid'] });
+    auditLog.record({ type: 'attestation', outcome: 'failure', reasons: ['challenge_invalid'] });
+    await auditLog.flush();
+    auditLog.record({ type: 'assertion', outcome: 'failure', reasons: ['unknown_key'] });
+
+    const summary = await auditLog.summarize({ type: 'attestation' });
+    const today = summary.days[summary.days.length - 1];
+
+    expect(summary.days).toHaveLength(7);
+    expect(today).toEqual({
+      date: new Date().toISOString().slice(0, 10),
+      total: 3,
+      success: 1,
+      failure: 2,
+      failuresByReason: { challenge_invalid: 2 }
+    });
+  });
+
+  it('rejects date ranges longer than the maximum', () => {
+    expect(() => auditLog.getDays('2020-01-01', '2020-12-31')).toThrow('Date range cannot exceed');
+  });
+});
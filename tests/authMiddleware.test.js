@@ -0,0 +1,125 @@
+jest.mock('../src/services/dataService', () => ({
+  devices: {},
+  getVerifiedDevice: jest.fn(async function (deviceId) {
+    const device = this.devices[deviceId];
+    return device ? { deviceId, ...device } : null;
+  }),
+  touchVerifiedDevice: jest.fn(async () => false),
+  getAttestedKey: jest.fn(async () => null),
+  updateAttestedKeyCounter: jest.fn(async () => true)
+}));
+
+jest.mock('../src/services/tokenService', () => ({
+  tokens: {},
+  verifyAccessToken: jest.fn(async function (token) {
+    if (!this.tokens[token]) {
+      throw new Error('invalid token');
+    }
+    return this.tokens[token];
+  })
+}));
+
+jest.mock('../src/services/auditLog', () => ({
+  record: jest.fn()
+}));
+
+const express = require('express');
+const dataService = require('../src/services/dataService');
+const tokenService = require('../src/services/tokenService');
+const auditLog = require('../src/services/auditLog');
+const { verifyToken, requireAppAssertion } = require('../src/middleware/auth');
+const { request } = require('./helpers/http');
+
+describe('requireAppAssertion', () => {
+  let server;
+
+  const get = headers => request(server, 'GET', '/protected', { headers });
+
+  beforeAll(done => {
+    const app = express();
+    app.get('/protected', verifyToken, requireAppAssertion, (req, res) => {
+      res.json({ deviceId: req.user.deviceId });
+    });
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    process.env.REQUIRE_APP_ASSERTION = 'true';
+    dataService.devices = {
+      'ios-device': { platform: 'ios', attestationVerified: true, banned: false },
+      'android-device': { platform: 'android', attestationVerified: true, banned: false },
+      'legacy-device': { platform: null, attestationVerified: true, banned: false }
+    };
+    tokenService.tokens = {
+      ios: { deviceId: 'ios-device', keyId: 'ios-key' },
+      android: { deviceId: 'android-device', keyId: 'android-installation' },
+      legacy: { deviceId: 'legacy-device', keyId: 'legacy-key' }
+    };
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_APP_ASSERTION;
+  });
+
+  it('requires an assertion from iOS devices when REQUIRE_APP_ASSERTION is true', async () => {
+    for (const token of ['ios', 'legacy']) {
+      const res = await get({ Authorization: `Bearer ${token}` });
+
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ error: 'App assertion required' });
+    }
+    expect(dataService.getAttestedKey).not.toHaveBeenCalled();
+  });
+
+  it('lets Android devices through without an assertion', async () => {
+    const res = await get({ Authorization: 'Bearer android' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ deviceId: 'android-device' });
+    expect(dataService.getAttestedKey).not.toHaveBeenCalled();
+  });
+
+  it('ignores assertion headers from Android devices, which have no attested key', async () => {
+    const res = await get({ Authorization: 'Bearer android', 'X-App-Assertion': 'AAAA' });
+
+    expect(res.status).toBe(200);
+    expect(dataService.getAttestedKey).not.toHaveBeenCalled();
+    expect(auditLog.record).not.toHaveBeenCalled();
+  });
+
+  it('rejects assertions for keys it never attested, recording the platform', async () => {
+    const res = await get({ Authorization: 'Bearer ios', 'X-App-Assertion': 'AAAA' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid app assertion' });
+    expect(dataService.getAttestedKey).toHaveBeenCalledWith('ios-key');
+    expect(dataService.updateAttestedKeyCounter).not.toHaveBeenCalled();
+    expect(auditLog.record).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'request-assertion',
+      platform: 'ios',
+      reasons: ['unknown_key']
+    }));
+  });
+
+  it('lets requests through without an assertion when it is optional', async () => {
+    delete process.env.REQUIRE_APP_ASSERTION;
+
+    const res = await get({ Authorization: 'Bearer ios' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ deviceId: 'ios-device' });
+  });
+
+  it('checks the token before the assertion', async () => {
+    const res = await get({ 'X-App-Assertion': 'AAAA' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'No token provided' });
+    expect(dataService.getAttestedKey).not.toHaveBeenCalled();
+  });
+});
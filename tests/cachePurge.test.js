@@ -0,0 +1,136 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const dataService = require('../src/services/dataService');
+const { DataService } = require('../src/services/dataService');
+const { LocalStorageAdapter, MemoryStorageAdapter } = require('../src/services/storage');
+const adminRoutes = require('../src/routes/admin');
+const { request } = require('./helpers/http');
+
+describe('POST /api/admin/cache/purge', () => {
+  let server;
+
+  const purge = body => request(server, 'POST', '/api/admin/cache/purge', {
+    headers: { 'X-Admin-Key': 'test-admin-key' },
+    body
+  });
+
+  beforeAll(done => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    jest.restoreAllMocks();
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    dataService.storage = new MemoryStorageAdapter();
+    dataService.memoryCache = {};
+    await dataService.storage.put('notifications.json', '{"version":1}');
+    await dataService.readData('notifications');
+    await dataService.storage.put('notifications.json', '{"version":2}');
+  });
+
+  it('reloads files by type, whatever their TTL', async () => {
+    const previousVersion = dataService.getDataVersion('notifications');
+
+    const res = await purge({ types: ['notifications'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.reloaded).toEqual([{ type: 'notifications', previousVersion, version: dataService.getDataVersion('notifications') }]);
+    expect(res.body.reloaded[0].version).not.toBe(previousVersion);
+    expect(await dataService.readData('notifications')).toEqual({ version: 2 });
+  });
+
+  it('reloads the files cached from storage keys', async () => {
+    const res = await purge({ keys: ['notifications.json', 'releases/powerball/1.json', 'never-read.json'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.reloaded.map(entry => entry.type)).toEqual(['notifications']);
+    expect(await dataService.readData('notifications')).toEqual({ version: 2 });
+  });
+
+  it('reloads every game and cached file without types or keys', async () => {
+    const res = await purge({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.reloaded.map(entry => entry.type).sort())
+      .toEqual([...dataService.lotteryTypes, 'notifications'].sort());
+  });
+
+  it('rejects types that are neither served nor cached', async () => {
+    const res = await purge({ types: ['notifications', 'verified-devices-0'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ path: 'types', value: ['verified-devices-0'] });
+    expect(await dataService.readData('notifications')).toEqual({ version: 1 });
+  });
+});
+
+describe('DataService.watchLocalFiles', () => {
+  let dir;
+  let service;
+  let watcher;
+
+  // fs.watch events arrive asynchronously and are collected for 250ms before reloading
+  const waitFor = async (condition) => {
+    for (let waited = 0; !condition() && waited < 5000; waited += 50) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+    service = new DataService();
+    service.storage = new LocalStorageAdapter(dir);
+    jest.spyOn(service, 'reloadTypes');
+  });
+
+  afterEach(() => {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+    delete process.env.DATA_FILE_WATCH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reloads cached files when they change on disk', async () => {
+    await service.storage.put('notifications.json', '{"version":1}');
+    await service.readData('notifications');
+    watcher = service.watchLocalFiles();
+
+    fs.writeFileSync(path.join(dir, 'notifications.json.tmp'), '{"version":2}');
+    fs.renameSync(path.join(dir, 'notifications.json.tmp'), path.join(dir, 'notifications.json'));
+    await waitFor(() => service.reloadTypes.mock.calls.length > 0);
+
+    expect(service.reloadTypes).toHaveBeenCalledTimes(1);
+    expect(service.reloadTypes).toHaveBeenCalledWith(['notifications'], 'file change');
+    await waitFor(() => service.getCachedData('notifications')?.data.version === 2);
+    expect(await service.readData('notifications')).toEqual({ version: 2 });
+  });
+
+  it('does not watch when turned off', () => {
+    process.env.DATA_FILE_WATCH = 'false';
+
+    expect(service.watchLocalFiles()).toBeNull();
+  });
+});
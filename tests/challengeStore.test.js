@@ -0,0 +1,166 @@
+jest.mock('../src/services/dataService', () => {
+  const { RecordCollection } = require('../src/services/recordCollection');
+  const files = {};
+  return {
+    files,
+    storage: { shared: false },
+    updateData: jest.fn(async (type, update) => {
+      const next = await update(JSON.parse(JSON.stringify(files[type] || {})));
+      if (next !== undefined) {
+        files[type] = next;
+      }
+      return files[type] || {};
+    }),
+    getCollection(type) {
+      return new RecordCollection(this, type);
+    }
+  };
+});
+
+const dataService = require('../src/services/dataService');
+const {
+  ChallengeStore,
+  MemoryChallengeBackend,
+  StorageChallengeBackend,
+  RedisChallengeBackend
+} = require('../src/services/challengeStore');
+
+/**
+ * Just enough of a Redis client for the challenge backend: SET with PX and the take script
+ */
+const createFakeRedisClient = () => {
+  const values = new Map();
+  const live = key => {
+    const entry = values.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  };
+  return {
+    values,
+    set: jest.fn(async (key, value, mode, ttl) => {
+      values.set(key, { value, expiresAt: Date.now() + ttl });
+      return 'OK';
+    }),
+    eval: jest.fn(async (script, keyCount, key) => {
+      const value = live(key);
+      values.delete(key);
+      return value;
+    })
+  };
+};
+
+describe.each([
+  ['memory', () => new MemoryChallengeBackend()],
+  ['storage', () => new StorageChallengeBackend()],
+  ['redis', () => new RedisChallengeBackend(createFakeRedisClient())]
+])('ChallengeStore with the %s backend', (name, createBackend) => {
+  let store;
+
+  beforeEach(() => {
+    for (const type of Object.keys(dataService.files)) {
+      delete dataService.files[type];
+    }
+    store = new ChallengeStore(createBackend(), 60 * 1000);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('accepts a challenge once, from the caller it was issued to', async () => {
+    const { challenge } = await store.issue('key-a');
+
+    expect(await store.consume(challenge, 'key-a')).toEqual({ valid: true });
+    expect(await store.consume(challenge, 'key-a')).toEqual({ valid: false, error: 'Unknown or already used challenge' });
+  });
+
+  it('rejects challenges issued to another caller, and burns them', async () => {
+    const { challenge } = await store.issue('key-a');
+
+    expect(await store.consume(challenge, 'key-b')).toEqual({ valid: false, error: 'Challenge was issued to a different caller' });
+    expect((await store.consume(challenge, 'key-a')).valid).toBe(false);
+  });
+
+  it('rejects challenges after their TTL', async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z') });
+    const { challenge, expiresAt } = await store.issue('key-a');
+    expect(expiresAt).toBe(Date.now() + 60 * 1000);
+
+    jest.setSystemTime(expiresAt);
+
+    expect(await store.consume(challenge, 'key-a')).toEqual({ valid: false, error: 'Challenge expired' });
+  });
+
+  it('rejects challenges it never issued', async () => {
+    expect(await store.consume('bm90IGlzc3VlZA==', 'key-a')).toEqual({ valid: false, error: 'Unknown or already used challenge' });
+    expect(await store.consume(undefined, 'key-a')).toEqual({ valid: false, error: 'Missing challenge' });
+  });
+
+  it('drops expired challenges when issuing new ones', async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z') });
+    const { challenge: expired } = await store.issue('key-a');
+    jest.advanceTimersByTime(2 * 60 * 1000);
+
+    const { challenge } = await store.issue('key-a');
+
+    expect(await store.backend.take(store.hashChallenge(expired))).toBeNull();
+    expect(await store.consume(challenge, 'key-a')).toEqual({ valid: true });
+  });
+});
+
+describe('StorageChallengeBackend', () => {
+  beforeEach(() => {
+    for (const type of Object.keys(dataService.files)) {
+      delete dataService.files[type];
+    }
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('only persists hashed challenges', async () => {
+    const store = new ChallengeStore(new StorageChallengeBackend(), 60 * 1000);
+    const { challenge } = await store.issue('key-a');
+
+    const stored = dataService.files['app-attest-challenges'];
+    expect(Object.keys(stored)).toEqual([store.hashChallenge(challenge)]);
+    expect(JSON.stringify(stored)).not.toContain(challenge);
+  });
+
+  it('writes once to issue a challenge, dropping expired ones in the same write, and once to consume it', async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z') });
+    const store = new ChallengeStore(new StorageChallengeBackend(), 60 * 1000);
+    await store.issue('key-a');
+    jest.advanceTimersByTime(2 * 60 * 1000);
+    dataService.updateData.mockClear();
+
+    const { challenge } = await store.issue('key-a');
+    expect(dataService.updateData).toHaveBeenCalledTimes(1);
+    expect(Object.keys(dataService.files['app-attest-challenges'])).toEqual([store.hashChallenge(challenge)]);
+
+    await store.consume(challenge, 'key-a');
+    expect(dataService.updateData).toHaveBeenCalledTimes(2);
+    expect(dataService.files['app-attest-challenges']).toEqual({});
+  });
+});
+
+describe('RedisChallengeBackend', () => {
+  it('stores hashed challenges in keys that expire shortly after them', async () => {
+    const client = createFakeRedisClient();
+    const store = new ChallengeStore(new RedisChallengeBackend(client), 60 * 1000);
+    const { challenge } = await store.issue('key-a');
+
+    const key = `app-attest-challenge:${store.hashChallenge(challenge)}`;
+    expect(client.set).toHaveBeenCalledWith(key, expect.not.stringContaining(challenge), 'PX', 2 * 60 * 1000);
+  });
+
+  it('fails closed when the server cannot be reached', async () => {
+    const client = createFakeRedisClient();
+    client.eval.mockRejectedValue(new Error('Connection is closed.'));
+    const store = new ChallengeStore(new RedisChallengeBackend(client), 60 * 1000);
+    const { challenge } = await store.issue('key-a');
+
+    await expect(store.consume(challenge, 'key-a')).rejects.toThrow('Connection is closed.');
+  });
+});
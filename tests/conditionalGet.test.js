@@ -0,0 +1,87 @@
+const express = require('express');
+const gameRegistry = require('../src/services/gameRegistry');
+const { createDataETag, isNotModified } = require('../src/utils/conditionalGet');
+const { request } = require('./helpers/http');
+
+describe('createDataETag', () => {
+  it('depends on the data version and parameters, not their order', () => {
+    const etag = createDataETag('lottery', '1741752900123456', { type: 'powerball', limit: 10, offset: 0 });
+
+    expect(etag).toMatch(/^W\/"[\w-]{32}"$/);
+    expect(createDataETag('lottery', '1741752900123456', { offset: 0, limit: 10, type: 'powerball' })).toBe(etag);
+    expect(createDataETag('lottery', '1741752900123457', { type: 'powerball', limit: 10, offset: 0 })).not.toBe(etag);
+    expect(createDataETag('lottery', '1741752900123456', { type: 'powerball', limit: 20, offset: 0 })).not.toBe(etag);
+    expect(createDataETag('stats', '1741752900123456', { type: 'powerball', limit: 10, offset: 0 })).not.toBe(etag);
+  });
+
+  it('changes when the game definitions do', () => {
+    const etag = createDataETag('stats', '1', { type: 'powerball' });
+    jest.spyOn(gameRegistry, 'getVersion').mockReturnValue('changed');
+
+    expect(createDataETag('stats', '1', { type: 'powerball' })).not.toBe(etag);
+    jest.restoreAllMocks();
+  });
+
+  it('leaves out parameters that are not set', () => {
+    expect(createDataETag('stats', '1', { type: 'powerball', era: undefined, groupBy: null }))
+      .toBe(createDataETag('stats', '1', { type: 'powerball' }));
+  });
+});
+
+describe('isNotModified', () => {
+  const etag = createDataETag('lottery', '1', { type: 'powerball' });
+  const lastModified = new Date('2025-03-12T04:20:00Z');
+  let server;
+  let computed;
+
+  const get = headers => request(server, 'GET', '/', { headers });
+
+  beforeAll(done => {
+    const app = express();
+    app.get('/', (req, res) => {
+      if (isNotModified(req, res, { etag, lastModified })) {
+        return res.status(304).end();
+      }
+      computed++;
+      res.json({ draws: [] });
+    });
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    computed = 0;
+  });
+
+  it('sends the validators with a full response', async () => {
+    const res = await get({});
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe(etag);
+    expect(res.headers['last-modified']).toBe('Wed, 12 Mar 2025 04:20:00 GMT');
+    expect(computed).toBe(1);
+  });
+
+  it('answers 304 for a matching If-None-Match without computing the response', async () => {
+    const res = await get({ 'If-None-Match': etag });
+
+    expect(res.status).toBe(304);
+    expect(res.headers.etag).toBe(etag);
+    expect(computed).toBe(0);
+  });
+
+  it('answers 304 for an If-Modified-Since at or after the last change', async () => {
+    expect((await get({ 'If-Modified-Since': 'Wed, 12 Mar 2025 04:20:00 GMT' })).status).toBe(304);
+    expect((await get({ 'If-Modified-Since': 'Tue, 11 Mar 2025 04:20:00 GMT' })).status).toBe(200);
+  });
+
+  it('sends the full response when the ETag has changed', async () => {
+    const res = await get({ 'If-None-Match': createDataETag('lottery', '0', { type: 'powerball' }) });
+
+    expect(res.status).toBe(200);
+    expect(computed).toBe(1);
+  });
+});
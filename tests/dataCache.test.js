@@ -0,0 +1,161 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { DataService } = require('../src/services/dataService');
+
+/**
+ * Storage adapter whose reads can be held back, to line up concurrent requests
+ */
+class StubStorage {
+  constructor() {
+    this.name = 'stub';
+    this.shared = false;
+    this.objects = {};
+    this.gets = 0;
+    this.held = null;
+    this.failing = false;
+  }
+
+  set(key, data, generation) {
+    this.objects[key] = { body: Buffer.from(JSON.stringify(data)), metadata: { generation, updated: new Date() } };
+  }
+
+  // Reads started from now on wait until release() is called
+  hold() {
+    let release;
+    this.held = new Promise(resolve => { release = resolve; });
+    this.release = () => {
+      this.held = null;
+      release();
+    };
+  }
+
+  async get(key) {
+    this.gets++;
+    if (this.held) {
+      await this.held;
+    }
+    if (this.failing) {
+      throw new Error('Storage unavailable');
+    }
+    return this.objects[key] || null;
+  }
+}
+
+describe('DataService memory cache', () => {
+  const ttl = 60 * 1000;
+  const maxStaleness = 5 * 60 * 1000;
+  let cache;
+  let storage;
+
+  const counters = () => cache.getCacheStats().files.find(file => file.type === 'notifications');
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    cache = new DataService();
+    clearInterval(cache.cacheRefreshTimer);
+    storage = new StubStorage();
+    cache.storage = storage;
+    cache.maxStaleness = maxStaleness;
+    cache.getCacheTTL = () => ttl;
+    storage.set(cache.getStorageKey('notifications'), { version: 1 }, '1');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('shares one load between concurrent misses', async () => {
+    storage.hold();
+
+    const reads = [cache.readData('notifications'), cache.readData('notifications'), cache.readData('notifications')];
+    storage.release();
+
+    expect(await Promise.all(reads)).toEqual([{ version: 1 }, { version: 1 }, { version: 1 }]);
+    expect(storage.gets).toBe(1);
+    expect(counters()).toMatchObject({ misses: 3, coalesced: 2, hits: 0, state: 'fresh', version: '1' });
+
+    expect(await cache.readData('notifications')).toEqual({ version: 1 });
+    expect(storage.gets).toBe(1);
+    expect(counters().hits).toBe(1);
+  });
+
+  it('serves an expired entry while one background refresh reloads it', async () => {
+    await cache.readData('notifications');
+    storage.set(cache.getStorageKey('notifications'), { version: 2 }, '2');
+    jest.advanceTimersByTime(ttl + 1);
+    storage.hold();
+
+    expect(await cache.readData('notifications')).toEqual({ version: 1 });
+    expect(await cache.readData('notifications')).toEqual({ version: 1 });
+    expect(storage.gets).toBe(2);
+    expect(counters()).toMatchObject({ staleHits: 2, refreshes: 1, state: 'stale', loading: true });
+
+    storage.release();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await cache.readData('notifications')).toEqual({ version: 2 });
+    expect(counters()).toMatchObject({ hits: 1, state: 'fresh', version: '2', loading: false });
+  });
+
+  it('keeps serving the expired entry when the refresh fails', async () => {
+    await cache.readData('notifications');
+    jest.advanceTimersByTime(ttl + 1);
+    storage.failing = true;
+
+    expect(await cache.readData('notifications')).toEqual({ version: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(counters()).toMatchObject({ staleHits: 1, refreshes: 1, refreshErrors: 1 });
+    expect(await cache.readData('notifications')).toEqual({ version: 1 });
+  });
+
+  it('reloads in the foreground once an entry is past the maximum staleness', async () => {
+    await cache.readData('notifications');
+    storage.set(cache.getStorageKey('notifications'), { version: 2 }, '2');
+    jest.advanceTimersByTime(ttl + maxStaleness + 1);
+
+    expect(cache.getCachedData('notifications')).toBeNull();
+    expect(await cache.readData('notifications')).toEqual({ version: 2 });
+    expect(counters()).toMatchObject({ misses: 2, staleHits: 0, refreshes: 0 });
+  });
+
+  it('keeps serving expired entries when an update window starts, instead of dropping them', async () => {
+    await cache.readData('notifications');
+    storage.set(cache.getStorageKey('notifications'), { version: 2 }, '2');
+
+    cache.expireCache(['notifications']);
+
+    expect(await cache.readData('notifications')).toEqual({ version: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await cache.readData('notifications')).toEqual({ version: 2 });
+    expect(counters()).toMatchObject({ misses: 1, staleHits: 1, hits: 1, refreshes: 1 });
+  });
+
+  it('keeps a game\'s data fresh for at most four hours when its next draw is days away', () => {
+    const { getCacheTTL } = DataService.prototype;
+
+    expect(getCacheTTL.call(cache, 'mega-millions')).toBe(4 * 60 * 60 * 1000);
+    expect(getCacheTTL.call(cache, 'powerball-stats')).toBe(4 * 60 * 60 * 1000);
+  });
+
+  it('reads past the cache without joining a load in progress', async () => {
+    storage.hold();
+    const pending = cache.readData('notifications');
+    storage.release();
+    storage.set(cache.getStorageKey('notifications'), { version: 2 }, '2');
+
+    expect(await cache.readData('notifications', { skipCache: true })).toEqual({ version: 2 });
+    await pending;
+    expect(storage.gets).toBe(2);
+    expect(cache.getDataVersion('notifications')).toBe('2');
+  });
+});
@@ -0,0 +1,55 @@
+const { validateDrawHistory, validateStatistics } = require('../src/utils/dataSchema');
+const { computeStatistics } = require('../src/utils/statistics');
+
+const draws = [
+  { specialBall: 3, date: '2024-01-05', numbers: [1, 2, 3, 4, 5], type: 'mega-millions' },
+  { specialBall: 15, date: '2016-01-05', numbers: [11, 12, 21, 29, 75], type: 'mega-millions', multiplier: 5 }
+];
+
+describe('validateDrawHistory', () => {
+  it('accepts draws newest first within the ranges of their era', () => {
+    expect(validateDrawHistory('mega-millions', draws)).toEqual([]);
+    expect(validateDrawHistory('mega-millions', [])).toEqual([]);
+  });
+
+  it('reports every broken draw by its index', () => {
+    expect(validateDrawHistory('mega-millions', [
+      draws[1],
+      { ...draws[0], numbers: [5, 4, 3, 2, 1], specialBall: '3' },
+      { ...draws[0], date: '2024-1-5', numbers: [1, 2, 3, 4] },
+      'garbage'
+    ])).toEqual([
+      'draws[1]: 2024-01-05 must be before 2016-01-05, dates must be unique and descending',
+      'draws[1]: numbers must be unique and in ascending order',
+      'draws[1]: specialBall must be between 1 and 25',
+      'draws[2]: date must be a valid YYYY-MM-DD date',
+      'draws[2]: numbers must contain exactly 5 numbers',
+      'draws[3]: must be an object'
+    ]);
+  });
+
+  it('rejects files that are not a list of draws', () => {
+    expect(validateDrawHistory('powerball', { entries: {} })).toEqual(['draws must be a list']);
+  });
+});
+
+describe('validateStatistics', () => {
+  it('accepts statistics computed from the draws', () => {
+    expect(validateStatistics('mega-millions', computeStatistics('mega-millions', draws))).toEqual([]);
+  });
+
+  it('rejects counts out of range or of the wrong type', () => {
+    expect(validateStatistics('powerball', {
+      totalDraws: '2',
+      frequency: { 1: 2, 70: 1 },
+      frequencyAtPosition: { 5: { 1: 1.5 } },
+      specialBallFrequency: null
+    })).toEqual([
+      'totalDraws must be a whole number',
+      'frequency: 70 is not a number between 1 and 69',
+      'frequencyAtPosition: 5 is not a position from 0 to 4',
+      'frequencyAtPosition.5.1: count must be a whole number',
+      'specialBallFrequency must be an object of counts'
+    ]);
+  });
+});
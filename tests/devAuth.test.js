@@ -0,0 +1,159 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const path = require('path');
+const { execFile } = require('child_process');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { isDevAuthEnabled, assertDevAuthConfig } = require('../src/utils/devAuth');
+const { verifyToken, requireAppAssertion, requireEntitlement } = require('../src/middleware/auth');
+const authRoutes = require('../src/routes/auth');
+const { request } = require('./helpers/http');
+
+const ENV_KEYS = ['DEV_AUTH_ENABLED', 'NODE_ENV', 'REQUIRE_APP_ASSERTION', 'ENFORCE_ENTITLEMENTS'];
+const savedEnv = {};
+
+const setEnv = (env) => {
+  for (const key of ENV_KEYS) {
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  }
+};
+
+beforeAll(() => {
+  for (const key of ENV_KEYS) {
+    savedEnv[key] = process.env[key];
+  }
+});
+
+afterAll(() => {
+  setEnv(savedEnv);
+});
+
+describe('dev auth configuration', () => {
+  it('is only enabled with DEV_AUTH_ENABLED=true outside production', () => {
+    setEnv({ DEV_AUTH_ENABLED: 'true', NODE_ENV: 'development' });
+    expect(isDevAuthEnabled()).toBe(true);
+
+    setEnv({ NODE_ENV: 'development' });
+    expect(isDevAuthEnabled()).toBe(false);
+
+    setEnv({ DEV_AUTH_ENABLED: 'false' });
+    expect(isDevAuthEnabled()).toBe(false);
+
+    setEnv({ DEV_AUTH_ENABLED: 'true', NODE_ENV: 'production' });
+    expect(isDevAuthEnabled()).toBe(false);
+  });
+
+  it('refuses to start when enabled in production', () => {
+    setEnv({ DEV_AUTH_ENABLED: 'true', NODE_ENV: 'production' });
+    expect(() => assertDevAuthConfig()).toThrow('DEV_AUTH_ENABLED must not be set when NODE_ENV=production');
+
+    setEnv({ NODE_ENV: 'production' });
+    expect(() => assertDevAuthConfig()).not.toThrow();
+  });
+});
+
+describe('dev-token CLI', () => {
+  const script = path.join(__dirname, '..', 'scripts', 'dev-token.js');
+
+  const run = (args, env) => new Promise(resolve => {
+    const childEnv = { ...process.env };
+    for (const key of ENV_KEYS) {
+      delete childEnv[key];
+    }
+    execFile(process.execPath, [script, ...args], { env: { ...childEnv, ...env }, timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout: stdout.trim(), stderr });
+    });
+  });
+
+  it('refuses to mint tokens in production', async () => {
+    const result = await run([], { DEV_AUTH_ENABLED: 'true', NODE_ENV: 'production' });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('DEV_AUTH_ENABLED must not be set when NODE_ENV=production');
+    expect(result.stdout).toBe('');
+  });
+
+  it('refuses to mint tokens unless dev auth is enabled', async () => {
+    const result = await run([], { NODE_ENV: 'development' });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Development auth is disabled');
+  });
+
+  it('mints a dev token with the chosen device, scopes and lifetime', async () => {
+    const result = await run(
+      ['--device-id', 'simulator-1', '--scopes', 'premium, stats', '--expires-in=60'],
+      { DEV_AUTH_ENABLED: 'true', NODE_ENV: 'development' }
+    );
+
+    expect(result.code).toBe(0);
+    const decoded = jwt.decode(result.stdout.split('\n').pop());
+    expect(decoded).toMatchObject({ deviceId: 'simulator-1', scopes: ['premium', 'stats'], dev: true });
+    expect(decoded.exp - decoded.iat).toBe(60);
+  }, 30000);
+});
+
+describe('dev tokens', () => {
+  let server;
+
+  const mint = async (body = {}) => (await request(server, 'POST', '/api/auth/dev-token', { body })).body.token;
+
+  beforeAll(done => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.get('/premium', verifyToken, requireAppAssertion, requireEntitlement('premium'), (req, res) => {
+      res.json({ deviceId: req.user.deviceId });
+    });
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    jest.restoreAllMocks();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    setEnv({ DEV_AUTH_ENABLED: 'true', NODE_ENV: 'test', REQUIRE_APP_ASSERTION: 'true', ENFORCE_ENTITLEMENTS: 'true' });
+  });
+
+  it('are not minted unless dev auth is enabled', async () => {
+    setEnv({ NODE_ENV: 'test' });
+    expect((await request(server, 'POST', '/api/auth/dev-token', { body: {} })).status).toBe(404);
+
+    setEnv({ DEV_AUTH_ENABLED: 'true', NODE_ENV: 'production' });
+    expect((await request(server, 'POST', '/api/auth/dev-token', { body: {} })).status).toBe(404);
+  });
+
+  it('skip the device registry and assertions, and are entitled to the scopes they were minted with', async () => {
+    const token = await mint({ deviceId: 'simulator-1', scopes: ['premium'] });
+
+    const res = await request(server, 'GET', '/premium', { token });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ deviceId: 'simulator-1' });
+  });
+
+  it('need no purchase, but are held to the entitlement check like any other token', async () => {
+    const token = await mint({ deviceId: 'simulator-1' });
+
+    const res = await request(server, 'GET', '/premium', { token });
+    expect(res.status).toBe(402);
+    expect(res.body.entitlement).toBe('premium');
+  });
+
+  it('are rejected once dev auth is turned off', async () => {
+    const token = await mint({ scopes: ['premium'] });
+    setEnv({ NODE_ENV: 'test', REQUIRE_APP_ASSERTION: 'true', ENFORCE_ENTITLEMENTS: 'true' });
+
+    const res = await request(server, 'GET', '/premium', { token });
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid token' });
+  });
+});
@@ -0,0 +1,171 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const express = require('express');
+const dataService = require('../src/services/dataService');
+const { DataService } = require('../src/services/dataService');
+const { MemoryStorageAdapter } = require('../src/services/storage');
+const tokenService = require('../src/services/tokenService');
+const { verifyToken } = require('../src/middleware/auth');
+const adminRoutes = require('../src/routes/admin');
+const { request } = require('./helpers/http');
+
+describe('verified device registry', () => {
+  let devices;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    devices = new DataService();
+    devices.storage = new MemoryStorageAdapter();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('registers devices and keeps their first verification time when they attest again', async () => {
+    await devices.storeVerifiedDevice('device-1', { platform: 'ios', appVersion: '1.0.0' });
+    jest.advanceTimersByTime(60 * 1000);
+    await devices.storeVerifiedDevice('device-1', { appVersion: '1.1.0' });
+
+    expect(await devices.getVerifiedDevice('device-1')).toEqual({
+      deviceId: 'device-1',
+      firstVerifiedAt: '2025-03-15T14:00:00.000Z',
+      lastVerifiedAt: '2025-03-15T14:01:00.000Z',
+      lastSeenAt: '2025-03-15T14:01:00.000Z',
+      platform: 'ios',
+      appVersion: '1.1.0',
+      attestationVerified: true,
+      banned: false
+    });
+    expect(await devices.isDeviceVerified('device-1')).toBe(true);
+    expect(await devices.getVerifiedDevice('device-2')).toBeNull();
+  });
+
+  it('lists devices most recently seen first, with filters', async () => {
+    await devices.storeVerifiedDevice('aaa-1', { platform: 'ios', appVersion: '1.0.0' });
+    jest.advanceTimersByTime(1000);
+    await devices.storeVerifiedDevice('bbb-2', { platform: 'android', appVersion: '2.0.0' });
+    await devices.setDeviceBanned('aaa-1', true, 'scraping');
+
+    expect((await devices.listVerifiedDevices()).devices.map(device => device.deviceId)).toEqual(['bbb-2', 'aaa-1']);
+    expect(await devices.listVerifiedDevices({ platform: 'ios' })).toMatchObject({ total: 1, devices: [{ deviceId: 'aaa-1' }] });
+    expect(await devices.listVerifiedDevices({ banned: false })).toMatchObject({ total: 1, devices: [{ deviceId: 'bbb-2' }] });
+    expect(await devices.listVerifiedDevices({ search: 'AAA' })).toMatchObject({ total: 1 });
+    expect(await devices.listVerifiedDevices({ search: '2.0' })).toMatchObject({ total: 1, devices: [{ deviceId: 'bbb-2' }] });
+    expect(await devices.listVerifiedDevices({ limit: 1, offset: 1 })).toMatchObject({ total: 2, devices: [{ deviceId: 'aaa-1' }] });
+  });
+
+  it('updates last seen at most once per interval', async () => {
+    await devices.storeVerifiedDevice('device-1', { platform: 'ios' });
+    const put = jest.spyOn(devices.storage, 'put');
+
+    expect(await devices.touchVerifiedDevice('device-1')).toBe(false);
+    jest.advanceTimersByTime(59 * 60 * 1000);
+    expect(await devices.touchVerifiedDevice('device-1')).toBe(false);
+    expect(put).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(await devices.touchVerifiedDevice('device-1')).toBe(true);
+    expect(await devices.touchVerifiedDevice('device-1')).toBe(false);
+    expect(put).toHaveBeenCalledTimes(1);
+    expect((await devices.getVerifiedDevice('device-1')).lastSeenAt).toBe('2025-03-15T15:00:00.000Z');
+  });
+
+  it('does not touch unknown devices', async () => {
+    expect(await devices.touchVerifiedDevice('device-2')).toBe(false);
+  });
+
+  it('sees bans made by another instance once its cached copy is older than DEVICE_CACHE_MS', async () => {
+    const other = new DataService();
+    other.storage = devices.storage;
+    await devices.storeVerifiedDevice('device-1', { platform: 'ios' });
+    expect((await other.getVerifiedDevice('device-1')).banned).toBe(false);
+
+    await devices.setDeviceBanned('device-1', true, 'scraping');
+    expect((await devices.getVerifiedDevice('device-1')).banned).toBe(true);
+    expect((await other.getVerifiedDevice('device-1')).banned).toBe(false);
+
+    jest.advanceTimersByTime(other.deviceCacheTTL + 1);
+
+    expect(await other.getVerifiedDevice('device-1')).toMatchObject({ banned: true, banReason: 'scraping' });
+    expect(await other.isDeviceVerified('device-1')).toBe(false);
+  });
+});
+
+describe('admin ban routes', () => {
+  let server;
+
+  const admin = (method, path, options = {}) => request(server, method, path, {
+    ...options,
+    headers: { 'X-Admin-Key': 'test-admin-key', ...options.headers }
+  });
+
+  beforeAll(done => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+    app.get('/protected', verifyToken, (req, res) => res.json({ deviceId: req.user.deviceId }));
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    jest.restoreAllMocks();
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    dataService.storage = new MemoryStorageAdapter();
+    dataService.memoryCache = {};
+    tokenService.revocations = null;
+    await dataService.storeVerifiedDevice('device-1', { platform: 'ios' });
+  });
+
+  it('bans a device, revoking its tokens', async () => {
+    const { token } = await tokenService.issueTokens('device-1', 'key-1');
+    expect((await request(server, 'GET', '/protected', { token })).status).toBe(200);
+
+    const res = await admin('POST', '/api/admin/devices/device-1/ban', { body: { reason: 'scraping' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ deviceId: 'device-1', banned: true, banReason: 'scraping' });
+
+    const rejected = await request(server, 'GET', '/protected', { token });
+    expect(rejected.status).toBe(401);
+    expect(rejected.body).toEqual({ error: 'Token revoked' });
+  });
+
+  it('rejects new tokens of a banned device until it is unbanned', async () => {
+    await admin('POST', '/api/admin/devices/device-1/ban', { body: {} });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const { token } = await tokenService.issueTokens('device-1', 'key-1');
+
+    const rejected = await request(server, 'GET', '/protected', { token });
+    expect(rejected.status).toBe(403);
+    expect(rejected.body).toEqual({ error: 'Device banned' });
+
+    const res = await admin('POST', '/api/admin/devices/device-1/unban');
+    expect(res.status).toBe(200);
+    expect(res.body.banned).toBe(false);
+    expect(res.body).not.toHaveProperty('banReason');
+    expect((await request(server, 'GET', '/protected', { token })).status).toBe(200);
+  });
+
+  it('answers 404 for unknown devices and 401 without the admin key', async () => {
+    expect((await admin('POST', '/api/admin/devices/device-2/ban', { body: {} })).status).toBe(404);
+    expect((await admin('POST', '/api/admin/devices/device-2/unban')).status).toBe(404);
+    expect((await admin('POST', '/api/admin/devices/device-1/ban', { headers: { 'X-Admin-Key': 'wrong' }, body: {} })).status).toBe(401);
+    expect((await dataService.getVerifiedDevice('device-1')).banned).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../src/services/dataService', () => ({
+  history: [],
+  readFromStorage: jest.fn(async function () {
+    return this.history;
+  }),
+  publishDraws: jest.fn(async (type, draws) => ({ version: '1', totalDraws: draws.length }))
+}));
+
+const dataService = require('../src/services/dataService');
+const { DrawIngestionService } = require('../src/services/drawIngestion');
+
+describe('DrawIngestionService', () => {
+  let drawIngestion;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dataService.history = [
+      { specialBall: 3, date: '2024-01-02', numbers: [11, 12, 21, 29, 49], type: 'mega-millions' }
+    ];
+    drawIngestion = new DrawIngestionService();
+  });
+
+  it('merges new draws newest first and publishes rebuilt stats', async () => {
+    const { added } = await drawIngestion.ingestDraws('mega-millions', [
+      { date: '2024-01-09', numbers: [49, 1, 2, 3, 4], specialBall: 3 },
+      { date: '2024-01-05', numbers: [1, 12, 13, 14, 15], specialBall: 10 }
+    ]);
+
+    expect(added[0].numbers).toEqual([1, 2, 3, 4, 49]);
+
+    const [type, draws, stats] = dataService.publishDraws.mock.calls[0];
+    expect(type).toBe('mega-millions');
+    expect(draws.map(draw => draw.date)).toEqual(['2024-01-09', '2024-01-05', '2024-01-02']);
+    expect(stats.totalDraws).toBe(3);
+    expect(stats.frequency[1]).toBe(2);
+    expect(stats.frequency[49]).toBe(2);
+    expect(stats.frequencyAtPosition[0][1]).toBe(2);
+    expect(stats.specialBallFrequency[3]).toBe(2);
+  });
+
+  it('rejects the whole batch if any draw breaks the game rules', async () => {
+    const promise = drawIngestion.ingestDraws('mega-millions', [
+      { date: '2024-01-05', numbers: [1, 2, 3, 4, 5], specialBall: 10 },
+      { date: '2024-01-06', numbers: [1, 1, 3, 4, 71], specialBall: 26 }
+    ]);
+
+    await expect(promise).rejects.toMatchObject({ status: 400 });
+    const { errors } = await promise.catch(error => error);
+    expect(errors.map(error => error.msg)).toEqual([
+      '2024-01-06 is not a mega-millions draw day',
+      'numbers must be between 1 and 70',
+      'numbers must not repeat',
+      'specialBall must be between 1 and 25'
+    ]);
+    expect(errors.every(error => error.path === 'draws[1]')).toBe(true);
+    expect(dataService.publishDraws).not.toHaveBeenCalled();
+  });
+
+  it('rejects dates already in the history or repeated in the batch', async () => {
+    const error = await drawIngestion.ingestDraws('mega-millions', [
+      { date: '2024-01-02', numbers: [1, 2, 3, 4, 5], specialBall: 1 },
+      { date: '2024-01-05', numbers: [1, 2, 3, 4, 5], specialBall: 1 },
+      { date: '2024-01-05', numbers: [6, 7, 8, 9, 10], specialBall: 2 }
+    ]).catch(error => error);
+
+    expect(error.errors.map(({ msg, path }) => ({ msg, path }))).toEqual([
+      { msg: 'A mega-millions draw on 2024-01-02 already exists', path: 'draws[0]' },
+      { msg: '2024-01-05 appears more than once', path: 'draws[2]' }
+    ]);
+  });
+
+  describe('importDraws', () => {
+    const entry = (row, date, numbers, specialBall) => ({ row, draw: { date, numbers, specialBall }, errors: [] });
+
+    it('diffs feed rows against the history without writing on a dry run', async () => {
+      const result = await drawIngestion.importDraws('mega-millions', [
+        entry(2, '2024-01-02', [11, 12, 21, 29, 49], 3),
+        entry(3, '2024-01-05', [1, 2, 3, 4, 5], 7),
+        entry(4, '2024-01-05', [1, 2, 3, 4, 5], 7),
+        { row: 5, draw: null, errors: ['Missing special ball'] }
+      ], { dryRun: true });
+
+      expect(result.summary).toEqual({ rows: 4, added: 1, changed: 0, updated: 0, unchanged: 1, invalid: 1 });
+      expect(result.invalid).toEqual([{ row: 5, date: null, errors: ['Missing special ball'] }]);
+      expect(result.written).toBe(false);
+      expect(dataService.publishDraws).not.toHaveBeenCalled();
+    });
+
+    it('only replaces changed draws when asked to', async () => {
+      const rows = [entry(2, '2024-01-02', [1, 2, 3, 4, 5], 3)];
+
+      const blocked = await drawIngestion.importDraws('mega-millions', rows);
+      expect(blocked.changed).toHaveLength(1);
+      expect(blocked.written).toBe(false);
+
+      const result = await drawIngestion.importDraws('mega-millions', rows, { replace: true });
+      expect(result.written).toBe(true);
+      const [, draws] = dataService.publishDraws.mock.calls[0];
+      expect(draws).toEqual([{ specialBall: 3, date: '2024-01-02', numbers: [1, 2, 3, 4, 5], type: 'mega-millions' }]);
+    });
+
+    it('fills in payout data on existing draws without replace, but not over different values', async () => {
+      const withPayouts = { row: 2, draw: { date: '2024-01-02', numbers: [11, 12, 21, 29, 49], specialBall: 3, multiplier: 3, jackpot: 40000000 }, errors: [] };
+
+      const result = await drawIngestion.importDraws('mega-millions', [withPayouts]);
+      expect(result.updated).toEqual([expect.objectContaining({ date: '2024-01-02', fields: ['multiplier', 'jackpot'] })]);
+      expect(result.written).toBe(true);
+      const [, draws] = dataService.publishDraws.mock.calls[0];
+      expect(draws[0]).toEqual({ ...dataService.history[0], multiplier: 3, jackpot: 40000000 });
+
+      dataService.history = draws;
+      const conflicting = await drawIngestion.importDraws('mega-millions', [{ ...withPayouts, draw: { ...withPayouts.draw, multiplier: 4 } }]);
+      expect(conflicting.changed).toHaveLength(1);
+      expect(conflicting.written).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const { BUNDLE_ID, PRODUCT_ID, createChain, signTransaction } = require('./helpers/storeKit');
+
+const chain = createChain();
+process.env.APPLE_STOREKIT_ROOT_CA = chain.rootCert.toString('base64');
+process.env.APPLE_BUNDLE_ID = BUNDLE_ID;
+process.env.STOREKIT_PRODUCT_SCOPES = `${PRODUCT_ID}:premium`;
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const dataService = require('../src/services/dataService');
+const { MemoryStorageAdapter } = require('../src/services/storage');
+const tokenService = require('../src/services/tokenService');
+const authRoutes = require('../src/routes/auth');
+const adminRoutes = require('../src/routes/admin');
+const lotteryRoutes = require('../src/routes/lottery');
+const statsRoutes = require('../src/routes/stats');
+const { request } = require('./helpers/http');
+
+describe('entitlements', () => {
+  let server;
+
+  const claim = (token, signedTransaction) => request(server, 'POST', '/api/auth/entitlements', {
+    token,
+    body: { signedTransactions: [signedTransaction] }
+  });
+
+  const release = originalTransactionId => request(server, 'POST', `/api/admin/transactions/${originalTransactionId}/release`, {
+    headers: { 'X-Admin-Key': 'test-admin-key' }
+  });
+
+  const register = async (deviceId) => {
+    await dataService.storeVerifiedDevice(deviceId, { platform: 'ios' });
+    return (await tokenService.issueTokens(deviceId, `${deviceId}-key`)).token;
+  };
+
+  beforeAll(done => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/lottery', lotteryRoutes);
+    app.use('/api/stats', statsRoutes);
+    server = app.listen(0, done);
+  });
+
+  afterAll(done => {
+    jest.restoreAllMocks();
+    delete process.env.ENFORCE_ENTITLEMENTS;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    process.env.ENFORCE_ENTITLEMENTS = 'true';
+    dataService.storage = new MemoryStorageAdapter();
+    dataService.memoryCache = {};
+    tokenService.revocations = null;
+  });
+
+  it('grants the scopes of a verified transaction to the device that presents it', async () => {
+    const token = await register('device-1');
+
+    const res = await claim(token, signTransaction(chain));
+
+    expect(res.status).toBe(200);
+    expect(res.body.scopes).toEqual(['premium']);
+    expect(jwt.decode(res.body.token)).toMatchObject({ deviceId: 'device-1', scopes: ['premium'] });
+    expect(await dataService.getEntitlementScopes('device-1')).toEqual(['premium']);
+  });
+
+  it('refuses a transaction another device claimed first', async () => {
+    const signedTransaction = signTransaction(chain);
+    const owner = await register('device-1');
+    const other = await register('device-2');
+    await claim(owner, signedTransaction);
+
+    const res = await claim(other, signedTransaction);
+
+    expect(res.status).toBe(400);
+    expect(res.body.transactions[0]).toMatchObject({ verified: false, reasons: ['transaction_claimed_by_other_device'] });
+    expect(await dataService.getEntitlementScopes('device-2')).toEqual([]);
+
+    // Renewals of the owner's subscription share the original transaction ID and are still accepted
+    expect((await claim(owner, signTransaction(chain, { transactionId: '2000000000000003' }))).status).toBe(200);
+  });
+
+  it('lets another device claim a transaction once an admin released it', async () => {
+    const signedTransaction = signTransaction(chain);
+    const owner = await register('device-1');
+    const other = await register('device-2');
+    await claim(owner, signedTransaction);
+
+    const released = await release('2000000000000001');
+
+    expect(released.status).toBe(200);
+    expect(released.body).toMatchObject({ originalTransactionId: '2000000000000001', deviceId: 'device-1' });
+    expect(await dataService.getEntitlementScopes('device-1')).toEqual([]);
+    expect((await claim(other, signedTransaction)).status).toBe(200);
+    expect((await release('unknown')).status).toBe(404);
+  });
+
+  it('requires premium for random numbers', async () => {
+    const token = await register('device-1');
+
+    expect((await request(server, 'GET', '/api/lottery/generate-random?type=powerball', { token })).status).toBe(402);
+
+    const { body } = await claim(token, signTransaction(chain));
+    expect((await request(server, 'GET', '/api/lottery/generate-random?type=powerball', { token: body.token })).status).toBe(200);
+  });
+
+  it('only requires premium for per-era statistics', async () => {
+    const token = await register('device-1');
+
+    expect((await request(server, 'GET', '/api/stats?type=powerball', { token })).status).not.toBe(402);
+    expect((await request(server, 'GET', '/api/stats?type=powerball&era=current', { token })).status).toBe(402);
+    expect((await request(server, 'GET', '/api/stats?type=powerball&groupBy=era', { token })).status).toBe(402);
+
+    const { body } = await claim(token, signTransaction(chain));
+    expect((await request(server, 'GET', '/api/stats?type=powerball&groupBy=era', { token: body.token })).status).not.toBe(402);
+  });
+
+  it('lets every request through while ENFORCE_ENTITLEMENTS is off', async () => {
+    delete process.env.ENFORCE_ENTITLEMENTS;
+    const token = await register('device-1');
+
+    expect((await request(server, 'GET', '/api/lottery/generate-random?type=powerball', { token })).status).toBe(200);
+    expect((await request(server, 'GET', '/api/stats?type=powerball&groupBy=era', { token })).status).not.toBe(402);
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GameRegistry } = require('../src/services/gameRegistry');
+
+const game = {
+  slug: 'lotto-america',
+  name: 'Lotto America',
+  files: { draws: 'la.json', stats: 'la-stats.json' },
+  numberCount: 5,
+  specialBall: 'Star Ball',
+  drawDays: [{ from: '2017-11-15', days: [1, 3, 6] }],
+  drawTime: '22:00',
+  timeZone: 'America/Chicago',
+  eras: [{ from: '2017-11-15', maxNumber: 52, maxSpecialBall: 10, price: 1 }]
+};
+
+describe('GameRegistry', () => {
+  it('loads the shipped definitions', () => {
+    const registry = new GameRegistry();
+
+    expect(registry.getTypes()).toEqual(['mega-millions', 'powerball']);
+    expect(registry.getFileMap()).toMatchObject({ 'mega-millions': 'mm.json', 'powerball-stats': 'pb-stats.json' });
+  });
+
+  it('reads games from the definitions file it is given', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'games-'));
+    const file = path.join(dir, 'games.json');
+    fs.writeFileSync(file, JSON.stringify({ games: [game] }));
+
+    const registry = new GameRegistry(file);
+    fs.rmSync(dir, { recursive: true });
+
+    expect(registry.getTypes()).toEqual(['lotto-america']);
+    expect(registry.get('lotto-america').specialBall).toBe('Star Ball');
+    expect(registry.get('powerball')).toBeNull();
+  });
+
+  it('versions the definitions, changing with any game', () => {
+    const registry = new GameRegistry();
+    const shipped = registry.getVersion();
+
+    expect(new GameRegistry().getVersion()).toBe(shipped);
+
+    registry.load({ games: [game] });
+    const version = registry.getVersion();
+    registry.load({ games: [{ ...game, eras: [{ ...game.eras[0], maxNumber: 53 }] }] });
+
+    expect(version).not.toBe(shipped);
+    expect(registry.getVersion()).not.toBe(version);
+  });
+
+  it('requires a draw time and a known time zone', () => {
+    const registry = new GameRegistry();
+
+    expect(() => registry.load({ games: [{ ...game, drawTime: '10pm', timeZone: 'Central' }] })).toThrow([
+      'Invalid game definitions:',
+      'lotto-america: drawTime must be a 24-hour HH:MM time',
+      'lotto-america: timeZone must be an IANA time zone, e.g. America/New_York'
+    ].join('\n'));
+  });
+
+  it('rejects invalid definitions, listing every problem', () => {
+    const registry = new GameRegistry();
+    const broken = {
+      ...game,
+      slug: 'cash4life',
+      files: { draws: 'la.json', stats: 'c4l-stats.json' },
+      eras: [{ from: '2014-06-16', maxNumber: 3, maxSpecialBall: 4, price: 2, prizeTable: [{ tier: '6+1', prize: 'jackpot' }] }]
+    };
+
+    expect(() => registry.load({ games: [game, broken] })).toThrow([
+      'Invalid game definitions:',
+      'cash4life: era 2014-06-16: maxNumber must be a whole number of at least numberCount',
+      'cash4life: era 2014-06-16: prizeTable must list {tier, prize} with tiers like 5+1 and prizes in dollars or "jackpot"',
+      'cash4life: file la.json is used by another game'
+    ].join('\n'));
+    expect(registry.getTypes()).toEqual(['mega-millions', 'powerball']);
+  });
+});
@@ -0,0 +1,68 @@
+const { getEras, getGameRules, getHistoricalRanges, validateDraw } = require('../src/utils/gameRules');
+
+describe('getGameRules', () => {
+  it('returns the era in effect on the date', () => {
+    expect(getGameRules('mega-millions', '2017-10-27')).toMatchObject({ era: '2013-10-22', maxNumber: 75, maxSpecialBall: 15 });
+    expect(getGameRules('mega-millions', '2017-10-31')).toMatchObject({ era: '2017-10-31', maxNumber: 70, maxSpecialBall: 25, price: 2 });
+    expect(getGameRules('mega-millions', '2025-04-08')).toMatchObject({ maxSpecialBall: 24, price: 5 });
+    expect(getGameRules('mega-millions', '2001-01-01')).toBeNull();
+  });
+
+  it('follows draw day changes', () => {
+    expect(getGameRules('powerball', '2021-08-21').drawDays).toEqual([3, 6]);
+    expect(getGameRules('powerball', '2021-08-23').drawDays).toEqual([1, 3, 6]);
+  });
+});
+
+describe('getEras', () => {
+  it('ends each era the day before the next one starts', () => {
+    const eras = getEras('mega-millions');
+
+    expect(eras.find(era => era.from === '2013-10-22').to).toBe('2017-10-30');
+    expect(eras[eras.length - 1].to).toBeNull();
+  });
+});
+
+describe('getHistoricalRanges', () => {
+  it('covers every era', () => {
+    expect(getHistoricalRanges('mega-millions')).toEqual({ maxNumber: 75, maxSpecialBall: 52 });
+  });
+});
+
+describe('validateDraw', () => {
+  it('checks ranges against the era of the draw', () => {
+    expect(validateDraw('mega-millions', { date: '2016-01-05', numbers: [1, 2, 3, 4, 75], specialBall: 15 })).toEqual([]);
+    expect(validateDraw('mega-millions', { date: '2025-04-11', numbers: [1, 2, 3, 4, 70], specialBall: 25 }))
+      .toEqual(['specialBall must be between 1 and 24']);
+  });
+
+  it('rejects Monday Powerball draws before they were held', () => {
+    expect(validateDraw('powerball', { date: '2021-08-16', numbers: [1, 2, 3, 4, 5], specialBall: 1 }))
+      .toEqual(['2021-08-16 is not a powerball draw day']);
+  });
+
+  it('checks payout data against the era of the draw', () => {
+    const draw = { date: '2025-04-11', numbers: [1, 2, 3, 4, 5], specialBall: 1 };
+
+    expect(validateDraw('mega-millions', {
+      ...draw,
+      multiplier: 10,
+      jackpot: 50000000,
+      cashValue: 22900000,
+      prizeTiers: [{ tier: '5+1', winners: 0 }, { tier: '5+0', winners: 2, prize: 1000000 }]
+    })).toEqual([]);
+    expect(validateDraw('mega-millions', { ...draw, date: '2016-01-05', multiplier: 10 }))
+      .toEqual(['multiplier must be one of 2, 3, 4, 5']);
+    expect(validateDraw('mega-millions', { ...draw, date: '2011-01-21', multiplier: 3 })).toEqual([]);
+    expect(validateDraw('mega-millions', { ...draw, date: '2010-12-31', multiplier: 3 }))
+      .toEqual(['multiplier is not part of the game in this era']);
+    expect(validateDraw('mega-millions', {
+      ...draw,
+      jackpot: 1000,
+      cashValue: 2000,
+      prizeTiers: [{ tier: '5+1', winners: 0 }, { tier: '5+1', winners: 1 }]
+    })).toEqual(['cashValue must not be more than the jackpot', 'prizeTiers must not repeat a tier']);
+    expect(validateDraw('mega-millions', { ...draw, prizeTiers: [{ tier: '2+0', winners: 100 }] }))
+      .toEqual(["prizeTiers has tiers the game didn't pay in this era: 2+0"]);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Builders for synthetic App Attest attestation objects
+ * Creates a throwaway root and intermediate CA and signs credential certificates
+ * the same way Apple does, so the verifier can be exercised without a device
+ */
+
+const crypto = require('crypto');
+const cbor = require('cbor');
+const asn1 = require('asn1.js');
+
+const OID = {
+  commonName: [2, 5, 4, 3],
+  ecdsaWithSHA256: [1, 2, 840, 10045, 4, 3, 2],
+  appAttestNonce: [1, 2, 840, 113635, 100, 8, 2]
+};
+
+const AlgorithmIdentifier = asn1.define('AlgorithmIdentifier', function() {
+  this.seq().obj(
+    this.key('algorithm').objid()
+  );
+});
+
+const AttributeTypeAndValue = asn1.define('AttributeTypeAndValue', function() {
+  this.seq().obj(
+    this.key('type').objid(),
+    this.key('value').utf8str()
+  );
+});
+
+const RelativeDistinguishedName = asn1.define('RelativeDistinguishedName', function() {
+  this.setof(AttributeTypeAndValue);
+});
+
+const Name = asn1.define('Name', function() {
+  this.seqof(RelativeDistinguishedName);
+});
+
+const Validity = asn1.define('Validity', function() {
+  this.seq().obj(
+    this.key('notBefore').utctime(),
+    this.key('notAfter').utctime()
+  );
+});
+
+const Extension = asn1.define('Extension', function() {
+  this.seq().obj(
+    this.key('extnID').objid(),
+    this.key('extnValue').octstr()
+  );
+});
+
+const TBSCertificate = asn1.define('TBSCertificate', function() {
+  this.seq().obj(
+    this.key('version').explicit(0).int(),
+    this.key('serialNumber').int(),
+    this.key('signature').use(AlgorithmIdentifier),
+    this.key('issuer').use(Name),
+    this.key('validity').use(Validity),
+    this.key('subject').use(Name),
+    this.key('subjectPublicKeyInfo').any(),
+    this.key('extensions').explicit(3).seqof(Extension).optional()
+  );
+});
+
+const Certificate = asn1.define('Certificate', function() {
+  this.seq().obj(
+    this.key('tbsCertificate').any(),
+    this.key('signatureAlgorithm').use(AlgorithmIdentifier),
+    this.key('signatureValue').bitstr()
+  );
+});
+
+const AppAttestNonce = asn1.define('AppAttestNonce', function() {
+  this.seq().obj(
+    this.key('nonce').explicit(1).octstr()
+  );
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const commonName = (cn) => [[{ type: OID.commonName, value: cn }]];
+
+/**
+ * Create a DER encoded certificate signed with ECDSA P-256 / SHA-256
+ * @param {Object} options
+ * @param {string} options.subject - Subject common name
+ * @param {string} options.issuer - Issuer common name
+ * @param {crypto.KeyObject} options.publicKey - Subject public key
+ * @param {crypto.KeyObject} options.signingKey - Issuer private key
+ * @param {Array<Object>} [options.extensions] - Extra extensions
+ * @returns {Buffer} DER encoded certificate
+ */
+const createCertificate = ({ subject, issuer, publicKey, signingKey, extensions }) => {
+  const now = Date.now();
+  const tbs = TBSCertificate.encode({
+    version: 2,
+    // Kept below 2^31, asn1.js encodes larger JS numbers incorrectly
+    serialNumber: crypto.randomInt(1, 2 ** 31 - 1),
+    signature: { algorithm: OID.ecdsaWithSHA256 },
+    issuer: commonName(issuer),
+    validity: { notBefore: now - DAY_MS, notAfter: now + 365 * DAY_MS },
+    subject: commonName(subject),
+    subjectPublicKeyInfo: publicKey.export({ type: 'spki', format: 'der' }),
+    extensions
+  }, 'der');
+
+  return Certificate.encode({
+    tbsCertificate: tbs,
+    signatureAlgorithm: { algorithm: OID.ecdsaWithSHA256 },
+    signatureValue: { unused: 0, data: crypto.sign('sha256', tbs, signingKey) }
+  }, 'der');
+};
+
+const generateKeyPair = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+/**
+ * Create a root CA and an App Attestation intermediate CA
+ * @returns {{rootCert: Buffer, intermediateCert: Buffer, intermediateKey: crypto.KeyObject}}
+ */
+const createTestCA = () => {
+  const root = generateKeyPair();
+  const intermediate = generateKeyPair();
+
+  const rootCert = createCertificate({
+    subject: 'Test App Attestation Root CA',
+    issuer: 'Test App Attestation Root CA',
+    publicKey: root.publicKey,
+    signingKey: root.privateKey
+  });
+
+  const intermediateCert = createCertificate({
+    subject: 'Apple App Attestation CA 1',
+    issuer: 'Test App Attestation Root CA',
+    publicKey: intermediate.publicKey,
+    signingKey: root.privateKey
+  });
+
+  return { rootCert, intermediateCert, intermediateKey: intermediate.privateKey };
+};
+
+/**
+ * Get the uncompressed EC point (0x04 || X || Y) of a public key
+ * @param {crypto.KeyObject} publicKey
+ * @returns {Buffer}
+ */
+const rawPublicKey = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  return Buffer.concat([
+    Buffer.from([0x04]),
+    Buffer.from(jwk.x, 'base64url'),
+    Buffer.from(jwk.y, 'base64url')
+  ]);
+};
+
+/**
+ * Build authenticator data in the App Attest layout
+ * @param {Object} options
+ * @returns {Buffer}
+ */
+const createAuthData = ({ rpId, counter = 0, aaguid = 'appattest', credentialId }) => {
+  const counterBuffer = Buffer.alloc(4);
+  counterBuffer.writeUInt32BE(counter);
+
+  const aaguidBuffer = Buffer.alloc(16);
+  aaguidBuffer.write(aaguid, 'utf8');
+
+  const credentialIdLength = Buffer.alloc(2);
+  credentialIdLength.writeUInt16BE(credentialId.length);
+
+  return Buffer.concat([
+    crypto.createHash('sha256').update(rpId).digest(),
+    Buffer.from([0x40]),
+    counterBuffer,
+    aaguidBuffer,
+    credentialIdLength,
+    credentialId
+  ]);
+};
+
+/**
+ * Create a CBOR encoded attestation object for a fresh App Attest key
+ * @param {Object} options
+ * @param {Object} options.ca - Result of createTestCA
+ * @param {string} options.challenge - Challenge the nonce is computed from
+ * @param {string} options.teamId - Apple team ID
+ * @param {string} options.bundleId - App bundle ID
+ * @param {Object} [options.authData] - Overrides for createAuthData
+ * @param {boolean} [options.omitNonce] - Leave the nonce extension out of the leaf certificate
+ * @returns {{attestation: Buffer, keyId: string, keyPair: Object}}
+ */
+const createAttestation = ({ ca, challenge, teamId, bundleId, authData: authDataOptions = {}, omitNonce = false }) => {
+  const keyPair = generateKeyPair();
+  const keyIdBuffer = crypto.createHash('sha256').update(rawPublicKey(keyPair.publicKey)).digest();
+
+  const authData = createAuthData({
+    rpId: `${teamId}.${bundleId}`,
+    credentialId: keyIdBuffer,
+    ...authDataOptions
+  });
+
+  const clientDataHash = crypto.createHash('sha256').update(Buffer.from(challenge, 'utf8')).digest();
+  const nonce = crypto.createHash('sha256').update(Buffer.concat([authData, clientDataHash])).digest();
+
+  const leafCert = createCertificate({
+    subject: keyIdBuffer.toString('hex'),
+    issuer: 'Apple App Attestation CA 1',
+    publicKey: keyPair.publicKey,
+    signingKey: ca.intermediateKey,
+    extensions: omitNonce ? [] : [{
+      extnID: OID.appAttestNonce,
+      extnValue: AppAttestNonce.encode({ nonce }, 'der')
+    }]
+  });
+
+  const attestation = cbor.encode({
+    fmt: 'apple-appattest',
+    attStmt: {
+      x5c: [leafCert, ca.intermediateCert],
+      receipt: crypto.randomBytes(64)
+    },
+    authData
+  });
+
+  return { attestation, keyId: keyIdBuffer.toString('base64'), keyPair };
+};
+
+/**
+ * Create a CBOR encoded assertion signed with an attested key
+ * @param {Object} options
+ * @param {Object} options.keyPair - Key pair returned by createAttestation
+ * @param {string|Buffer} options.clientData - Data the assertion covers
+ * @param {number} options.counter - Sign counter
+ * @param {string} options.teamId - Apple team ID
+ * @param {string} options.bundleId - App bundle ID
+ * @returns {Buffer}
+ */
+const createAssertion = ({ keyPair, clientData, counter, teamId, bundleId }) => {
+  const counterBuffer = Buffer.alloc(4);
+  counterBuffer.writeUInt32BE(counter);
+
+  const authenticatorData = Buffer.concat([
+    crypto.createHash('sha256').update(`${teamId}.${bundleId}`).digest(),
+    Buffer.from([0x00]),
+    counterBuffer
+  ]);
+
+  const clientDataHash = crypto.createHash('sha256').update(clientData).digest();
+  const nonce = crypto.createHash('sha256').update(Buffer.concat([authenticatorData, clientDataHash])).digest();
+
+  return cbor.encode({
+    signature: crypto.sign('sha256', nonce, keyPair.privateKey),
+    authenticatorData
+  });
+};
+
+module.exports = {
+  createCertificate,
+  generateKeyPair,
+  createTestCA,
+  createAttestation,
+  createAssertion,
+  createAuthData,
+  rawPublicKey
+};
@@ -0,0 +1,49 @@
+/**
+ * Minimal HTTP client for exercising an Express app started with app.listen(0)
+ * Sends JSON bodies and parses JSON responses, so tests can assert on plain objects
+ */
+
+const http = require('http');
+
+/**
+ * Sends a request to a listening server
+ *
+ * @param {http.Server} server - Server started with app.listen(0)
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path and query
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {string} [options.token] - Sent as a Bearer token in the Authorization header
+ * @param {Object} [options.body] - Sent as a JSON request body
+ * @returns {Promise<{status: number, headers: Object, body: *}>} The response, with a JSON body parsed
+ */
+const request = (server, method, path, { headers = {}, token, body } = {}) => new Promise((resolve, reject) => {
+  const req = http.request({
+    port: server.address().port,
+    method,
+    path,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    }
+  }, res => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => {
+      const isJson = /application\/json/.test(res.headers['content-type'] || '');
+      resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: isJson && data ? JSON.parse(data) : data
+      });
+    });
+  });
+  req.on('error', reject);
+  req.end(body !== undefined ? JSON.stringify(body) : undefined);
+});
+
+module.exports = {
+  request
+};
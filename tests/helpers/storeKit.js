@@ -0,0 +1,63 @@
+/**
+ * Builders for synthetic StoreKit 2 signed transactions
+ * Creates a throwaway root, WWDR-style intermediate and StoreKit-style leaf certificate
+ * and signs transactions with the leaf, the same way the App Store does
+ */
+
+const jwt = require('jsonwebtoken');
+const { createCertificate, generateKeyPair } = require('./attestation');
+
+const BUNDLE_ID = 'com.example.jackpotiq';
+const PRODUCT_ID = 'com.example.jackpotiq.premium.monthly';
+const DER_NULL = Buffer.from([0x05, 0x00]);
+
+/**
+ * Create a root, WWDR-style intermediate and StoreKit-style leaf certificate
+ */
+const createChain = ({ leafExtension = true } = {}) => {
+  const root = generateKeyPair();
+  const intermediate = generateKeyPair();
+  const leaf = generateKeyPair();
+
+  const rootCert = createCertificate({
+    subject: 'Test Apple Root CA - G3',
+    issuer: 'Test Apple Root CA - G3',
+    publicKey: root.publicKey,
+    signingKey: root.privateKey
+  });
+  const intermediateCert = createCertificate({
+    subject: 'Test Apple WWDR CA',
+    issuer: 'Test Apple Root CA - G3',
+    publicKey: intermediate.publicKey,
+    signingKey: root.privateKey,
+    extensions: [{ extnID: [1, 2, 840, 113635, 100, 6, 2, 1], extnValue: DER_NULL }]
+  });
+  const leafCert = createCertificate({
+    subject: 'Test StoreKit Signing',
+    issuer: 'Test Apple WWDR CA',
+    publicKey: leaf.publicKey,
+    signingKey: intermediate.privateKey,
+    extensions: leafExtension ? [{ extnID: [1, 2, 840, 113635, 100, 6, 11, 1], extnValue: DER_NULL }] : []
+  });
+
+  return { rootCert, x5c: [leafCert, intermediateCert, rootCert].map(der => der.toString('base64')), leafKey: leaf.privateKey };
+};
+
+const signTransaction = (chain, overrides = {}) => jwt.sign({
+  transactionId: '2000000000000002',
+  originalTransactionId: '2000000000000001',
+  bundleId: BUNDLE_ID,
+  productId: PRODUCT_ID,
+  purchaseDate: Date.now() - 1000,
+  expiresDate: Date.now() + 30 * 24 * 60 * 60 * 1000,
+  environment: 'Production',
+  signedDate: Date.now(),
+  ...overrides
+}, chain.leafKey, { algorithm: 'ES256', header: { alg: 'ES256', x5c: chain.x5c }, noTimestamp: true });
+
+module.exports = {
+  BUNDLE_ID,
+  PRODUCT_ID,
+  createChain,
+  signTransaction
+};
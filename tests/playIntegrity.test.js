@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PACKAGE_NAME = 'com.example.jackpotiq';
+const CERT_DIGEST = crypto.createHash('sha256').update('signing-cert').digest('base64url');
+const CHALLENGE = crypto.randomBytes(32).toString('base64');
+
+/**
+ * Encrypt a JWS into a compact A256KW / A256GCM JWE, as the Play Integrity API does
+ */
+const encrypt = (jws, decryptionKey) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'A256KW', enc: 'A256GCM' })).toString('base64url');
+  const contentKey = crypto.randomBytes(32);
+
+  const keyCipher = crypto.createCipheriv('id-aes256-wrap', decryptionKey, Buffer.from('A6A6A6A6A6A6A6A6', 'hex'));
+  const encryptedKey = Buffer.concat([keyCipher.update(contentKey), keyCipher.final()]);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+  cipher.setAAD(Buffer.from(header, 'ascii'));
+  const ciphertext = Buffer.concat([cipher.update(jws, 'utf8'), cipher.final()]);
+
+  return [header, encryptedKey, iv, ciphertext, cipher.getAuthTag()]
+    .map(part => typeof part === 'string' ? part : part.toString('base64url'))
+    .join('.');
+};
+
+describe('PlayIntegrityService', () => {
+  let service;
+  let decryptionKey;
+  let signingKey;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    decryptionKey = crypto.randomBytes(32);
+    const keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    signingKey = keyPair.privateKey;
+
+    process.env.PLAY_INTEGRITY_DECRYPTION_KEY = decryptionKey.toString('base64');
+    process.env.PLAY_INTEGRITY_VERIFICATION_KEY = keyPair.publicKey
+      .export({ type: 'spki', format: 'der' })
+      .toString('base64');
+    process.env.PLAY_INTEGRITY_PACKAGE_NAME = PACKAGE_NAME;
+    process.env.PLAY_INTEGRITY_CERT_DIGESTS = CERT_DIGEST;
+
+    const { PlayIntegrityService } = require('../src/services/playIntegrity');
+    service = new PlayIntegrityService();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createToken = ({ requestDetails = {}, appIntegrity = {}, deviceIntegrity = {} } = {}, key = signingKey) => {
+    const payload = {
+      requestDetails: {
+        requestPackageName: PACKAGE_NAME,
+        nonce: crypto.createHash('sha256').update(CHALLENGE + 'install-1').digest('base64url'),
+        timestampMillis: String(Date.now()),
+        ...requestDetails
+      },
+      appIntegrity: {
+        appRecognitionVerdict: 'PLAY_RECOGNIZED',
+        packageName: PACKAGE_NAME,
+        certificateSha256Digest: [CERT_DIGEST],
+        ...appIntegrity
+      },
+      deviceIntegrity: {
+        deviceRecognitionVerdict: ['MEETS_DEVICE_INTEGRITY'],
+        ...deviceIntegrity
+      }
+    };
+    return encrypt(jwt.sign(payload, key, { algorithm: 'ES256' }), decryptionKey);
+  };
+
+  it('accepts a token with passing verdicts for the issued challenge', async () => {
+    const result = await service.verifyIntegrityToken(createToken(), CHALLENGE, 'install-1');
+
+    expect(result.verified).toBe(true);
+    expect(result.reasons).toEqual([]);
+    expect(result.deviceId).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('rejects a token requested for a different challenge', async () => {
+    const otherChallenge = crypto.randomBytes(32).toString('base64');
+
+    const result = await service.verifyIntegrityToken(createToken(), otherChallenge, 'install-1');
+
+    expect(result).toEqual({ verified: false, reasons: ['challenge_mismatch'] });
+  });
+
+  it('rejects a valid token sent with a different key ID', async () => {
+    const result = await service.verifyIntegrityToken(createToken(), CHALLENGE, 'install-2');
+
+    expect(result).toEqual({ verified: false, reasons: ['challenge_mismatch'] });
+  });
+
+  it('rejects a token requested with the bare challenge as nonce', async () => {
+    const token = createToken({ requestDetails: { nonce: Buffer.from(CHALLENGE, 'base64').toString('base64url') } });
+
+    const result = await service.verifyIntegrityToken(token, CHALLENGE, 'install-1');
+
+    expect(result).toEqual({ verified: false, reasons: ['challenge_mismatch'] });
+  });
+
+  it('reports every failed verdict', async () => {
+    const token = createToken({
+      appIntegrity: { appRecognitionVerdict: 'UNRECOGNIZED_VERSION', certificateSha256Digest: ['other'] },
+      deviceIntegrity: { deviceRecognitionVerdict: [] }
+    });
+
+    const result = await service.verifyIntegrityToken(token, CHALLENGE, 'install-1');
+
+    expect(result.reasons).toEqual([
+      'app_not_recognized',
+      'certificate_digest_mismatch',
+      'device_integrity_failed'
+    ]);
+  });
+
+  it('rejects a stale token', async () => {
+    const token = createToken({ requestDetails: { timestampMillis: String(Date.now() - 60 * 60 * 1000) } });
+
+    const result = await service.verifyIntegrityToken(token, CHALLENGE, 'install-1');
+
+    expect(result.reasons).toEqual(['token_expired']);
+  });
+
+  it('rejects a token signed with another key', async () => {
+    const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+
+    const result = await service.verifyIntegrityToken(createToken({}, otherKey), CHALLENGE, 'install-1');
+
+    expect(result.reasons).toEqual(['signature_invalid']);
+  });
+
+  it('rejects a token that cannot be decrypted', async () => {
+    const parts = createToken().split('.');
+    parts[3] = crypto.randomBytes(64).toString('base64url');
+
+    const result = await service.verifyIntegrityToken(parts.join('.'), CHALLENGE, 'install-1');
+
+    expect(result.reasons).toEqual(['decryption_failed']);
+  });
+});
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PushAuthService } = require('../src/services/pushAuth');
+
+describe('PushAuthService', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const serviceAccount = 'pubsub-push@jackpot-iq.iam.gserviceaccount.com';
+  const audience = 'https://api.example.com/api/notifications/gcs';
+  let pushAuth;
+
+  const sign = (claims = {}, kid = 'key-1') => jwt.sign(
+    { email: serviceAccount, email_verified: true, ...claims },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, audience, issuer: 'https://accounts.google.com', expiresIn: 300 }
+  );
+
+  beforeEach(() => {
+    process.env.PUBSUB_PUSH_AUDIENCE = audience;
+    process.env.PUBSUB_PUSH_SERVICE_ACCOUNT = serviceAccount;
+    pushAuth = new PushAuthService();
+    pushAuth.fetchKeys = jest.fn(async () => ({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }], maxAge: 3600 }));
+  });
+
+  afterEach(() => {
+    delete process.env.PUBSUB_PUSH_AUDIENCE;
+    delete process.env.PUBSUB_PUSH_SERVICE_ACCOUNT;
+  });
+
+  it('accepts tokens issued to the configured service account, fetching keys once', async () => {
+    expect((await pushAuth.verifyToken(sign())).email).toBe(serviceAccount);
+    await pushAuth.verifyToken(sign());
+
+    expect(pushAuth.fetchKeys).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects tokens for another audience or service account', async () => {
+    await expect(pushAuth.verifyToken(jwt.sign({ email: serviceAccount, email_verified: true }, privateKey, {
+      algorithm: 'RS256', keyid: 'key-1', audience: 'https://elsewhere.example.com', issuer: 'https://accounts.google.com'
+    }))).rejects.toMatchObject({ code: 'INVALID_PUSH_TOKEN' });
+    await expect(pushAuth.verifyToken(sign({ email: 'someone@example.com' }))).rejects.toMatchObject({ code: 'INVALID_PUSH_TOKEN' });
+    await expect(pushAuth.verifyToken(sign({ email_verified: false }))).rejects.toMatchObject({ code: 'INVALID_PUSH_TOKEN' });
+  });
+
+  it('rejects tokens signed with keys Google does not list, without refetching every time', async () => {
+    await pushAuth.verifyToken(sign());
+
+    await expect(pushAuth.verifyToken(sign({}, 'key-2'))).rejects.toThrow('Unknown push token key: key-2');
+    await expect(pushAuth.verifyToken(sign({}, 'key-2'))).rejects.toMatchObject({ code: 'INVALID_PUSH_TOKEN' });
+    expect(pushAuth.fetchKeys).toHaveBeenCalledTimes(1);
+  });
+
+  it('is only configured with an audience and a service account', () => {
+    delete process.env.PUBSUB_PUSH_SERVICE_ACCOUNT;
+
+    expect(new PushAuthService().isConfigured()).toBe(false);
+    expect(pushAuth.isConfigured()).toBe(true);
+  });
+});
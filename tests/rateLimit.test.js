@@ -0,0 +1,67 @@
+jest.mock('../src/services/dataService', () => ({
+  getVerifiedDevice: jest.fn(async deviceId => ({ deviceId, attestationVerified: true, banned: false })),
+  touchVerifiedDevice: jest.fn(async () => false)
+}));
+
+jest.mock('../src/services/tokenService', () => ({
+  verifyAccessToken: jest.fn(async token => {
+    if (!token.startsWith('device-')) {
+      throw new Error('invalid token');
+    }
+    return { deviceId: token, keyId: `${token}-key` };
+  })
+}));
+
+const express = require('express');
+const { request } = require('./helpers/http');
+
+describe('rate limiting', () => {
+  let server;
+  let tokenService;
+
+  const get = token => request(server, 'GET', '/api/stats', { token });
+
+  beforeEach(done => {
+    process.env.RATE_LIMIT_IP_MAX = '4';
+    process.env.RATE_LIMIT_STATS_MAX = '1';
+
+    // Fresh limiters, and counters, for every test
+    jest.isolateModules(() => {
+      tokenService = require('../src/services/tokenService');
+      const { verifyToken } = require('../src/middleware/auth');
+      const { ipLimiter, statsLimiter } = require('../src/middleware/rateLimit');
+
+      const app = express();
+      app.get('/api/stats', ipLimiter, verifyToken, statsLimiter, (req, res) => {
+        res.json({ deviceId: req.user.deviceId });
+      });
+      server = app.listen(0, done);
+    });
+    jest.clearAllMocks();
+  });
+
+  afterEach(done => {
+    delete process.env.RATE_LIMIT_IP_MAX;
+    delete process.env.RATE_LIMIT_STATS_MAX;
+    server.close(done);
+  });
+
+  it('limits authenticated requests per device', async () => {
+    expect((await get('device-a')).status).toBe(200);
+    expect((await get('device-a')).status).toBe(429);
+    expect((await get('device-b')).status).toBe(200);
+  });
+
+  it('limits requests per IP before the token is checked, so invalid tokens are limited too', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect((await get('forged')).status).toBe(401);
+    }
+
+    const res = await get('forged');
+
+    expect(res.status).toBe(429);
+    expect(res.body).toEqual({ error: 'Too many requests' });
+    expect(tokenService.verifyAccessToken).toHaveBeenCalledTimes(4);
+    expect((await get('device-a')).status).toBe(429);
+  });
+});
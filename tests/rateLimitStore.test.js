@@ -0,0 +1,172 @@
+const net = require('net');
+const {
+  createRedisClient,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+} = require('../src/services/rateLimitStore');
+
+describe('MemoryRateLimitStore', () => {
+  it('counts hits per key within a window', async () => {
+    const store = new MemoryRateLimitStore();
+    store.init({ windowMs: 60 * 1000 });
+
+    await store.increment('device:a');
+    const { totalHits, resetTime } = await store.increment('device:a');
+    const other = await store.increment('device:b');
+
+    expect(totalHits).toBe(2);
+    expect(resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect(other.totalHits).toBe(1);
+  });
+
+  it('starts a new window once the previous one has ended', async () => {
+    const store = new MemoryRateLimitStore();
+    store.init({ windowMs: 10 });
+
+    await store.increment('ip:1');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect((await store.increment('ip:1')).totalHits).toBe(1);
+  });
+});
+
+/**
+ * Decode the commands a client sent, as arrays of bulk strings
+ * @returns {{commands: Array<Array<string>>, rest: Buffer}} Complete commands and the bytes after them
+ */
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    const lines = [];
+    let position = offset;
+    const header = buffer.indexOf('\r\n', position);
+    if (header === -1) {
+      break;
+    }
+    const count = parseInt(buffer.toString('utf8', position + 1, header));
+    position = header + 2;
+    for (let i = 0; i < count; i++) {
+      const lengthEnd = buffer.indexOf('\r\n', position);
+      if (lengthEnd === -1) {
+        break;
+      }
+      const length = parseInt(buffer.toString('utf8', position + 1, lengthEnd));
+      if (buffer.length < lengthEnd + 2 + length + 2) {
+        break;
+      }
+      lines.push(buffer.toString('utf8', lengthEnd + 2, lengthEnd + 2 + length));
+      position = lengthEnd + 2 + length + 2;
+    }
+    if (lines.length < count) {
+      break;
+    }
+    commands.push(lines);
+    offset = position;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+describe('RedisRateLimitStore', () => {
+  const counters = new Map();
+  const clients = [];
+  const sockets = new Set();
+  let server;
+  let port;
+  // How the fake server answers EVAL: like the increment script would, garbage, or not at all
+  let evalReply;
+
+  const connect = async (url = `redis://127.0.0.1:${port}`, options) => {
+    // A client disconnected while reconnecting otherwise waits out the default 2 seconds for a socket that is already gone
+    const client = createRedisClient(url, { disconnectTimeout: 10, ...options });
+    clients.push(client);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return client;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        const { commands, rest } = parseCommands(Buffer.concat([buffer, chunk]));
+        buffer = rest;
+        for (const [name, , , key] of commands) {
+          if (name.toUpperCase() === 'EVAL') {
+            evalReply(socket, key);
+          } else {
+            socket.write('+OK\r\n');
+          }
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(() => {
+    for (const client of clients.splice(0)) {
+      client.disconnect();
+    }
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    evalReply = (socket, key) => {
+      counters.set(key, (counters.get(key) || 0) + 1);
+      socket.write(`*2\r\n:${counters.get(key)}\r\n:60000\r\n`);
+    };
+  });
+
+  it('shares counters through the server, with a prefix per limiter', async () => {
+    const store = new RedisRateLimitStore(await connect(), 'rate-limit:stats:');
+    store.init({ windowMs: 60000 });
+
+    await store.increment('device:a');
+    const { totalHits, resetTime } = await store.increment('device:a');
+
+    expect(totalHits).toBe(2);
+    expect(resetTime.getTime()).toBeGreaterThan(Date.now() + 59000);
+    expect(counters.get('rate-limit:stats:device:a')).toBe(2);
+  });
+
+  it('lets requests through when the server cannot be reached', async () => {
+    const store = new RedisRateLimitStore(await connect('redis://127.0.0.1:1'), 'rate-limit:stats:');
+
+    const { totalHits } = await store.increment('device:a');
+
+    expect(totalHits).toBe(0);
+  });
+
+  it('lets requests through when the server sends a malformed reply, and reconnects', async () => {
+    evalReply = socket => socket.write('?not a reply\r\n');
+    const client = await connect();
+    const store = new RedisRateLimitStore(client, 'rate-limit:stats:');
+
+    expect((await store.increment('device:b')).totalHits).toBe(0);
+
+    evalReply = (socket) => socket.write('*2\r\n:1\r\n:60000\r\n');
+    await new Promise(resolve => setTimeout(resolve, 500));
+    expect((await store.increment('device:b')).totalHits).toBe(1);
+  });
+
+  it('lets requests through when the server does not answer in time', async () => {
+    evalReply = () => {};
+    const store = new RedisRateLimitStore(await connect(undefined, { commandTimeoutMs: 50 }), 'rate-limit:stats:');
+
+    const { totalHits } = await store.increment('device:c');
+
+    expect(totalHits).toBe(0);
+    expect(console.error).toHaveBeenCalledWith('Rate limit store error: Command timed out');
+  });
+});
@@ -0,0 +1,98 @@
+const { MemoryStorageAdapter } = require('../src/services/storage');
+const { RecordCollection } = require('../src/services/recordCollection');
+
+// Just enough of the data service: files in memory storage and conditional updates with retry
+const createDataService = () => ({
+  storage: new MemoryStorageAdapter(),
+  async readData(type) {
+    const object = await this.storage.get(`${type}.json`);
+    return object ? JSON.parse(object.body.toString()) : {};
+  },
+  async updateData(type, update) {
+    for (;;) {
+      const object = await this.storage.get(`${type}.json`);
+      const current = object ? JSON.parse(object.body.toString()) : {};
+      const next = await update(current);
+      if (next === undefined) {
+        return current;
+      }
+      try {
+        await this.storage.put(`${type}.json`, JSON.stringify(next), { ifGeneration: object ? object.metadata.generation : '0' });
+        return next;
+      } catch (error) {
+        if (error.code !== 'PRECONDITION_FAILED') {
+          throw error;
+        }
+      }
+    }
+  }
+});
+
+describe('RecordCollection', () => {
+  let dataService;
+
+  beforeEach(() => {
+    dataService = createDataService();
+  });
+
+  it('keeps an unsharded collection in the type\'s own file', async () => {
+    const devices = new RecordCollection(dataService, 'verified-devices');
+    await devices.update('a', () => ({ platform: 'ios' }));
+
+    expect(devices.getShardTypes()).toEqual(['verified-devices']);
+    expect(await dataService.readData('verified-devices')).toEqual({ a: { platform: 'ios' } });
+  });
+
+  it('spreads records over shards and reads them back', async () => {
+    const devices = new RecordCollection(dataService, 'verified-devices', 4);
+    const ids = Array.from({ length: 20 }, (_, index) => `device-${index}`);
+    for (const id of ids) {
+      await devices.update(id, () => ({ id }));
+    }
+
+    expect(new Set(ids.map(id => devices.getShardType(id))).size).toBeGreaterThan(1);
+    expect(devices.getShardType('device-3')).toBe(devices.getShardType('device-3'));
+    expect(await devices.get('device-3')).toEqual({ id: 'device-3' });
+    expect(Object.keys(await devices.getAll()).sort()).toEqual([...ids].sort());
+  });
+
+  it('runs an update again on the latest copy when another writer got in first', async () => {
+    const devices = new RecordCollection(dataService, 'verified-devices');
+    await devices.update('a', () => ({ count: 0 }));
+
+    let calls = 0;
+    const device = await devices.update('a', async (current) => {
+      calls++;
+      if (calls === 1) {
+        await devices.update('b', () => ({ count: 0 }));
+      }
+      return { count: current.count + 1 };
+    });
+
+    expect(calls).toBe(2);
+    expect(device).toEqual({ count: 1 });
+    expect(await devices.getAll()).toEqual({ a: { count: 1 }, b: { count: 0 } });
+  });
+
+  it('deletes records and leaves files alone when nothing changes', async () => {
+    const devices = new RecordCollection(dataService, 'verified-devices');
+    await devices.update('a', () => ({ count: 0 }));
+    const { generation } = await dataService.storage.metadata('verified-devices.json');
+
+    expect(await devices.update('a', () => undefined)).toEqual({ count: 0 });
+    expect((await dataService.storage.metadata('verified-devices.json')).generation).toBe(generation);
+
+    await devices.update('a', () => null);
+    expect(await devices.get('a')).toBeNull();
+  });
+
+  it('moves records from the unsharded file into their shards', async () => {
+    await dataService.updateData('verified-devices', () => ({ a: { id: 'a' }, b: { id: 'b' } }));
+    const devices = new RecordCollection(dataService, 'verified-devices', 4);
+
+    expect(await devices.migrate()).toBe(2);
+    expect(await dataService.readData('verified-devices')).toEqual({});
+    expect(await devices.get('a')).toEqual({ id: 'a' });
+    expect(await devices.migrate()).toBe(0);
+  });
+});
@@ -0,0 +1,56 @@
+const { parseCSV, parseFeed } = require('../src/utils/resultFeeds');
+
+describe('parseCSV', () => {
+  it('normalizes column names and handles quoted fields', () => {
+    const rows = parseCSV('Draw Date,Winning Numbers,"Mega Ball"\r\n01/02/2024,"11 12 21 29 49",03\r\n\r\n');
+
+    expect(rows).toEqual([{ draw_date: '01/02/2024', winning_numbers: '11 12 21 29 49', mega_ball: '03' }]);
+  });
+});
+
+describe('parseFeed', () => {
+  it('reads Mega Millions CSV exports, sorting the numbers', () => {
+    const [entry] = parseFeed('mega-millions', 'Draw Date,Winning Numbers,Mega Ball,Multiplier\n01/02/2024,49 11 21 12 29,03,2\n', 'csv');
+
+    expect(entry).toEqual({
+      row: 2,
+      draw: { date: '2024-01-02', numbers: [11, 12, 21, 29, 49], specialBall: 3, multiplier: 2 },
+      errors: []
+    });
+  });
+
+  it('takes the Powerball from the end of the winning numbers in JSON exports', () => {
+    const [entry] = parseFeed('powerball', JSON.stringify([
+      { draw_date: '2024-01-01T00:00:00.000', winning_numbers: '17 33 36 44 62 16', multiplier: '2' }
+    ]), 'json');
+
+    expect(entry.draw).toEqual({ date: '2024-01-01', numbers: [17, 33, 36, 44, 62], specialBall: 16, multiplier: 2 });
+  });
+
+  it('reads jackpot amounts and leaves out blank payout columns', () => {
+    const [entry] = parseFeed('powerball', 'Draw Date,Winning Numbers,Power Play,Jackpot,Cash Value\n01/01/2024,17 33 36 44 62 16,,"$1,220,000,000",$551.7\n', 'csv');
+
+    expect(entry.draw).toEqual({
+      date: '2024-01-01',
+      numbers: [17, 33, 36, 44, 62],
+      specialBall: 16,
+      jackpot: 1220000000,
+      cashValue: 551.7
+    });
+  });
+
+  it('reports rows it cannot read', () => {
+    const [entry] = parseFeed('mega-millions', [{ date: 'yesterday', numbers: '1 2 x 4 5' }], 'json');
+
+    expect(entry.draw).toBeNull();
+    expect(entry.errors).toEqual([
+      'Unreadable draw date: yesterday',
+      'Unreadable winning numbers: 1 2 x 4 5',
+      'Missing special ball'
+    ]);
+  });
+
+  it('rejects feeds that are not a list of rows', () => {
+    expect(() => parseFeed('powerball', '{"rows": 1}', 'json')).toThrow('JSON feed must be an array of rows');
+  });
+});
@@ -0,0 +1,45 @@
+const { computeStatistics, compareStatistics } = require('../src/utils/statistics');
+
+const draws = [
+  { specialBall: 3, date: '2024-01-05', numbers: [1, 2, 3, 4, 5], type: 'mega-millions' },
+  { specialBall: 3, date: '2024-01-02', numbers: [21, 12, 11, 49, 29], type: 'mega-millions' }
+];
+
+describe('computeStatistics', () => {
+  it('counts numbers overall, per ascending position and special balls', () => {
+    const stats = computeStatistics('mega-millions', draws);
+
+    expect(stats.totalDraws).toBe(2);
+    expect(stats.frequency).toEqual({ 1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 11: 1, 12: 1, 21: 1, 29: 1, 49: 1 });
+    expect(stats.frequencyAtPosition[0]).toEqual({ 1: 1, 11: 1 });
+    expect(stats.frequencyAtPosition[4]).toEqual({ 5: 1, 49: 1 });
+    expect(stats.specialBallFrequency).toEqual({ 3: 2 });
+  });
+});
+
+describe('compareStatistics', () => {
+  it('treats numbers missing from one side as never drawn', () => {
+    const computed = computeStatistics('mega-millions', draws);
+    const stored = JSON.parse(JSON.stringify(computed));
+    stored.frequency[70] = 0;
+
+    expect(compareStatistics(stored, computed)).toEqual([]);
+  });
+
+  it('reports every count that differs', () => {
+    const computed = computeStatistics('mega-millions', draws);
+    const stored = JSON.parse(JSON.stringify(computed));
+    stored.totalDraws = 1;
+    delete stored.frequency[49];
+    stored.frequencyAtPosition[4] = { 5: 1 };
+    stored.specialBallFrequency = { 3: 1, 7: 1 };
+
+    expect(compareStatistics(stored, computed)).toEqual([
+      { field: 'totalDraws', stored: 1, computed: 2 },
+      { field: 'frequency', key: '49', stored: 0, computed: 1 },
+      { field: 'frequencyAtPosition.4', key: '49', stored: 0, computed: 1 },
+      { field: 'specialBallFrequency', key: '3', stored: 1, computed: 2 },
+      { field: 'specialBallFrequency', key: '7', stored: 1, computed: 0 }
+    ]);
+  });
+});
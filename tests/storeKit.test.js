@@ -0,0 +1,70 @@
+const { BUNDLE_ID, PRODUCT_ID, createChain, signTransaction } = require('./helpers/storeKit');
+
+describe('StoreKitService', () => {
+  let service;
+  let chain;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    chain = createChain();
+    process.env.APPLE_STOREKIT_ROOT_CA = chain.rootCert.toString('base64');
+    process.env.APPLE_BUNDLE_ID = BUNDLE_ID;
+    process.env.STOREKIT_PRODUCT_SCOPES = `${PRODUCT_ID}:premium`;
+
+    const { StoreKitService } = require('../src/services/storeKit');
+    service = new StoreKitService();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('verifies an active transaction and maps its product to scopes', () => {
+    const result = service.verifySignedTransaction(signTransaction(chain));
+
+    expect(result.verified).toBe(true);
+    expect(result.scopes).toEqual(['premium']);
+    expect(result.transaction.originalTransactionId).toBe('2000000000000001');
+  });
+
+  it('rejects a transaction signed under a different root', () => {
+    const result = service.verifySignedTransaction(signTransaction(createChain()));
+
+    expect(result).toEqual({ verified: false, reasons: ['certificate_chain_invalid'] });
+  });
+
+  it('rejects a leaf without the StoreKit marker extension', () => {
+    const unmarked = createChain({ leafExtension: false });
+    process.env.APPLE_STOREKIT_ROOT_CA = unmarked.rootCert.toString('base64');
+    const { StoreKitService } = require('../src/services/storeKit');
+    const unmarkedService = new StoreKitService();
+    process.env.APPLE_STOREKIT_ROOT_CA = chain.rootCert.toString('base64');
+
+    expect(unmarkedService.verifySignedTransaction(signTransaction(unmarked)).reasons).toEqual(['certificate_chain_invalid']);
+  });
+
+  it('reports revoked, expired and foreign transactions', () => {
+    const result = service.verifySignedTransaction(signTransaction(chain, {
+      bundleId: 'com.example.other',
+      environment: 'Sandbox',
+      revocationDate: Date.now() - 1000,
+      expiresDate: Date.now() - 1000
+    }));
+
+    expect(result.reasons).toEqual([
+      'bundle_id_mismatch',
+      'environment_not_allowed',
+      'transaction_revoked',
+      'transaction_expired'
+    ]);
+  });
+
+  it('rejects a tampered payload', () => {
+    const [header, , signature] = signTransaction(chain).split('.');
+    const payload = Buffer.from(JSON.stringify({ productId: PRODUCT_ID })).toString('base64url');
+
+    expect(service.verifySignedTransaction([header, payload, signature].join('.')).reasons)
+      .toEqual(['signature_invalid']);
+  });
+});
@@ -0,0 +1,83 @@
+const { getUpdateWindow, isInUpdateWindow, getSecondsUntilNextUpdate, getCacheDuration } = require('../src/utils/timeUtils');
+
+describe('draw schedule update windows', () => {
+  // Saturday morning in New York
+  const saturdayMorning = new Date('2025-03-15T14:00:00Z');
+
+  it('runs from each game\'s own next draw until its results are published', () => {
+    expect(getUpdateWindow('mega-millions', saturdayMorning)).toEqual({
+      start: new Date('2025-03-19T03:00:00Z'),
+      end: new Date('2025-03-19T04:00:00Z')
+    });
+    expect(getUpdateWindow('powerball', saturdayMorning)).toEqual({
+      start: new Date('2025-03-16T02:59:00Z'),
+      end: new Date('2025-03-16T03:59:00Z')
+    });
+  });
+
+  it('caches a game\'s data until its own next draw, and every game\'s until the first of them', () => {
+    expect(getSecondsUntilNextUpdate('mega-millions', saturdayMorning)).toBe(85 * 60 * 60);
+    expect(getSecondsUntilNextUpdate('powerball', saturdayMorning)).toBe(12 * 60 * 60 + 59 * 60);
+    expect(getSecondsUntilNextUpdate(null, saturdayMorning)).toBe(12 * 60 * 60 + 59 * 60);
+  });
+
+  it('only tightens caching around the game\'s own results', () => {
+    const afterPowerballDraw = new Date('2025-03-16T03:30:00Z');
+
+    expect(isInUpdateWindow('powerball', afterPowerballDraw)).toBe(true);
+    expect(isInUpdateWindow('mega-millions', afterPowerballDraw)).toBe(false);
+    expect(isInUpdateWindow(null, afterPowerballDraw)).toBe(true);
+    expect(getSecondsUntilNextUpdate('powerball', afterPowerballDraw)).toBe(60);
+    expect(isInUpdateWindow('powerball', new Date('2025-03-16T03:59:00Z'))).toBe(false);
+  });
+
+  it('follows daylight saving time in the game\'s time zone', () => {
+    expect(getUpdateWindow('mega-millions', new Date('2025-11-01T14:00:00Z')).start)
+      .toEqual(new Date('2025-11-05T04:00:00Z'));
+  });
+
+  it('has no window for unknown games', () => {
+    expect(getUpdateWindow('lotto-america', saturdayMorning)).toBeNull();
+  });
+});
+
+describe('getCacheDuration', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterEach(() => {
+    delete process.env.CACHE_MAX_TTL_MS;
+  });
+
+  it('caches a game\'s data until shortly before its next update window', () => {
+    process.env.CACHE_MAX_TTL_MS = String(4 * 24 * 60 * 60 * 1000);
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z') });
+
+    expect(getCacheDuration('data', 600, 'mega-millions')).toBe(85 * 60 * 60 - 5 * 60);
+    expect(getCacheDuration('stats', 3600, 'powerball')).toBe(12 * 60 * 60 + 54 * 60);
+  });
+
+  it('caches data for at most four hours when the next draw is days away', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z') });
+
+    expect(getCacheDuration('data', 600, 'mega-millions')).toBe(4 * 60 * 60);
+    expect(getCacheDuration('stats', 3600, 'mega-millions')).toBe(4 * 60 * 60);
+
+    process.env.CACHE_MAX_TTL_MS = String(30 * 60 * 1000);
+    expect(getCacheDuration('data', 600, 'powerball')).toBe(30 * 60);
+  });
+
+  it('uses the draw schedule when the next update window is closer than the cap', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-16T01:00:00Z') });
+
+    expect(getCacheDuration('data', 600, 'powerball')).toBe(60 * 60 + 54 * 60);
+  });
+
+  it('uses a short duration during the game\'s update window', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-19T03:10:00Z') });
+
+    expect(getCacheDuration('data', 600, 'mega-millions')).toBe(60);
+    expect(getCacheDuration('data', 600, 'powerball')).toBeGreaterThan(60 * 60);
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../src/services/dataService', () => {
+  const { MemoryStorageAdapter } = require('../src/services/storage');
+  const { RecordCollection } = require('../src/services/recordCollection');
+
+  // Just enough of the data service: files in memory storage and conditional updates with retry
+  return {
+    storage: new MemoryStorageAdapter(),
+    async readData(type) {
+      const object = await this.storage.get(`${type}.json`);
+      return object ? JSON.parse(object.body.toString()) : {};
+    },
+    async updateData(type, update) {
+      for (;;) {
+        const object = await this.storage.get(`${type}.json`);
+        const current = object ? JSON.parse(object.body.toString()) : {};
+        const next = await update(current);
+        if (next === undefined) {
+          return current;
+        }
+        try {
+          await this.storage.put(`${type}.json`, JSON.stringify(next), { ifGeneration: object ? object.metadata.generation : '0' });
+          return next;
+        } catch (error) {
+          if (error.code !== 'PRECONDITION_FAILED') {
+            throw error;
+          }
+        }
+      }
+    },
+    getCollection(type) {
+      return new RecordCollection(this, type);
+    },
+    getEntitlementScopes: jest.fn(async () => [])
+  };
+});
+
+jest.mock('../src/services/signingKeys', () => {
+  const crypto = require('crypto');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    getSigningKey: async () => ({ kid: 'test-key', alg: 'ES256', privateKey }),
+    getVerificationKey: async kid => (kid === 'test-key' ? { alg: 'ES256', publicKey } : null)
+  };
+});
+
+const jwt = require('jsonwebtoken');
+const dataService = require('../src/services/dataService');
+const { MemoryStorageAdapter } = require('../src/services/storage');
+const tokenService = require('../src/services/tokenService');
+
+describe('TokenService', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    dataService.storage = new MemoryStorageAdapter();
+    tokenService.revocations = null;
+    jest.useFakeTimers({ now: new Date('2025-03-15T14:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.JWT_SECRET;
+  });
+
+  it('issues access tokens for the device and key, in a new family', async () => {
+    const { token, refreshToken } = await tokenService.issueTokens('device-1', 'key-1');
+
+    const decoded = await tokenService.verifyAccessToken(token);
+    expect(decoded).toMatchObject({ deviceId: 'device-1', keyId: 'key-1', scopes: [] });
+    expect(jwt.decode(token, { complete: true }).header.kid).toBe('test-key');
+
+    const stored = await dataService.readData('refresh-tokens');
+    expect(Object.keys(stored)).toEqual([tokenService.hashToken(refreshToken)]);
+    expect(stored[tokenService.hashToken(refreshToken)]).toMatchObject({ familyId: decoded.fid, usedAt: null });
+  });
+
+  it('rotates refresh tokens within the family', async () => {
+    const first = await tokenService.issueTokens('device-1', 'key-1');
+    const { fid } = jwt.decode(first.token);
+
+    const second = await tokenService.rotateRefreshToken(first.refreshToken);
+
+    expect(second.valid).toBe(true);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(jwt.decode(second.token)).toMatchObject({ deviceId: 'device-1', keyId: 'key-1', fid });
+    expect((await tokenService.rotateRefreshToken(second.refreshToken)).valid).toBe(true);
+  });
+
+  it('revokes the whole family when a used refresh token is presented again', async () => {
+    const first = await tokenService.issueTokens('device-1', 'key-1');
+    const second = await tokenService.rotateRefreshToken(first.refreshToken);
+
+    expect(await tokenService.rotateRefreshToken(first.refreshToken))
+      .toEqual({ valid: false, reuseDetected: true, error: 'Refresh token reuse detected' });
+
+    // The token the thief or the client got from the rotation is revoked as well
+    expect(await tokenService.rotateRefreshToken(second.refreshToken))
+      .toEqual({ valid: false, error: 'Invalid refresh token' });
+    await expect(tokenService.verifyAccessToken(second.token)).rejects.toMatchObject({ code: 'TOKEN_REVOKED' });
+    await expect(tokenService.verifyAccessToken(first.token)).rejects.toMatchObject({ code: 'TOKEN_REVOKED' });
+  });
+
+  it('lets only one of two concurrent rotations through', async () => {
+    const { refreshToken } = await tokenService.issueTokens('device-1', 'key-1');
+
+    const results = await Promise.all([
+      tokenService.rotateRefreshToken(refreshToken),
+      tokenService.rotateRefreshToken(refreshToken)
+    ]);
+
+    expect(results.filter(result => result.valid)).toHaveLength(1);
+    expect(results.filter(result => result.reuseDetected)).toHaveLength(1);
+  });
+
+  it('rejects expired and unknown refresh tokens', async () => {
+    const { refreshToken } = await tokenService.issueTokens('device-1', 'key-1');
+    jest.advanceTimersByTime(tokenService.refreshTokenTTL);
+
+    expect(await tokenService.rotateRefreshToken(refreshToken)).toEqual({ valid: false, error: 'Refresh token expired' });
+    expect(await tokenService.rotateRefreshToken('unknown')).toEqual({ valid: false, error: 'Invalid refresh token' });
+  });
+
+  it('revokes the access token and its family on logout', async () => {
+    const { token, refreshToken } = await tokenService.issueTokens('device-1', 'key-1');
+    const other = await tokenService.issueTokens('device-1', 'key-1');
+    const decoded = await tokenService.verifyAccessToken(token);
+
+    await tokenService.revokeAccessToken(decoded);
+    await tokenService.revokeFamily(decoded.fid);
+
+    await expect(tokenService.verifyAccessToken(token)).rejects.toMatchObject({ code: 'TOKEN_REVOKED' });
+    expect(await tokenService.rotateRefreshToken(refreshToken)).toEqual({ valid: false, error: 'Invalid refresh token' });
+
+    // Other sessions of the device are unaffected
+    expect((await tokenService.verifyAccessToken(other.token)).deviceId).toBe('device-1');
+    expect((await tokenService.rotateRefreshToken(other.refreshToken)).valid).toBe(true);
+  });
+
+  it('revokes a device\'s tokens issued before the revocation, but not later ones', async () => {
+    const before = await tokenService.issueTokens('device-1', 'key-1');
+    const otherDevice = await tokenService.issueTokens('device-2', 'key-2');
+    jest.advanceTimersByTime(1000);
+
+    await tokenService.revokeDevice('device-1');
+    jest.advanceTimersByTime(1000);
+    const after = await tokenService.issueTokens('device-1', 'key-1');
+
+    await expect(tokenService.verifyAccessToken(before.token)).rejects.toMatchObject({ code: 'TOKEN_REVOKED' });
+    expect(await tokenService.rotateRefreshToken(before.refreshToken)).toEqual({ valid: false, error: 'Refresh token revoked' });
+    expect((await tokenService.verifyAccessToken(after.token)).deviceId).toBe('device-1');
+    expect((await tokenService.rotateRefreshToken(after.refreshToken)).valid).toBe(true);
+    expect((await tokenService.verifyAccessToken(otherDevice.token)).deviceId).toBe('device-2');
+  });
+
+  it('rejects tokens signed with unknown keys', async () => {
+    const { token } = await tokenService.issueTokens('device-1', 'key-1');
+    const [header, payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(header, 'base64url')), kid: 'other-key' })).toString('base64url');
+
+    await expect(tokenService.verifyAccessToken(`${forged}.${payload}.${signature}`)).rejects.toThrow('Unknown signing key');
+  });
+
+  it('accepts legacy tokens without a kid only while JWT_SECRET is set', async () => {
+    const legacy = jwt.sign({ deviceId: 'device-1', keyId: 'key-1' }, 'test-secret');
+
+    expect((await tokenService.verifyAccessToken(legacy)).deviceId).toBe('device-1');
+    await expect(tokenService.verifyAccessToken(jwt.sign({ deviceId: 'device-1' }, 'other-secret'))).rejects.toThrow('invalid signature');
+
+    delete process.env.JWT_SECRET;
+    await expect(tokenService.verifyAccessToken(legacy)).rejects.toThrow('Token has no key ID');
+  });
+});